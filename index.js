@@ -2,7 +2,7 @@
  * Monetizelt Cloud Functions
  * Version: 2025-10-27
  * Changements clés:
- * - Expiration des produits à 7 jours
+ * - Expiration des produits configurable (24h, 7j, 30j ou jamais) selon le plan vendeur
  * - Avertissement d’expiration à 24h restant (obligatoire)
  * - Cleanup supprime tout ce qui est lié au produit, sauf transactions/payouts
  * - Remplacement du checkout PayPal par Stripe Checkout
@@ -19,11 +19,13 @@ const paypalClientId = defineSecret("PAYPAL_CLIENT_ID");
 const paypalClientSecret = defineSecret("PAYPAL_CLIENT_SECRET");
 const stripeSecretKey = defineSecret("STRIPE_SECRET_KEY");
 const stripeWebhookSecret = defineSecret("STRIPE_WEBHOOK_SECRET");
+const paypalWebhookId = defineSecret("PAYPAL_WEBHOOK_ID");
 
 const { setGlobalOptions } = require("firebase-functions/v2");
 const { onRequest } = require("firebase-functions/v2/https");
 const { onSchedule } = require("firebase-functions/v2/scheduler");
 const { onMessagePublished } = require("firebase-functions/v2/pubsub");
+const { onObjectFinalized } = require("firebase-functions/v2/storage");
 
 const admin = require("firebase-admin");
 const paypalPayouts = require("@paypal/payouts-sdk");
@@ -58,8 +60,25 @@ let stripe = null;
 
 /* ============================= CONSTANTES MÉTIER ============================= */
 
-// Durée de vie produit: 7 jours
-const PRODUCT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// Durées de vie produit proposées au vendeur (null = n'expire jamais)
+const PRODUCT_LIFETIMES = {
+  "24h": 24 * 60 * 60 * 1000,
+  "7d": 7 * 24 * 60 * 60 * 1000,
+  "30d": 30 * 24 * 60 * 60 * 1000,
+  never: null,
+};
+
+// Durée de vie par défaut (produits créés sans choix explicite)
+const DEFAULT_PRODUCT_LIFETIME = "7d";
+
+// Limites par plan vendeur (users.plan, "free" si absent)
+const PLAN_LIMITS = {
+  free: { productLifetimes: ["24h", "7d"] },
+  pro: { productLifetimes: ["24h", "7d", "30d", "never"] },
+};
+
+// Période de grâce d'un produit archivé (expiré ou supprimé) avant purge définitive
+const ARCHIVE_GRACE_PERIOD_MS = 14 * 24 * 60 * 60 * 1000;
 
 // Avertissement avant expiration: 24h avant la date d'expiration (inchangé)
 const WARNING_BEFORE_EXP_MS = 24 * 60 * 60 * 1000;
@@ -70,16 +89,161 @@ const SIGNED_READ_URL_TTL_MS = 7 * 24 * 60 * 60 * 1000;
 // Durée upload URL signée (inchangé)
 const SIGNED_WRITE_URL_TTL_MS = 15 * 60 * 1000;
 
+// Nombre max de fichiers dans le manifest d'un produit (album, cours...)
+const MAX_FILES_PER_PRODUCT = 50;
+
+// Taille max d'un fichier produit par catégorie (défaut 100MB) et d'une cover
+const MAX_FILE_SIZE_BY_CATEGORY = { video: 500 * 1024 * 1024 };
+const DEFAULT_MAX_FILE_SIZE = 100 * 1024 * 1024;
+const MAX_COVER_SIZE = 10 * 1024 * 1024;
+
+// Types réels (magic bytes) acceptés par catégorie, vérifiés à la fin de l'upload
+const ALLOWED_FILE_TYPES_BY_CATEGORY = {
+  video: ["mp4", "webm", "avi"],
+  ebook: ["pdf", "zip"], // epub = archive zip
+  music: ["mp3", "wav", "ogg", "flac"],
+  software: ["zip", "rar", "7z", "gzip", "tar"],
+};
+const ALLOWED_COVER_TYPES = ["jpeg", "png", "gif", "webp"];
+
 // Frais PayPal
 const PAYPAL_FEE_RATE = 0.0349;
 const PAYPAL_FEE_FIXED = 0.49;
 
-// Commission plateforme
+// Commission plateforme par défaut (aucune règle vendeur plus favorable)
 const PLATFORM_RATE = 0.12;
 
+// Commission par plan vendeur (users.plan); plan absent de la table = PLATFORM_RATE
+const PLAN_COMMISSION_RATES = { pro: 0.08 };
+
+// Paliers de volume: montant vendu sur 30 jours glissants dans une devise (users.commissionVolume,
+// recalculé chaque jour par refreshCommissionVolumes). Du palier le plus favorable au moins favorable.
+const COMMISSION_VOLUME_TIERS = [
+  { rate: 0.06, minVolume: { USD: 10000, EUR: 10000, GBP: 8000, CAD: 13000, XOF: 6000000 } },
+  { rate: 0.09, minVolume: { USD: 2000, EUR: 2000, GBP: 1600, CAD: 2600, XOF: 1200000 } },
+];
+const COMMISSION_VOLUME_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+// Commandes qui ne comptent pas dans le volume (remboursées, en litige, chargeback)
+const COMMISSION_VOLUME_EXCLUDED_STATUSES = ["cancelled", "refunded", "disputed", "chargeback"];
+// Volume plus ancien que ça (job en échec, vendeur sans vente récente) → ignoré
+const COMMISSION_VOLUME_MAX_AGE_MS = 2 * 24 * 60 * 60 * 1000;
+// Commandes lues par page (refreshCommissionVolumes)
+const COMMISSION_VOLUME_BATCH = 500;
+
 // Minimum payout
 const MIN_PAYOUT = 10;
 
+// Devises acceptées pour les prix produits (Stripe) et les soldes vendeurs
+const SUPPORTED_CURRENCIES = ["USD", "EUR", "GBP", "CAD", "XOF"];
+const DEFAULT_CURRENCY = "USD";
+
+// Devises sans décimales côté Stripe (unit_amount en unités entières)
+const ZERO_DECIMAL_CURRENCIES = ["XOF"];
+
+// Prix minimum produit par devise
+const MIN_PRICE_BY_CURRENCY = { USD: 1, EUR: 1, GBP: 1, CAD: 1, XOF: 500 };
+
+// Minimum payout par devise (MIN_PAYOUT pour USD)
+const MIN_PAYOUT_BY_CURRENCY = { USD: MIN_PAYOUT, EUR: 10, GBP: 10, CAD: 15, XOF: 6000 };
+
+// Devises supportées par PayPal Payouts (XOF non supporté: le solde reste en attente)
+const PAYPAL_PAYOUT_CURRENCIES = ["USD", "EUR", "GBP", "CAD"];
+
+// Devises acceptées par PayPal Checkout côté acheteur (XOF non supporté: Stripe uniquement)
+const PAYPAL_CHECKOUT_CURRENCIES = ["USD", "EUR", "GBP", "CAD"];
+
+// Moyens de payout vendeur (users.payoutMethod): PayPal Payouts ou virement Stripe Connect (compte Express)
+const PAYOUT_METHODS = ["paypal", "stripe"];
+const DEFAULT_PAYOUT_METHOD = "paypal";
+const STRIPE_CONNECT_PAYOUT_CURRENCIES = ["USD", "EUR", "GBP", "CAD"];
+const PAYOUT_CURRENCIES = [...new Set([...PAYPAL_PAYOUT_CURRENCIES, ...STRIPE_CONNECT_PAYOUT_CURRENCIES])];
+
+// Relances des payouts en échec transitoire (délai avant chaque nouvelle tentative)
+const PAYOUT_RETRY_DELAYS_MS = [60 * 60 * 1000, 6 * 60 * 60 * 1000, 24 * 60 * 60 * 1000];
+
+// Envoi interrompu (statut "submitting" plus ancien): l'envoi est rejoué avec le même sender_batch_id
+const PAYOUT_SUBMIT_STALE_MS = 15 * 60 * 1000;
+// Batch PayPal accepté sans id connu (doublon) et sans webhook depuis ce délai → "needs_review" (examen manuel)
+const PAYOUT_UNCONFIRMED_REVIEW_MS = 48 * 60 * 60 * 1000;
+
+// Fréquences de payout au choix du vendeur (users.payoutPreferences.frequency), hebdomadaire par défaut
+const PAYOUT_FREQUENCIES = ["weekly", "biweekly", "monthly"];
+const DEFAULT_PAYOUT_FREQUENCY = "weekly";
+
+// Erreurs PayPal liées au compte du vendeur: pas de relance, payouts suspendus (payoutHold) jusqu'à correction
+const PERMANENT_PAYOUT_ERRORS = [
+  "invalid_paypal",
+  "invalid_stripe_account",
+  "returned",
+  "RECEIVER_UNREGISTERED",
+  "RECEIVER_UNCONFIRMED",
+  "RECEIVER_ACCOUNT_LOCKED",
+  "RECEIVER_COUNTRY_NOT_ALLOWED",
+  "RECEIVER_YOUTH_ACCOUNT",
+  "RECEIVER_REFUSED",
+  "RECEIVER_STATE_RESTRICTED",
+  "REGULATORY_BLOCKED",
+  "USER_BUSINESS_ERROR",
+];
+
+// Frais Stripe estimés (~2.9% + partie fixe par devise), utilisés seulement si la balance transaction
+// n'est pas encore disponible à la livraison; reconcileStripeFees les remplace ensuite par les frais réels
+const STRIPE_FEE_RATE = 0.029;
+const STRIPE_FEE_FIXED_BY_CURRENCY = { USD: 0.3, EUR: 0.25, GBP: 0.2, CAD: 0.3, XOF: 200 };
+
+// Politique frais Stripe: le vendeur supporte les frais réels (sellerAmount = prix payé - frais Stripe - commission).
+// Tout écart entre estimation et frais réels est imputé au vendeur; la commission plateforme n'est jamais ajustée.
+const STRIPE_FEE_POLICY = "seller";
+
+// Réconciliation des frais estimés: nombre max de commandes par exécution (plus anciennes d'abord)
+// et de tentatives par commande avant de la sortir de la file (stripeFeeSource "unresolved")
+const FEE_RECONCILIATION_BATCH = 200;
+const FEE_RECONCILIATION_MAX_ATTEMPTS = 7;
+
+// Période de rétention des ventes avant qu'elles deviennent payables (protection contre les litiges).
+// Surcharge par vendeur: users.fundsHoldDays (0 pour un vendeur de confiance, plus long pour un nouveau vendeur)
+const DEFAULT_FUNDS_HOLD_DAYS = 7;
+const MAX_FUNDS_HOLD_DAYS = 90;
+const FUNDS_RELEASE_BATCH = 500;
+
+// Grand livre (ledgerEntries): comptes vendeur projetés sur users, et comptes de contrepartie.
+// Chaque écriture est équilibrée: la somme de ses lignes vaut 0.
+const LEDGER_SELLER_ACCOUNTS = ["seller_available", "seller_pending", "seller_reserved"];
+const LEDGER_ACCOUNTS = [
+  ...LEDGER_SELLER_ACCOUNTS,
+  "customer_payments", // encaissements acheteurs (négatif) et remboursements / litiges (positif)
+  "processor_fees", // frais Stripe / PayPal (paiement et payout)
+  "platform_commission",
+  "payouts_sent", // fonds sortis vers PayPal / Stripe Connect
+  "platform_adjustments",
+  "opening_balances", // soldes existants au démarrage du grand livre
+];
+const LEDGER_RECONCILIATION_BATCH = 200;
+
+// Ajustements manuels de solde (adjustSellerBalance, admin): codes motif obligatoires et libellé vendeur
+const ADJUSTMENT_REASON_CODES = {
+  bug_compensation: "Compensation for a platform issue",
+  goodwill_credit: "Goodwill credit",
+  fraud_clawback: "Fraudulent sale reversed",
+  chargeback_correction: "Chargeback correction",
+  fee_correction: "Fee correction",
+  other: "Balance correction",
+};
+const MAX_ADJUSTMENT_NOTE_LENGTH = 500;
+
+// Intervalle de polling conseillé au client (product.html)
+const ORDER_STATUS_POLL_MS = 2000;
+
+// Motifs de remboursement automatique quand une commande payée ne peut pas être livrée (texte envoyé à l'acheteur)
+const FULFILLMENT_FAILURE_MESSAGES = {
+  missing_metadata: "We could not match your payment to an order.",
+  session_not_found: "We could not match your payment to an order.",
+  product_unavailable: "The product is no longer available (removed or expired by the seller).",
+  product_file_missing: "The product file could not be found.",
+  coupon_limit_reached: "The coupon used for this purchase reached its usage limit before your payment completed.",
+  duplicate_payment: "This purchase had already been paid, so this second payment was not needed.",
+};
+
 /* ============================= HELPERS GÉNÉRAUX ============================= */
 
 function isEmail(s) {
@@ -108,13 +272,80 @@ function generateVerificationCode() {
   return Math.floor(100000 + Math.random() * 900000).toString();
 }
 
-// Date d’expiration produit (48h)
-function getProductExpirationDate(createdAtDate = new Date()) {
-  return new Date(createdAtDate.getTime() + PRODUCT_TTL_MS);
+// Date d’expiration produit selon sa durée de vie (null si le produit n'expire jamais)
+function getProductExpirationDate(createdAtDate = new Date(), lifetime = DEFAULT_PRODUCT_LIFETIME) {
+  const ttlMs = PRODUCT_LIFETIMES[lifetime];
+  if (ttlMs === null) return null;
+  return new Date(createdAtDate.getTime() + (ttlMs || PRODUCT_LIFETIMES[DEFAULT_PRODUCT_LIFETIME]));
+}
+
+function getPlanLimits(userData) {
+  const plan = (userData && userData.plan) || "free";
+  return PLAN_LIMITS[plan] || PLAN_LIMITS.free;
+}
+
+// Durée max (ms) autorisée par le plan, Infinity si "never" est autorisé
+function getPlanMaxLifetimeMs(planLimits) {
+  if (planLimits.productLifetimes.includes("never")) return Infinity;
+  return Math.max(...planLimits.productLifetimes.map((l) => PRODUCT_LIFETIMES[l]));
+}
+
+function toDateOrNull(value) {
+  if (!value) return null;
+  return value.toDate ? value.toDate() : new Date(value);
+}
+
+/**
+ * Commission applicable à un vendeur: { rate, rule, detail }.
+ * 1) override admin actif (users.commissionOverride { rate, startsAt, endsAt, reason }) → toujours appliqué
+ * 2) sinon le taux le plus bas entre défaut (PLATFORM_RATE), plan (PLAN_COMMISSION_RATES) et palier de volume
+ */
+function getCommissionPolicy(userData, now = new Date()) {
+  const override = userData && userData.commissionOverride;
+  if (override && typeof override.rate === "number") {
+    const startsAt = toDateOrNull(override.startsAt);
+    const endsAt = toDateOrNull(override.endsAt);
+    if ((!startsAt || startsAt <= now) && (!endsAt || now < endsAt)) {
+      return { rate: override.rate, rule: "override", detail: override.reason || null, endsAt };
+    }
+  }
+
+  let policy = { rate: PLATFORM_RATE, rule: "default", detail: null, endsAt: null };
+  const plan = (userData && userData.plan) || "free";
+  if (PLAN_COMMISSION_RATES[plan] !== undefined && PLAN_COMMISSION_RATES[plan] < policy.rate) {
+    policy = { rate: PLAN_COMMISSION_RATES[plan], rule: "plan", detail: plan, endsAt: null };
+  }
+
+  const volume = userData && userData.commissionVolume;
+  const computedAt = volume ? toDateOrNull(volume.computedAt) : null;
+  if (computedAt && now - computedAt <= COMMISSION_VOLUME_MAX_AGE_MS) {
+    const byCurrency = volume.byCurrency || {};
+    const tier = COMMISSION_VOLUME_TIERS.find((t) =>
+      Object.entries(byCurrency).some(([cur, amount]) => t.minVolume[cur] && amount >= t.minVolume[cur])
+    );
+    if (tier && tier.rate < policy.rate) {
+      const detail = `30d volume tier ${Math.round(tier.rate * 100)}%`;
+      policy = { rate: tier.rate, rule: "volume", detail, endsAt: null };
+    }
+  }
+  return policy;
+}
+
+// Politique de commission au format réponse API (dates ISO, volume 30 jours)
+function formatCommissionPolicy(userData) {
+  const policy = getCommissionPolicy(userData);
+  const volume = (userData && userData.commissionVolume) || {};
+  return {
+    rate: policy.rate,
+    rule: policy.rule,
+    detail: policy.detail,
+    endsAt: policy.endsAt ? policy.endsAt.toISOString() : null,
+    volume30d: volume.byCurrency || {},
+  };
 }
 
 // Enregistre un évènement de génération de lien (produit)
-async function recordLinkGeneration(uid, productId) {
+async function recordLinkGeneration(uid, productId, expirationDate) {
   const now = new Date();
   const year = now.getFullYear();
   const month = now.getMonth() + 1;
@@ -161,10 +392,188 @@ async function recordLinkGeneration(uid, productId) {
     day,
     hour,
     minute,
-    expiresAt: admin.firestore.Timestamp.fromDate(getProductExpirationDate(now)),
+    expiresAt: expirationDate ? admin.firestore.Timestamp.fromDate(expirationDate) : null,
+  });
+}
+
+function normalizeCurrency(currency) {
+  return String(currency || DEFAULT_CURRENCY).toUpperCase();
+}
+
+// Conversion montant <-> plus petite unité Stripe (centimes, sauf devises sans décimales)
+function toStripeAmount(amount, currency) {
+  const factor = ZERO_DECIMAL_CURRENCIES.includes(normalizeCurrency(currency)) ? 1 : 100;
+  return Math.round(Number(amount) * factor);
+}
+
+function fromStripeAmount(amount, currency) {
+  const factor = ZERO_DECIMAL_CURRENCIES.includes(normalizeCurrency(currency)) ? 1 : 100;
+  return Number(amount || 0) / factor;
+}
+
+function roundMoney(amount, currency) {
+  const factor = ZERO_DECIMAL_CURRENCIES.includes(normalizeCurrency(currency)) ? 1 : 100;
+  return Math.round(Number(amount || 0) * factor) / factor;
+}
+
+function formatMoney(amount, currency) {
+  return new Intl.NumberFormat("en-US", { style: "currency", currency: normalizeCurrency(currency) }).format(
+    Number(amount || 0)
+  );
+}
+
+/**
+ * Soldes vendeur par devise: le champ historique users.balance porte l'USD,
+ * les autres devises sont dans users.balances.<DEVISE>.
+ */
+function getBalanceField(currency) {
+  const cur = normalizeCurrency(currency);
+  return cur === "USD" ? "balance" : `balances.${cur}`;
+}
+
+function getUserBalances(userData) {
+  const balances = { USD: Number((userData && userData.balance) || 0) };
+  Object.entries((userData && userData.balances) || {}).forEach(([cur, amount]) => {
+    if (cur !== "USD") balances[cur] = Number(amount || 0);
+  });
+  return balances;
+}
+
+// Fonds en rétention, même découpage: users.pendingBalance (USD) et users.pendingBalances.<DEVISE>
+function getUserPendingBalances(userData) {
+  const pending = { USD: Number((userData && userData.pendingBalance) || 0) };
+  Object.entries((userData && userData.pendingBalances) || {}).forEach(([cur, amount]) => {
+    if (cur !== "USD") pending[cur] = Number(amount || 0);
+  });
+  return pending;
+}
+
+// Compte vendeur du grand livre → solde projeté sur users ([champ] ou [champ, devise])
+function getLedgerBalancePath(account, currency) {
+  const cur = normalizeCurrency(currency);
+  if (account === "seller_available") return cur === "USD" ? ["balance"] : ["balances", cur];
+  if (account === "seller_pending") return cur === "USD" ? ["pendingBalance"] : ["pendingBalances", cur];
+  if (account === "seller_reserved") return ["reservedBalances", cur];
+  return null;
+}
+
+// Compte vendeur crédité par une vente / débité par une reprise, selon la rétention de la commande.
+// order doit être lu dans la transaction qui écrit l'écriture: releaseOrderFunds peut changer fundsStatus
+// entre une lecture hors transaction et l'écriture (reprise sur pending alors que les fonds sont disponibles).
+function getOrderLedgerAccount(order) {
+  return order.fundsStatus === "held" ? "seller_pending" : "seller_available";
+}
+
+function getFundsHoldDays(userData) {
+  const override = userData && userData.fundsHoldDays;
+  if (typeof override === "number" && override >= 0) return Math.min(override, MAX_FUNDS_HOLD_DAYS);
+  return DEFAULT_FUNDS_HOLD_DAYS;
+}
+
+// Part vendeur nette d'une commande (après remboursements / litiges)
+function getOrderNetSellerAmount(order) {
+  if (!order || !order.sellerAmount || order.status === "cancelled") return 0;
+  return Number(order.sellerAmount || 0) - Number(order.reversedAmount || 0);
+}
+
+// Moyen de payout en cause dans une suspension (payoutHold); anciennes suspensions sans method: déduit de l'erreur
+function getPayoutHoldMethod(hold) {
+  if (!hold) return null;
+  return hold.method || (hold.errorType === "invalid_stripe_account" ? "stripe" : "paypal");
+}
+
+// Statut de paiement d'une paymentSession selon la passerelle choisie en dernier (stripeStatus / paypalStatus)
+function getPaymentSessionStatus(session) {
+  return session.gateway === "paypal" ? session.paypalStatus : session.stripeStatus;
+}
+
+// Paiement en attente sur l'une des passerelles (capture PayPal en attente, moyen Stripe différé):
+// aucune nouvelle commande Stripe ni PayPal tant qu'il n'est pas réglé (sinon double encaissement)
+function hasProcessingPayment(session) {
+  return session.stripeStatus === "processing" || session.paypalStatus === "processing";
+}
+
+// Fin de rétention d'une commande: pendingBalance → balance, une seule fois (transaction)
+async function releaseOrderFunds(orderRef) {
+  return db.runTransaction(async (tx) => {
+    const orderDoc = await tx.get(orderRef);
+    if (!orderDoc.exists || orderDoc.data().fundsStatus !== "held") return false;
+    const order = orderDoc.data();
+    const saleSnap = await tx.get(
+      db.collection("transactions").where("orderId", "==", orderRef.id).where("type", "==", "sale").limit(1)
+    );
+
+    const currency = normalizeCurrency(order.currency);
+    const amount = roundMoney(Number(order.sellerAmount || 0) - Number(order.reversedAmount || 0), currency);
+    if (amount !== 0) {
+      postLedgerEntry(tx, {
+        id: `release_${orderRef.id}`,
+        userId: order.sellerUid,
+        currency,
+        type: "funds_release",
+        orderId: orderRef.id,
+        lines: [
+          { account: "seller_pending", amount: -amount },
+          { account: "seller_available", amount },
+        ],
+      });
+    }
+    tx.update(orderRef, { fundsStatus: "available", fundsReleasedAt: admin.firestore.FieldValue.serverTimestamp() });
+    if (!saleSnap.empty) tx.update(saleSnap.docs[0].ref, { fundsStatus: "available" });
+    return true;
   });
 }
 
+// Fichiers confirmés par validateProductUpload. uploadStatus absent = produit antérieur au suivi
+// des uploads (filesUploaded y vaut false sans signification): considéré comme prêt.
+function isProductReady(product) {
+  return !product.uploadStatus || product.uploadStatus === "ready";
+}
+
+// Manifest ordonné des fichiers d'un produit: [{ name, size, type, path }].
+// Les produits à fichier unique (filePath seul) donnent un manifest d'un élément.
+function getProductFiles(product) {
+  if (product && Array.isArray(product.files) && product.files.length) return product.files;
+  if (!product || !product.filePath) return [];
+  return [{ name: product.filePath.split("/").pop(), size: null, type: null, path: product.filePath }];
+}
+
+// Type de contenu déduit de l'extension (lecteur côté access.html)
+function detectContentType(fileName) {
+  const ext = (String(fileName || "").split(".").pop() || "").toLowerCase();
+  let contentType = "other";
+  if (["mp3", "wav", "ogg"].includes(ext)) contentType = "audio";
+  else if (["mp4", "webm", "mov"].includes(ext)) contentType = "video";
+  else if (["pdf", "epub"].includes(ext)) contentType = "document";
+  return { contentType, ext };
+}
+
+// Type réel d'un fichier à partir de ses premiers octets (null si inconnu)
+function detectFileSignature(buf) {
+  if (!buf || buf.length < 4) return null;
+  const ascii = (start, end) => buf.toString("latin1", start, end);
+  const hex = (start, end) => buf.toString("hex", start, end);
+
+  if (ascii(0, 4) === "%PDF") return "pdf";
+  if (hex(0, 4) === "504b0304") return "zip";
+  if (ascii(0, 4) === "Rar!") return "rar";
+  if (hex(0, 6) === "377abcaf271c") return "7z";
+  if (hex(0, 2) === "1f8b") return "gzip";
+  if (buf.length >= 262 && ascii(257, 262) === "ustar") return "tar";
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WAVE") return "wav";
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "AVI ") return "avi";
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") return "webp";
+  if (ascii(0, 4) === "OggS") return "ogg";
+  if (ascii(0, 4) === "fLaC") return "flac";
+  if (ascii(0, 3) === "ID3" || (buf[0] === 0xff && (buf[1] & 0xe0) === 0xe0)) return "mp3";
+  if (ascii(4, 8) === "ftyp") return "mp4"; // mp4 / mov
+  if (hex(0, 4) === "1a45dfa3") return "webm"; // webm / mkv
+  if (hex(0, 3) === "ffd8ff") return "jpeg";
+  if (hex(0, 4) === "89504e47") return "png";
+  if (ascii(0, 4) === "GIF8") return "gif";
+  return null;
+}
+
 // Batch delete helper (max 500 docs)
 async function deleteQueryBatch(query) {
   const snap = await query.get();
@@ -175,6 +584,36 @@ async function deleteQueryBatch(query) {
   return snap.size;
 }
 
+/* ============================= AUTH ============================= */
+
+/**
+ * Middleware d'authentification vendeur (à chaîner dans corsMiddleware).
+ * Vérifie le Firebase ID token (Authorization: Bearer), expose req.uid / req.decodedToken,
+ * et rejette tout uid passé en body/query qui ne correspond pas au token.
+ */
+async function authenticateSeller(req, res, next) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith("Bearer "))
+    return res.status(401).json({ success: false, error: "Unauthorized" });
+
+  const idToken = authHeader.split("Bearer ")[1];
+  let decodedToken;
+  try {
+    decodedToken = await admin.auth().verifyIdToken(idToken);
+  } catch (e) {
+    console.error("Error verifying token:", e);
+    return res.status(401).json({ success: false, error: "Invalid token" });
+  }
+
+  const claimedUid = (req.body && req.body.uid) || req.query.uid;
+  if (claimedUid && claimedUid !== decodedToken.uid)
+    return res.status(403).json({ success: false, error: "Forbidden" });
+
+  req.uid = decodedToken.uid;
+  req.decodedToken = decodedToken;
+  return next();
+}
+
 /* ============================= EMAIL NOTIFICATIONS ============================= */
 
 async function sendEmailNotification(emailType, data) {
@@ -219,10 +658,13 @@ async function sendEmailNotification(emailType, data) {
               <p style="font-size:14px;color:#ddd;line-height:1.4;">Your product has been purchased.</p>
               <div style="margin:15px 0;padding:10px;background:#222;border-radius:10px;border-left:3px solid ${colors.primary};">
                 <p style="margin:5px 0;"><strong>Product:</strong> ${data.productTitle}</p>
-                <p style="margin:5px 0;"><strong>Amount:</strong> $${Number(data.amount).toFixed(2)}</p>
-                <p style="margin:5px 0;"><strong>Your Earnings:</strong> <span style="color:${colors.secondary};font-weight:bold;">$${Number(data.sellerAmount).toFixed(2)}</span></p>
+                <p style="margin:5px 0;"><strong>Amount:</strong> ${formatMoney(data.amount, data.currency)}</p>
+                <p style="margin:5px 0;"><strong>Your Earnings:</strong> <span style="color:${colors.secondary};font-weight:bold;">${formatMoney(data.sellerAmount, data.currency)}</span></p>
               </div>
-              <p style="font-size:14px;color:#ddd;line-height:1.4;">Weekly payouts every Friday for balances of $10 or more.</p>
+              <p style="font-size:14px;color:#ddd;line-height:1.4;">Weekly payouts every Friday for balances of ${formatMoney(
+                MIN_PAYOUT_BY_CURRENCY[normalizeCurrency(data.currency)] || MIN_PAYOUT,
+                data.currency
+              )} or more.</p>
               <div style="text-align:center;margin-top:15px;">
                 <a href="https://www.g-z.online/dashboard.html" style="background:${colors.primary};color:white;padding:8px 16px;text-decoration:none;border-radius:10px;font-weight:bold;display:inline-block;font-size:14px;">View Dashboard</a>
               </div>
@@ -251,8 +693,15 @@ async function sendEmailNotification(emailType, data) {
           console.error("Error getting user stats for email:", e);
         }
 
+        // method "stripe": virement vers le compte Stripe Connect, envoyé à l'email du compte (data.email)
+        const viaStripe = data.method === "stripe";
+        const destination = viaStripe ? "Stripe account" : "PayPal account";
+        const destinationRow = viaStripe
+          ? `<p style="margin:5px 0;"><strong>Destination:</strong> Stripe Connect (bank account)</p>`
+          : `<p style="margin:5px 0;"><strong>PayPal Email:</strong> ${data.paypalEmail}</p>`;
+
         emailContent = {
-          to: data.paypalEmail,
+          to: data.email || data.paypalEmail,
           from: { email: "noreply@g-z.online", name: "Monetizelt" },
           subject: "Your Monetizelt Payout Has Been Processed",
           html: `
@@ -260,10 +709,10 @@ async function sendEmailNotification(emailType, data) {
             ${emailHeader}
             <div style="background:#111;padding:15px;border-radius:10px;border-top:2px solid ${colors.primary};">
               <h2 style="margin-top:0;font-size:16px;">Hello ${firstName},</h2>
-              <p style="font-size:14px;color:#ddd;line-height:1.4;">We've sent a payment to your PayPal account.</p>
+              <p style="font-size:14px;color:#ddd;line-height:1.4;">We've sent a payment to your ${destination}.</p>
               <div style="margin:15px 0;padding:10px;background:#222;border-radius:10px;border-left:3px solid ${colors.primary};">
-                <p style="margin:5px 0;"><strong>Amount:</strong> <span style="color:${colors.secondary};font-weight:bold;">$${Number(data.amount).toFixed(2)}</span></p>
-                <p style="margin:5px 0;"><strong>PayPal Email:</strong> ${data.paypalEmail}</p>
+                <p style="margin:5px 0;"><strong>Amount:</strong> <span style="color:${colors.secondary};font-weight:bold;">${formatMoney(data.amount, data.currency)}</span></p>
+                ${destinationRow}
               </div>
               <div style="margin:15px 0;padding:10px;background:#222;border-radius:10px;border-left:3px solid ${colors.accent};">
                 <p style="margin:5px 0;"><strong>Your Statistics:</strong></p>
@@ -271,7 +720,7 @@ async function sendEmailNotification(emailType, data) {
                 <p style="margin:5px 0;"><strong>Total Orders:</strong> ${userStats.totalOrders}</p>
                 <p style="margin:5px 0;"><strong>Total Views:</strong> ${userStats.totalViews}</p>
               </div>
-              <p style="font-size:14px;color:#ddd;line-height:1.4;">The funds should appear in your PayPal account shortly.</p>
+              <p style="font-size:14px;color:#ddd;line-height:1.4;">The funds should appear in your ${destination} shortly.</p>
               <div style="text-align:center;margin-top:15px;">
                 <a href="https://www.g-z.online/dashboard.html" style="background:${colors.primary};color:white;padding:8px 16px;text-decoration:none;border-radius:10px;font-weight:bold;display:inline-block;font-size:14px;">View Dashboard</a>
               </div>
@@ -282,8 +731,24 @@ async function sendEmailNotification(emailType, data) {
         break;
       }
       case "payout_failed": {
+        const viaStripe = data.method === "stripe";
+        const destinationRow = viaStripe
+          ? `<p style="margin:5px 0;"><strong>Destination:</strong> Stripe Connect (bank account)</p>`
+          : `<p style="margin:5px 0;"><strong>PayPal Email:</strong> ${data.paypalEmail}</p>`;
+        const action = viaStripe
+          ? {
+              text: "Please check your Stripe setup to ensure you receive future payments.",
+              label: "Open Dashboard",
+              url: "https://www.g-z.online/dashboard.html",
+            }
+          : {
+              text: "Please update your PayPal email to ensure you receive future payments.",
+              label: "Update PayPal Email",
+              url: "https://www.g-z.online/update-e-p.html",
+            };
+
         emailContent = {
-          to: data.paypalEmail,
+          to: data.email || data.paypalEmail,
           from: { email: "noreply@g-z.online", name: "Monetizelt" },
           subject: "Action Required: Problem with Your Payout",
           html: `
@@ -293,13 +758,13 @@ async function sendEmailNotification(emailType, data) {
               <h2 style="margin-top:0;font-size:16px;">Payment Issue</h2>
               <p style="font-size:14px;color:#ddd;line-height:1.4;">We encountered a problem when trying to send your payment.</p>
               <div style="margin:15px 0;padding:10px;background:#222;border-radius:10px;border-left:3px solid #dc3545;">
-                <p style="margin:5px 0;"><strong>Amount:</strong> <span style="font-weight:bold;">$${Number(data.amount).toFixed(2)}</span></p>
-                <p style="margin:5px 0;"><strong>PayPal Email:</strong> ${data.paypalEmail}</p>
+                <p style="margin:5px 0;"><strong>Amount:</strong> <span style="font-weight:bold;">${formatMoney(data.amount, data.currency)}</span></p>
+                ${destinationRow}
                 <p style="margin:5px 0;"><strong>Issue:</strong> ${data.error}</p>
               </div>
-              <p style="font-size:14px;color:#ddd;line-height:1.4;">Please update your PayPal email to ensure you receive future payments.</p>
+              <p style="font-size:14px;color:#ddd;line-height:1.4;">${action.text}</p>
               <div style="text-align:center;margin-top:15px;">
-                <a href="https://www.g-z.online/update-e-p.html" style="background:${colors.primary};color:white;padding:8px 16px;text-decoration:none;border-radius:10px;font-weight:bold;display:inline-block;font-size:14px;">Update PayPal Email</a>
+                <a href="${action.url}" style="background:${colors.primary};color:white;padding:8px 16px;text-decoration:none;border-radius:10px;font-weight:bold;display:inline-block;font-size:14px;">${action.label}</a>
               </div>
             </div>
             <div style="margin-top:15px;font-size:11px;color:#777;text-align:center;">© ${new Date().getFullYear()} Monetizelt</div>
@@ -359,10 +824,10 @@ async function sendEmailNotification(emailType, data) {
             ${emailHeader}
             <div style="background:#111;padding:15px;border-radius:10px;border-top:2px solid ${colors.primary};">
               <h2 style="margin-top:0;font-size:16px;">Payment Day, However...</h2>
-              <p style="font-size:14px;color:#ddd;line-height:1.4;">Today is payment day, but your current balance is below the $${MIN_PAYOUT} minimum payout threshold.</p>
+              <p style="font-size:14px;color:#ddd;line-height:1.4;">Today is payment day, but your current balance is below the ${formatMoney(data.minPayout || MIN_PAYOUT, data.currency)} minimum payout threshold.</p>
               <div style="margin:15px 0;padding:10px;background:#222;border-radius:10px;border-left:3px solid ${colors.primary};">
-                <p style="margin:5px 0;"><strong>Your Current Balance:</strong> <span style="color:${colors.secondary};font-weight:bold;">$${Number(data.balance).toFixed(2)}</span></p>
-                <p style="margin:5px 0;"><strong>Minimum Threshold:</strong> $${MIN_PAYOUT.toFixed(2)}</p>
+                <p style="margin:5px 0;"><strong>Your Current Balance:</strong> <span style="color:${colors.secondary};font-weight:bold;">${formatMoney(data.balance, data.currency)}</span></p>
+                <p style="margin:5px 0;"><strong>Minimum Threshold:</strong> ${formatMoney(data.minPayout || MIN_PAYOUT, data.currency)}</p>
               </div>
               <p style="font-size:14px;color:#ddd;line-height:1.4;">Keep selling! Your balance will carry over until you reach the minimum payout amount.</p>
               <div style="text-align:center;margin-top:15px;">
@@ -399,6 +864,81 @@ async function sendEmailNotification(emailType, data) {
         };
         break;
       }
+      case "refund_notification": {
+        emailContent = {
+          to: data.buyerEmail,
+          from: { email: "noreply@g-z.online", name: "Monetizelt" },
+          subject: `Refund Issued: ${data.productTitle}`,
+          html: `
+          <div style="font-family:Segoe UI,Tahoma,Geneva,Verdana,sans-serif;max-width:500px;margin:0 auto;padding:15px;background:${colors.dark};color:white;border-radius:10px;">
+            ${emailHeader}
+            <div style="background:#111;padding:15px;border-radius:10px;border-top:2px solid ${colors.primary};">
+              <h2 style="margin-top:0;font-size:16px;">Refund Issued</h2>
+              <p style="font-size:14px;color:#ddd;line-height:1.4;">The seller has issued a ${data.fullRefund ? "full" : "partial"} refund for your purchase.</p>
+              <div style="margin:15px 0;padding:10px;background:#222;border-radius:10px;border-left:3px solid ${colors.primary};">
+                <p style="margin:5px 0;"><strong>Product:</strong> ${data.productTitle}</p>
+                <p style="margin:5px 0;"><strong>Refunded Amount:</strong> <span style="color:${colors.secondary};font-weight:bold;">${formatMoney(data.refundAmount, data.currency)}</span></p>
+                <p style="margin:5px 0;"><strong>Original Price:</strong> ${formatMoney(data.amount, data.currency)}</p>
+              </div>
+              <p style="font-size:14px;color:#ddd;line-height:1.4;">The refund will appear on your statement within 5 to 10 business days.${
+                data.fullRefund ? " Your access link for this product is no longer active." : ""
+              }</p>
+            </div>
+            <div style="margin-top:15px;font-size:11px;color:#777;text-align:center;">© ${new Date().getFullYear()} Monetizelt</div>
+          </div>`,
+        };
+        break;
+      }
+
+      case "fulfillment_refund": {
+        emailContent = {
+          to: data.buyerEmail,
+          from: { email: "noreply@g-z.online", name: "Monetizelt" },
+          subject: `Your payment for ${data.productTitle} has been refunded`,
+          html: `
+          <div style="font-family:Segoe UI,Tahoma,Geneva,Verdana,sans-serif;max-width:500px;margin:0 auto;padding:15px;background:${colors.dark};color:white;border-radius:10px;">
+            ${emailHeader}
+            <div style="background:#111;padding:15px;border-radius:10px;border-top:2px solid ${colors.primary};">
+              <h2 style="margin-top:0;font-size:16px;">Order Could Not Be Delivered</h2>
+              <p style="font-size:14px;color:#ddd;line-height:1.4;">We received your payment but could not deliver your purchase. ${data.reason}</p>
+              <div style="margin:15px 0;padding:10px;background:#222;border-radius:10px;border-left:3px solid ${colors.primary};">
+                <p style="margin:5px 0;"><strong>Product:</strong> ${data.productTitle}</p>
+                <p style="margin:5px 0;"><strong>Refunded Amount:</strong> <span style="color:${colors.secondary};font-weight:bold;">${formatMoney(data.amount, data.currency)}</span></p>
+              </div>
+              <p style="font-size:14px;color:#ddd;line-height:1.4;">You have been refunded in full. The refund will appear on your statement within 5 to 10 business days.</p>
+            </div>
+            <div style="margin-top:15px;font-size:11px;color:#777;text-align:center;">© ${new Date().getFullYear()} Monetizelt</div>
+          </div>`,
+        };
+        break;
+      }
+
+      case "balance_adjustment": {
+        const isCredit = data.amount > 0;
+        const accent = isCredit ? colors.secondary : "#dc3545";
+        emailContent = {
+          to: data.sellerEmail,
+          from: { email: "noreply@g-z.online", name: "Monetizelt" },
+          subject: isCredit ? "Your balance has been credited" : "An adjustment was made to your balance",
+          html: `
+          <div style="font-family:Segoe UI,Tahoma,Geneva,Verdana,sans-serif;max-width:500px;margin:0 auto;padding:15px;background:${colors.dark};color:white;border-radius:10px;">
+            ${emailHeader}
+            <div style="background:#111;padding:15px;border-radius:10px;border-top:2px solid ${accent};">
+              <h2 style="margin-top:0;font-size:16px;">Balance ${isCredit ? "Credit" : "Debit"}</h2>
+              <p style="font-size:14px;color:#ddd;line-height:1.4;">Our support team made an adjustment to your Monetizelt balance.</p>
+              <div style="margin:15px 0;padding:10px;background:#222;border-radius:10px;border-left:3px solid ${accent};">
+                <p style="margin:5px 0;"><strong>Amount:</strong> <span style="color:${accent};font-weight:bold;">${isCredit ? "+" : "-"}${formatMoney(Math.abs(data.amount), data.currency)}</span></p>
+                <p style="margin:5px 0;"><strong>Reason:</strong> ${data.reason}</p>
+                <p style="margin:5px 0;"><strong>Details:</strong> ${data.note}</p>
+                <p style="margin:5px 0;"><strong>New Balance:</strong> ${formatMoney(data.balance, data.currency)}</p>
+              </div>
+              <p style="font-size:14px;color:#ddd;line-height:1.4;">If you have questions about this adjustment, reply to our support team from your dashboard.</p>
+            </div>
+            <div style="margin-top:15px;font-size:11px;color:#777;text-align:center;">© ${new Date().getFullYear()} Monetizelt</div>
+          </div>`,
+        };
+        break;
+      }
     }
 
     if (!emailContent) return false;
@@ -412,414 +952,1297 @@ async function sendEmailNotification(emailType, data) {
 
 /* ============================= PAYOUTS HELPER ============================= */
 
-async function processPayout(userId, amount, paypalEmail) {
+/**
+ * Pipeline de payout unique (processWeeklyPayouts et weeklyPayouts appellent runPayoutPipeline).
+ * Chaque payout est un document payouts/{userId}_{devise}_{période} qui suit la machine d'états:
+ *   pending (solde réservé) → submitted (batch PayPal créé) → succeeded | failed | returned
+ * L'id est déterministe et sert de sender_batch_id PayPal: relancer le pipeline (retry, double déclenchement)
+ * ne crée ni ne paie jamais un second payout pour la même période.
+ */
+
+/**
+ * Période de payout selon la fréquence du vendeur: un seul payout programmé par période et par devise.
+ * weekly: semaine ISO ("2026-W42"), biweekly: paire de semaines ISO ("2026-B21"), monthly: mois ("2026-M10").
+ * Le pipeline tourne chaque vendredi: un vendeur mensuel est payé le premier vendredi du mois.
+ */
+function getPayoutPeriodKey(date = new Date(), frequency = DEFAULT_PAYOUT_FREQUENCY) {
+  if (frequency === "monthly") {
+    return `${date.getUTCFullYear()}-M${String(date.getUTCMonth() + 1).padStart(2, "0")}`;
+  }
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const day = d.getUTCDay() || 7;
+  d.setUTCDate(d.getUTCDate() + 4 - day);
+  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((d - yearStart) / 86400000 + 1) / 7);
+  if (frequency === "biweekly") return `${d.getUTCFullYear()}-B${String(Math.ceil(week / 2)).padStart(2, "0")}`;
+  return `${d.getUTCFullYear()}-W${String(week).padStart(2, "0")}`;
+}
+
+// Préférences de payout d'un vendeur, avec valeurs par défaut
+function getPayoutPreferences(userData) {
+  const prefs = (userData && userData.payoutPreferences) || {};
+  return {
+    frequency: PAYOUT_FREQUENCIES.includes(prefs.frequency) ? prefs.frequency : DEFAULT_PAYOUT_FREQUENCY,
+    thresholds: prefs.thresholds || {},
+  };
+}
+
+// Seuil effectif: seuil choisi par le vendeur, jamais sous le minimum plateforme
+function getPayoutThreshold(userData, currency) {
+  const custom = Number(getPayoutPreferences(userData).thresholds[currency] || 0);
+  return Math.max(MIN_PAYOUT_BY_CURRENCY[currency], custom);
+}
+
+function getPayoutMethod(userData) {
+  const method = userData && userData.payoutMethod;
+  return PAYOUT_METHODS.includes(method) ? method : DEFAULT_PAYOUT_METHOD;
+}
+
+function getPayoutMethodCurrencies(method) {
+  return method === "stripe" ? STRIPE_CONNECT_PAYOUT_CURRENCIES : PAYPAL_PAYOUT_CURRENCIES;
+}
+
+// Le vendeur peut-il recevoir un payout par ce moyen (email PayPal valide / compte Connect actif) ?
+function canReceivePayout(userData, method = getPayoutMethod(userData)) {
+  if (method === "stripe") {
+    return Boolean(userData.stripeAccountId && userData.stripeConnect && userData.stripeConnect.payoutsEnabled);
+  }
+  return isEmail(userData.paypalEmail);
+}
+
+// Frais de payout: PayPal Payouts refacturé au vendeur, virement Stripe Connect sans frais côté vendeur
+function getPayoutFee(method, grossAmount, currency) {
+  if (method === "stripe") return 0;
+  return roundMoney(PAYPAL_FEE_FIXED + grossAmount * PAYPAL_FEE_RATE, currency);
+}
+
+// Payout encore en cours pour ce vendeur (un seul retrait à la demande à la fois)
+const OPEN_PAYOUT_STATUSES = ["pending", "submitting", "submitted", "retry_scheduled", "needs_review"];
+
+/**
+ * Réservation de l'envoi (pending → submitting) en transaction: une seule exécution appelle PayPal / Stripe.
+ * Un "submitting" plus ancien que PAYOUT_SUBMIT_STALE_MS (exécution morte pendant l'appel) peut être repris.
+ * Retourne le payout réservé, ou null.
+ */
+async function claimPayoutSubmission(payoutRef) {
+  return db.runTransaction(async (tx) => {
+    const payoutDoc = await tx.get(payoutRef);
+    if (!payoutDoc.exists) return null;
+    const payout = payoutDoc.data();
+    const submittingAt = payout.submittingAt ? payout.submittingAt.toMillis() : 0;
+    const stale = payout.status === "submitting" && Date.now() - submittingAt > PAYOUT_SUBMIT_STALE_MS;
+    if (payout.status !== "pending" && !stale) return null;
+
+    tx.update(payoutRef, {
+      status: "submitting",
+      submittingAt: admin.firestore.Timestamp.now(),
+      submitAttempts: admin.firestore.FieldValue.increment(1),
+      statusHistory: admin.firestore.FieldValue.arrayUnion({
+        status: "submitting",
+        at: admin.firestore.Timestamp.now(),
+      }),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return payout;
+  });
+}
+
+// Refus PayPal d'un sender_batch_id déjà utilisé (erreur structurée renvoyée par l'API Payouts)
+function isPaypalDuplicateBatchError(paypalError) {
+  let body = null;
   try {
-    const payoutFee = PAYPAL_FEE_FIXED + amount * PAYPAL_FEE_RATE;
-    const netAmount = Number(amount) - payoutFee;
-    if (netAmount <= 0) throw new Error("Amount after fees is not positive");
+    body = JSON.parse(paypalError.message || "");
+  } catch (e) {
+    return false;
+  }
+  const issues = [body.name, ...(body.details || []).map((d) => d.issue)];
+  return issues.includes("SENDER_BATCH_ID_ALREADY_USED");
+}
 
-    const environment =
-      process.env.NODE_ENV === "production"
-        ? new paypalPayouts.core.LiveEnvironment(paypalClientId.value(), paypalClientSecret.value())
-        : new paypalPayouts.core.SandboxEnvironment(paypalClientId.value(), paypalClientSecret.value());
+// Client REST PayPal (Payouts, Orders, webhooks): execute() accepte aussi une requête brute { path, verb, body }
+function getPaypalClient() {
+  const environment =
+    process.env.NODE_ENV === "production"
+      ? new paypalPayouts.core.LiveEnvironment(paypalClientId.value(), paypalClientSecret.value())
+      : new paypalPayouts.core.SandboxEnvironment(paypalClientId.value(), paypalClientSecret.value());
 
-    const payoutsClient = new paypalPayouts.core.PayPalHttpClient(environment);
+  if (!paypalPayouts.payouts || !paypalPayouts.payouts.PayoutsPostRequest) {
+    throw new Error("PayPal Payouts SDK not correctly loaded");
+  }
+  return new paypalPayouts.core.PayPalHttpClient(environment);
+}
 
-    if (!paypalPayouts.payouts || !paypalPayouts.payouts.PayoutsPostRequest) {
-      throw new Error("PayPal Payouts SDK not correctly loaded");
+/**
+ * Étape 1 (pending): crée le payout de la période et réserve le solde dans la même transaction.
+ * Le montant passe de seller_available à seller_reserved (users.reservedBalances.{devise}).
+ * Idempotent: retourne le payout existant.
+ * options.onDemand: retrait demandé par le vendeur (requestPayout), refusé si un autre payout est en cours;
+ * le seuil personnel ne s'applique pas, seul le minimum plateforme compte.
+ */
+async function reservePayout(userId, currency, periodKey, options = {}) {
+  currency = normalizeCurrency(currency);
+  const payoutRef = db.collection("payouts").doc(`${userId}_${currency}_${periodKey}`);
+  const userRef = db.collection("users").doc(userId);
+  const openPayoutsQuery = db
+    .collection("payouts")
+    .where("userId", "==", userId)
+    .where("status", "in", OPEN_PAYOUT_STATUSES)
+    .limit(1);
+
+  return db.runTransaction(async (tx) => {
+    const [payoutDoc, userDoc] = await Promise.all([tx.get(payoutRef), tx.get(userRef)]);
+    if (payoutDoc.exists) return payoutRef;
+    if (!userDoc.exists) return null;
+    if (options.onDemand && !(await tx.get(openPayoutsQuery)).empty) {
+      throw new Error("A payout is already in progress");
     }
 
-    const request = new paypalPayouts.payouts.PayoutsPostRequest();
-    request.requestBody({
-      sender_batch_header: {
-        sender_batch_id: "batch_" + Date.now(),
-        email_subject: "You have a payout!",
+    const user = userDoc.data();
+    if (user.payoutHold) return null; // suspendu jusqu'à correction par le vendeur (updatePaypalEmail)
+    const grossAmount = roundMoney(getUserBalances(user)[currency] || 0, currency);
+    const threshold = options.onDemand ? MIN_PAYOUT_BY_CURRENCY[currency] : getPayoutThreshold(user, currency);
+    const method = getPayoutMethod(user);
+    if (!getPayoutMethodCurrencies(method).includes(currency)) return null;
+    if (grossAmount < threshold || !canReceivePayout(user, method)) return null;
+
+    const payoutFee = getPayoutFee(method, grossAmount, currency);
+    const netAmount = roundMoney(grossAmount - payoutFee, currency);
+    if (netAmount <= 0) return null;
+
+    postLedgerEntry(tx, {
+      id: `${payoutRef.id}_reserve`,
+      userId,
+      currency,
+      type: "payout_reserve",
+      payoutId: payoutRef.id,
+      lines: [
+        { account: "seller_available", amount: -grossAmount },
+        { account: "seller_reserved", amount: grossAmount },
+      ],
+    });
+    tx.set(payoutRef, {
+      userId,
+      currency,
+      periodKey,
+      grossAmount,
+      payoutFee,
+      netAmount,
+      method,
+      paypalEmail: method === "paypal" ? user.paypalEmail : null,
+      stripeAccountId: method === "stripe" ? user.stripeAccountId : null,
+      senderBatchId: `payout_${payoutRef.id}`,
+      trigger: options.onDemand ? "on_demand" : "schedule",
+      retryCount: 0,
+      status: "pending",
+      statusHistory: [{ status: "pending", at: admin.firestore.Timestamp.now() }],
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return payoutRef;
+  });
+}
+
+/**
+ * Étape 2 (pending → submitting → submitted): envoie le batch PayPal avec le sender_batch_id déterministe,
+ * après réservation de l'envoi (claimPayoutSubmission). L'id de batch est enregistré dès la réponse.
+ * PayPal refuse un sender_batch_id déjà utilisé (envoi interrompu puis rejoué): le payout passe "submitted"
+ * sans id de batch, l'id arrive avec le webhook de l'item; sinon syncPayoutStatus le passe en "needs_review".
+ * Erreur définitive → failed (la réservation est rendue au solde).
+ */
+async function submitPayout(payoutRef) {
+  const payout = await claimPayoutSubmission(payoutRef);
+  if (!payout) {
+    const current = await payoutRef.get();
+    return current.exists ? current.data() : null;
+  }
+  if (payout.method === "stripe") return submitStripeTransfer(payoutRef, payout);
+  const decimals = ZERO_DECIMAL_CURRENCIES.includes(payout.currency) ? 0 : 2;
+
+  const request = new paypalPayouts.payouts.PayoutsPostRequest();
+  request.requestBody({
+    sender_batch_header: {
+      sender_batch_id: payout.senderBatchId,
+      email_subject: "You have a payout!",
+    },
+    items: [
+      {
+        recipient_type: "EMAIL",
+        amount: { value: payout.netAmount.toFixed(decimals), currency: payout.currency },
+        receiver: payout.paypalEmail,
+        note: payout.trigger === "on_demand" ? "Withdrawal" : "Scheduled payout",
+        sender_item_id: payoutRef.id,
       },
-      items: [
+    ],
+  });
+
+  try {
+    const resp = await getPaypalClient().execute(request);
+    const batchHeader = resp.result.batch_header || {};
+    await setPayoutStatus(payoutRef, "submitted", {
+      paypalBatchId: batchHeader.payout_batch_id || null,
+      paypalBatchStatus: batchHeader.batch_status || null,
+      submittedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  } catch (paypalError) {
+    const msg = paypalError.message || "";
+    if (isPaypalDuplicateBatchError(paypalError)) {
+      // Batch déjà créé par une exécution interrompue: id et issue arriveront via le webhook de l'item
+      await setPayoutStatus(payoutRef, "submitted", {
+        duplicateSubmission: true,
+        submittedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return (await payoutRef.get()).data();
+    }
+
+    console.error("PayPal payout error:", paypalError);
+    let errorType = "unknown";
+    let errorMessage = "An unknown error occurred";
+    if (msg.toLowerCase().includes("insufficient")) {
+      errorType = "insufficient_funds";
+      errorMessage = "Insufficient funds in the PayPal account";
+    } else if (msg.toLowerCase().includes("invalid") && msg.toLowerCase().includes("receiver")) {
+      errorType = "invalid_paypal";
+      errorMessage = "The PayPal email provided is invalid or not able to receive payments";
+    }
+
+    await failPayout(payoutRef, "failed", { errorType, errorMessage, originalError: msg || "No error message" });
+  }
+
+  return (await payoutRef.get()).data();
+}
+
+/**
+ * Variante Stripe Connect de l'étape 2: transfert vers le compte Express du vendeur (Stripe verse ensuite
+ * sur son compte bancaire selon son propre calendrier). Le transfert est synchrone: submitting → succeeded,
+ * réglé dans la même transaction que l'enregistrement de stripeTransferId (pas d'état intermédiaire).
+ * transfer_group = id du payout: une tentative dont la réponse a été perdue est retrouvée avant de recréer.
+ */
+async function submitStripeTransfer(payoutRef, payout) {
+  if (!stripe) stripe = require("stripe")(stripeSecretKey.value());
+
+  try {
+    const existing = await stripe.transfers.list({ transfer_group: payoutRef.id, limit: 1 });
+    const transfer =
+      existing.data[0] ||
+      (await stripe.transfers.create(
         {
-          recipient_type: "EMAIL",
-          amount: { value: netAmount.toFixed(2), currency: "USD" },
-          receiver: paypalEmail,
-          note: "Weekly payout",
-          sender_item_id: userId,
+          amount: toStripeAmount(payout.netAmount, payout.currency),
+          currency: payout.currency.toLowerCase(),
+          destination: payout.stripeAccountId,
+          transfer_group: payoutRef.id,
+          description: payout.trigger === "on_demand" ? "Withdrawal" : "Scheduled payout",
+          metadata: { payoutId: payoutRef.id, userId: payout.userId },
         },
-      ],
+        { idempotencyKey: `${payout.senderBatchId}_${payout.retryCount || 0}` }
+      ));
+
+    await settlePayout(payoutRef, "succeeded", {
+      stripeTransferId: transfer.id,
+      submittedAt: admin.firestore.FieldValue.serverTimestamp(),
     });
+  } catch (stripeError) {
+    console.error("Stripe transfer error:", stripeError);
+    const code = stripeError.code || "";
+    let errorType = "unknown";
+    let errorMessage = "An unknown error occurred";
+    if (code === "balance_insufficient") {
+      errorType = "insufficient_funds";
+      errorMessage = "Insufficient funds in the platform Stripe balance";
+    } else if (
+      ["account_invalid", "no_account", "account_closed"].includes(code) ||
+      stripeError.type === "StripePermissionError"
+    ) {
+      errorType = "invalid_stripe_account";
+      errorMessage = "The connected Stripe account cannot receive transfers";
+    }
 
-    try {
-      const resp = await payoutsClient.execute(request);
+    await failPayout(payoutRef, "failed", {
+      errorType,
+      errorMessage,
+      originalError: stripeError.message || "No error message",
+    });
+  }
 
-      // Débiter le solde utilisateur
-      await db.collection("users").doc(userId).update({
-        balance: admin.firestore.FieldValue.increment(-Number(amount)),
-        lastPayout: admin.firestore.FieldValue.serverTimestamp(),
-      });
+  return (await payoutRef.get()).data();
+}
+
+// Transition d'état simple (non terminale), tracée dans statusHistory
+async function setPayoutStatus(payoutRef, status, fields = {}) {
+  await payoutRef.update({
+    ...fields,
+    status,
+    statusHistory: admin.firestore.FieldValue.arrayUnion({ status, at: admin.firestore.Timestamp.now() }),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+}
 
-      // Historique de payout
-      await db.collection("payoutHistory").add({
-        userId,
-        amount: netAmount,
-        grossAmount: Number(amount),
-        payoutFee,
-        paypalEmail,
+/**
+ * Étape 3 (submitted/pending → succeeded | failed | returned), en une transaction et une seule fois:
+ * - succeeded: la réservation est consommée (écriture "payout"), historique payoutHistory + transaction "payout"
+ * - failed / returned: la réservation revient au solde disponible (écriture "payout_release"),
+ *   erreur tracée dans payoutErrors
+ * Les emails vendeur partent après le commit.
+ */
+async function settlePayout(payoutRef, outcome, details = {}) {
+  const settled = await db.runTransaction(async (tx) => {
+    const payoutDoc = await tx.get(payoutRef);
+    if (!payoutDoc.exists) return null;
+    const payout = payoutDoc.data();
+    if (["succeeded", "failed", "returned"].includes(payout.status)) return null;
+
+    if (outcome === "succeeded") {
+      postLedgerEntry(
+        tx,
+        {
+          id: `${payoutRef.id}_paid`,
+          userId: payout.userId,
+          currency: payout.currency,
+          type: "payout",
+          payoutId: payoutRef.id,
+          lines: [
+            { account: "seller_reserved", amount: -payout.grossAmount },
+            { account: "payouts_sent", amount: payout.netAmount },
+            { account: "processor_fees", amount: Number(payout.payoutFee || 0) },
+          ],
+        },
+        { userFields: { lastPayout: admin.firestore.FieldValue.serverTimestamp() } }
+      );
+      tx.set(db.collection("payoutHistory").doc(), {
+        userId: payout.userId,
+        payoutId: payoutRef.id,
+        amount: payout.netAmount,
+        grossAmount: payout.grossAmount,
+        payoutFee: payout.payoutFee,
+        currency: payout.currency,
+        method: payout.method || "paypal",
+        paypalEmail: payout.paypalEmail,
+        stripeTransferId: details.stripeTransferId || payout.stripeTransferId || null,
         status: "completed",
-        batchId: resp.result.batch_header.payout_batch_id,
+        batchId: payout.paypalBatchId || details.paypalBatchId || null,
         timestamp: admin.firestore.FieldValue.serverTimestamp(),
       });
-
-      // Transaction payout
-      await db.collection("transactions").add({
-        userId,
+      tx.set(db.collection("transactions").doc(), {
+        userId: payout.userId,
+        payoutId: payoutRef.id,
         type: "payout",
-        amount: netAmount,
-        grossAmount: Number(amount),
-        payoutFee,
+        amount: payout.netAmount,
+        grossAmount: payout.grossAmount,
+        payoutFee: payout.payoutFee,
+        currency: payout.currency,
+        method: payout.method || "paypal",
         date: admin.firestore.FieldValue.serverTimestamp(),
         createdAt: admin.firestore.FieldValue.serverTimestamp(),
         status: "completed",
       });
-
-      return resp;
-    } catch (paypalError) {
-      console.error("PayPal payout error:", paypalError);
-
-      let errorType = "unknown";
-      let errorMessage = "An unknown error occurred";
-
-      const msg = paypalError.message || "";
-      if (msg.toLowerCase().includes("insufficient")) {
-        errorType = "insufficient_funds";
-        errorMessage = "Insufficient funds in the PayPal account";
-      } else if (msg.toLowerCase().includes("invalid") && msg.toLowerCase().includes("receiver")) {
-        errorType = "invalid_paypal";
-        errorMessage = "The PayPal email provided is invalid or not able to receive payments";
-        await sendEmailNotification("payout_failed", {
-          paypalEmail,
-          amount: Number(amount),
-          error: "Your PayPal email is not valid for receiving payments. Please update it in your dashboard.",
-        });
-      }
-
-      await db.collection("payoutErrors").add({
-        userId,
-        amount: Number(amount),
-        paypalEmail,
-        errorType,
-        errorMessage,
-        originalError: msg || "No error message",
+    } else {
+      postLedgerEntry(tx, {
+        id: `${payoutRef.id}_release`,
+        userId: payout.userId,
+        currency: payout.currency,
+        type: "payout_release",
+        payoutId: payoutRef.id,
+        lines: [
+          { account: "seller_reserved", amount: -payout.grossAmount },
+          { account: "seller_available", amount: payout.grossAmount },
+        ],
+      });
+      tx.set(db.collection("payoutErrors").doc(), {
+        userId: payout.userId,
+        payoutId: payoutRef.id,
+        amount: payout.grossAmount,
+        currency: payout.currency,
+        method: payout.method || "paypal",
+        paypalEmail: payout.paypalEmail,
+        status: outcome,
+        errorType: details.errorType || outcome,
+        errorMessage: details.errorMessage || null,
+        originalError: details.originalError || null,
         timestamp: admin.firestore.FieldValue.serverTimestamp(),
       });
-
-      throw new Error(errorMessage);
     }
-  } catch (err) {
-    console.error(`Error in processPayout for ${userId}:`, err);
-    throw err;
-  }
-}
 
-/* ============================= USER STATS HELPER ============================= */
+    tx.update(payoutRef, {
+      ...details,
+      status: outcome,
+      statusHistory: admin.firestore.FieldValue.arrayUnion({ status: outcome, at: admin.firestore.Timestamp.now() }),
+      settledAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return payout;
+  });
 
-async function updateUserStats(uid, stats) {
-  try {
-    const userStatsRef = db.collection("userStats").doc(uid);
-    const userStatsDoc = await userStatsRef.get();
+  if (!settled) return false;
 
-    if (userStatsDoc.exists) {
-      await userStatsRef.update({
-        ...stats,
-        lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+  try {
+    const userDoc = await db.collection("users").doc(settled.userId).get();
+    const ud = userDoc.exists ? userDoc.data() : {};
+    const method = settled.method || "paypal";
+    // Virement Stripe: pas d'email PayPal, on écrit à l'email du compte
+    const email = method === "stripe" ? ud.email : settled.paypalEmail;
+
+    if (outcome === "succeeded") {
+      await sendEmailNotification("payout_notification", {
+        userId: settled.userId,
+        email,
+        method,
+        paypalEmail: settled.paypalEmail,
+        amount: settled.netAmount,
+        currency: settled.currency,
+        firstName: (ud.displayName || ud.firstName || "").split(" ")[0] || "Seller",
       });
-    } else {
-      await userStatsRef.set({
-        linksCount: stats.linksCount || 0,
-        viewsCount: stats.viewsCount || 0,
-        ordersCount: stats.ordersCount || 0,
-        shippedCount: stats.shippedCount || 0,
-        revenueCount: stats.revenueCount || 0,
-        lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+    } else if (details.errorType !== "insufficient_funds") {
+      // insufficient_funds = compte plateforme (PayPal / Stripe), rien à faire côté vendeur
+      const provider = method === "stripe" ? "Stripe" : "PayPal";
+      let error = `Your payout could not be completed by ${provider}. The amount is back in your balance.`;
+      if (details.errorType === "invalid_paypal") {
+        error = "Your PayPal email is not valid for receiving payments. Please update it in your dashboard.";
+      } else if (details.errorType === "invalid_stripe_account") {
+        error = "Your Stripe account cannot receive transfers. Please complete your Stripe setup in your dashboard.";
+      } else if (outcome === "returned") {
+        error = "Your payout was returned by PayPal (unclaimed or refused). The amount is back in your balance.";
+      }
+      if (details.permanentFailure && !["invalid_paypal", "invalid_stripe_account"].includes(details.errorType)) {
+        error += " Payouts are paused until you update your payout details in your dashboard.";
+      }
+      await sendEmailNotification("payout_failed", {
+        email,
+        method,
+        paypalEmail: settled.paypalEmail,
+        amount: settled.grossAmount,
+        currency: settled.currency,
+        error,
       });
     }
-    return true;
-  } catch (error) {
-    console.error("Error updating user stats:", error);
-    return false;
+  } catch (e) {
+    console.error(`Error sending payout email for ${payoutRef.id}:`, e.message);
   }
+  return true;
 }
 
-/* ============================= SCHEDULED TASKS ============================= */
+// Statut d'un item PayPal Payouts → état du payout (null = encore en cours)
+function mapPaypalPayoutItemStatus(transactionStatus) {
+  switch (String(transactionStatus || "").toUpperCase()) {
+    case "SUCCESS":
+      return "succeeded";
+    case "RETURNED":
+      return "returned";
+    case "FAILED":
+    case "BLOCKED":
+    case "REFUNDED":
+    case "REVERSED":
+    case "DENIED":
+    case "CANCELED":
+      return "failed";
+    default:
+      return null; // PENDING, UNCLAIMED, ONHOLD...
+  }
+}
+
+// Synchronise un payout soumis avec l'état de son batch PayPal
+async function syncPayoutStatus(payoutRef) {
+  const payout = (await payoutRef.get()).data();
+  if (!payout || payout.status !== "submitted") return;
+  if (payout.method === "stripe") return syncStripeTransfer(payoutRef, payout);
+  if (!payout.paypalBatchId) return flagUnconfirmedPayout(payoutRef, payout);
+
+  const request = new paypalPayouts.payouts.PayoutsGetRequest(payout.paypalBatchId);
+  const resp = await getPaypalClient().execute(request);
+  const item = (resp.result.items || []).find((i) => i.payout_item && i.payout_item.sender_item_id === payoutRef.id);
+  if (!item) return;
+
+  const outcome = mapPaypalPayoutItemStatus(item.transaction_status);
+  if (!outcome) return;
+  const details = { paypalItemId: item.payout_item_id || null, paypalTransactionStatus: item.transaction_status };
+  if (outcome !== "succeeded") {
+    details.errorType = (item.errors && item.errors.name) || outcome;
+    details.errorMessage = (item.errors && item.errors.message) || `PayPal status ${item.transaction_status}`;
+    return failPayout(payoutRef, outcome, details);
+  }
+  await settlePayout(payoutRef, outcome, details);
+}
+
+function isPermanentPayoutError(outcome, details = {}) {
+  if (outcome === "returned") return true;
+  return PERMANENT_PAYOUT_ERRORS.includes(details.errorType);
+}
 
 /**
- * Cleanup des produits expirés (48h) et de toutes les données liées,
- * tout en conservant les données financières (transactions, payoutHistory).
- * Fréquence: toutes les heures pour minimiser latence d’expiration.
+ * Échec d'une tentative de payout:
+ * - erreur transitoire (PayPal indisponible, fonds plateforme insuffisants...): le solde reste réservé,
+ *   statut "retry_scheduled" avec nextRetryAt, relancé par retryFailedPayouts selon PAYOUT_RETRY_DELAYS_MS
+ * - erreur permanente ou relances épuisées: settlePayout (solde rendu); une erreur permanente suspend
+ *   aussi les payouts du vendeur (users.payoutHold) jusqu'à la mise à jour de son email PayPal
  */
-exports.cleanupOldProducts = onSchedule(
-  {
-    schedule: "0 * * * *", // toutes les heures
-    timeZone: "UTC",
-    memory: "256MiB",
-    maxInstances: 1,
-  },
-  async () => {
-    console.log("🧹 Starting hourly cleanup of expired products (7d TTL)");
+async function failPayout(payoutRef, outcome, details = {}) {
+  const permanent = isPermanentPayoutError(outcome, details);
+
+  const scheduled = await db.runTransaction(async (tx) => {
+    const payoutDoc = await tx.get(payoutRef);
+    if (!payoutDoc.exists) return false;
+    const payout = payoutDoc.data();
+    if (!["pending", "submitting", "submitted", "needs_review"].includes(payout.status)) return false;
+
+    const retryCount = payout.retryCount || 0;
+    if (permanent || retryCount >= PAYOUT_RETRY_DELAYS_MS.length) return false;
+
+    tx.update(payoutRef, {
+      ...details,
+      status: "retry_scheduled",
+      statusHistory: admin.firestore.FieldValue.arrayUnion({
+        status: "retry_scheduled",
+        at: admin.firestore.Timestamp.now(),
+      }),
+      nextRetryAt: admin.firestore.Timestamp.fromMillis(Date.now() + PAYOUT_RETRY_DELAYS_MS[retryCount]),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return true;
+  });
+  if (scheduled) return false;
+
+  const settled = await settlePayout(payoutRef, outcome, { ...details, permanentFailure: permanent });
+  if (settled && permanent) {
+    const payout = (await payoutRef.get()).data();
+    await db
+      .collection("users")
+      .doc(payout.userId)
+      .update({
+        payoutHold: {
+          payoutId: payoutRef.id,
+          method: payout.method || "paypal",
+          errorType: details.errorType || outcome,
+          reason: details.errorMessage || null,
+          since: admin.firestore.Timestamp.now(),
+        },
+      });
+  }
+  return settled;
+}
 
-    try {
-      const now = new Date();
-      const cutoffDate = new Date(now.getTime() - PRODUCT_TTL_MS);
-      const cutoffTimestamp = admin.firestore.Timestamp.fromDate(cutoffDate);
+/**
+ * Relance d'un payout "retry_scheduled" arrivé à échéance: repasse en "pending" puis soumission.
+ * Si PayPal avait accepté le batch précédent (échec au niveau de l'item), il faut un nouveau sender_batch_id;
+ * sinon on garde le même pour que PayPal déduplique un batch créé malgré l'erreur.
+ * Le batch remplacé est gardé dans previousBatchIds: ses événements tardifs ne touchent pas la nouvelle tentative.
+ */
+async function retryPayout(payoutRef) {
+  const ready = await db.runTransaction(async (tx) => {
+    const payoutDoc = await tx.get(payoutRef);
+    if (!payoutDoc.exists) return false;
+    const payout = payoutDoc.data();
+    if (payout.status !== "retry_scheduled") return false;
+
+    const retryCount = (payout.retryCount || 0) + 1;
+    tx.update(payoutRef, {
+      status: "pending",
+      retryCount,
+      senderBatchId: payout.paypalBatchId ? `payout_${payoutRef.id}_r${retryCount}` : payout.senderBatchId,
+      paypalBatchId: null,
+      ...(payout.paypalBatchId
+        ? { previousBatchIds: admin.firestore.FieldValue.arrayUnion(payout.paypalBatchId) }
+        : {}),
+      nextRetryAt: null,
+      statusHistory: admin.firestore.FieldValue.arrayUnion({ status: "pending", at: admin.firestore.Timestamp.now() }),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return true;
+  });
+  return ready ? submitPayout(payoutRef) : null;
+}
 
-      // Produits dont createdAt < now - 48h (expirés)
-      const oldProductsSnap = await db.collection("products").where("createdAt", "<", cutoffTimestamp).get();
-      console.log(`Found ${oldProductsSnap.size} products older than 7 days`);
+/**
+ * Vérifie la signature d'un webhook PayPal via l'API verify-webhook-signature.
+ * Le client Payouts sait exécuter n'importe quelle requête REST authentifiée ({ path, verb, body, headers }).
+ */
+async function verifyPaypalWebhookSignature(req, event) {
+  const resp = await getPaypalClient().execute({
+    path: "/v1/notifications/verify-webhook-signature",
+    verb: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: {
+      auth_algo: req.get("PAYPAL-AUTH-ALGO"),
+      cert_url: req.get("PAYPAL-CERT-URL"),
+      transmission_id: req.get("PAYPAL-TRANSMISSION-ID"),
+      transmission_sig: req.get("PAYPAL-TRANSMISSION-SIG"),
+      transmission_time: req.get("PAYPAL-TRANSMISSION-TIME"),
+      webhook_id: paypalWebhookId.value(),
+      webhook_event: event,
+    },
+  });
+  return resp.result && resp.result.verification_status === "SUCCESS";
+}
 
-      if (oldProductsSnap.empty) return null;
+/**
+ * Événement PAYMENT.PAYOUTS-ITEM.* → payout correspondant (sender_item_id = id du doc payouts).
+ * UNCLAIMED: le destinataire n'a pas de compte PayPal, l'item devient RETURNED au bout de 30 jours.
+ * Anciens payouts (avant la machine d'états): retrouvés dans payoutHistory par batchId.
+ */
+async function handlePaypalPayoutItemEvent(item) {
+  const senderItemId = (item.payout_item && item.payout_item.sender_item_id) || null;
+  const transactionStatus = String(item.transaction_status || "").toUpperCase();
+  const outcome = mapPaypalPayoutItemStatus(transactionStatus);
+  const details = { paypalItemId: item.payout_item_id || null, paypalTransactionStatus: transactionStatus };
+  if (outcome && outcome !== "succeeded") {
+    details.errorType = (item.errors && item.errors.name) || outcome;
+    details.errorMessage = (item.errors && item.errors.message) || `PayPal status ${transactionStatus}`;
+  }
 
-      const productsToDelete = oldProductsSnap.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  const payoutRef = senderItemId ? db.collection("payouts").doc(senderItemId) : null;
+  const payoutDoc = payoutRef ? await payoutRef.get() : null;
+  if (payoutDoc && payoutDoc.exists) {
+    // Événement d'une tentative précédente (payout resoumis depuis dans un nouveau batch)
+    const { paypalBatchId: currentBatchId, previousBatchIds = [] } = payoutDoc.data();
+    if (item.payout_batch_id && previousBatchIds.includes(item.payout_batch_id)) return false;
+    if (currentBatchId && item.payout_batch_id && currentBatchId !== item.payout_batch_id) return false;
+    // Batch soumis en doublon (id inconnu jusqu'ici): l'id arrive avec l'item
+    if (!currentBatchId && item.payout_batch_id) details.paypalBatchId = item.payout_batch_id;
+    if (outcome === "succeeded") return settlePayout(payoutRef, outcome, details);
+    if (outcome) return failPayout(payoutRef, outcome, details);
+    await payoutRef.update({
+      ...details,
+      ...(transactionStatus === "UNCLAIMED" ? { unclaimedAt: admin.firestore.FieldValue.serverTimestamp() } : {}),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return false;
+  }
 
-      await db.collection("productCleanupLogs").add({
-        date: admin.firestore.FieldValue.serverTimestamp(),
-        count: oldProductsSnap.size,
-        productIds: productsToDelete.map((p) => p.id),
-      });
+  return handleLegacyPayoutItemEvent(item, outcome, details);
+}
 
-      const sellerImpact = {};
+/**
+ * Payout Stripe resté "submitted" (transfert créé puis règlement interrompu): le transfert est retrouvé
+ * par transfer_group et le payout réglé; sans transfert, l'envoi est rejoué.
+ */
+async function syncStripeTransfer(payoutRef, payout) {
+  if (!stripe) stripe = require("stripe")(stripeSecretKey.value());
 
-      for (const product of productsToDelete) {
-        const productId = product.id;
-        const sellerUid = product.uid;
+  const existing = await stripe.transfers.list({ transfer_group: payoutRef.id, limit: 1 });
+  if (existing.data[0]) return settlePayout(payoutRef, "succeeded", { stripeTransferId: existing.data[0].id });
+  return submitStripeTransfer(payoutRef, payout);
+}
 
-        if (sellerUid) {
-          sellerImpact[sellerUid] = sellerImpact[sellerUid] || {
-            productsDeleted: 0,
-          };
-          sellerImpact[sellerUid].productsDeleted += 1;
-        }
+/**
+ * Payout soumis sans id de batch PayPal (doublon de sender_batch_id): sans webhook après
+ * PAYOUT_UNCONFIRMED_REVIEW_MS, passage en "needs_review". La réservation est conservée: renvoyer
+ * ou libérer les fonds pourrait payer deux fois ou rien; un webhook tardif règle encore le payout.
+ */
+async function flagUnconfirmedPayout(payoutRef, payout) {
+  const submittedAt = payout.submittedAt ? payout.submittedAt.toMillis() : 0;
+  if (Date.now() - submittedAt < PAYOUT_UNCONFIRMED_REVIEW_MS) return;
+
+  await setPayoutStatus(payoutRef, "needs_review", { reviewReason: "paypal_batch_unknown" });
+  await db.collection("systemErrors").add({
+    function: "syncPayoutStatus",
+    error: `Payout ${payoutRef.id} accepted by PayPal without a known batch id: manual review needed`,
+    payoutId: payoutRef.id,
+    timestamp: admin.firestore.FieldValue.serverTimestamp(),
+  });
+}
 
-        // 1) Delete Storage files
-        if (product.coverPath) {
-          try {
-            await bucket.file(product.coverPath).delete();
-            console.log(`Deleted cover file: ${product.coverPath}`);
-          } catch (e) {
-            console.error(`Error deleting cover file ${product.coverPath}:`, e.message);
-          }
-        }
-        if (product.filePath) {
-          try {
-            await bucket.file(product.filePath).delete();
-            console.log(`Deleted product file: ${product.filePath}`);
-          } catch (e) {
-            console.error(`Error deleting product file ${product.filePath}:`, e.message);
-          }
-        }
+/**
+ * Reprise des payouts bloqués: envois interrompus ("submitting" périmé, rejoués à l'identique)
+ * puis payouts soumis (issue PayPal, ou needs_review faute d'id de batch).
+ */
+async function recoverOpenPayouts() {
+  const staleBefore = admin.firestore.Timestamp.fromMillis(Date.now() - PAYOUT_SUBMIT_STALE_MS);
+  const submittingSnap = await db
+    .collection("payouts")
+    .where("status", "==", "submitting")
+    .where("submittingAt", "<=", staleBefore)
+    .limit(100)
+    .get();
+  for (const doc of submittingSnap.docs) {
+    try {
+      await submitPayout(doc.ref);
+    } catch (e) {
+      console.error(`Error resubmitting payout ${doc.id}:`, e.message);
+    }
+  }
 
-        // 2) Views
-        try {
-          await deleteQueryBatch(db.collection("productViews").where("productId", "==", productId));
-        } catch (e) {
-          console.error(`Error deleting productViews for ${productId}:`, e.message);
-        }
+  const submittedSnap = await db.collection("payouts").where("status", "==", "submitted").limit(200).get();
+  let synced = 0;
+  for (const doc of submittedSnap.docs) {
+    try {
+      await syncPayoutStatus(doc.ref);
+      synced++;
+    } catch (e) {
+      console.error(`Error syncing payout ${doc.id}:`, e.message);
+    }
+  }
+  return { resubmitted: submittingSnap.size, synced, submitted: submittedSnap.size };
+}
 
-        // 3) Orders + access logs/attempts (ATTENTION: on supprime les orders,
-        // mais on NE SUPPRIME PAS les transactions/payoutHistory.)
-        let ordersSnap;
-        try {
-          ordersSnap = await db.collection("orders").where("productId", "==", productId).get();
-        } catch (e) {
-          console.error(`Error querying orders for ${productId}:`, e.message);
-          ordersSnap = { empty: true, docs: [], size: 0 };
-        }
+// Payout historique: payoutHistory déjà "completed", on corrige et on recrédite le solde si l'item a échoué
+async function handleLegacyPayoutItemEvent(item, outcome, details) {
+  if (!item.payout_batch_id) return false;
+  const histSnap = await db.collection("payoutHistory").where("batchId", "==", item.payout_batch_id).limit(1).get();
+  if (histSnap.empty) {
+    console.warn(`PayPal payout item ${details.paypalItemId} matches no payout`);
+    return false;
+  }
+  const histRef = histSnap.docs[0].ref;
+
+  const reverted = await db.runTransaction(async (tx) => {
+    const histDoc = await tx.get(histRef);
+    const hist = histDoc.data();
+    if (["failed", "returned"].includes(hist.status)) return null;
+
+    if (outcome === "failed" || outcome === "returned") {
+      const grossAmount = Number(hist.grossAmount || hist.amount || 0);
+      postLedgerEntry(tx, {
+        id: `${histRef.id}_reversal`,
+        userId: hist.userId,
+        currency: hist.currency,
+        type: "payout_reversal",
+        description: details.errorMessage || null,
+        lines: [
+          { account: "payouts_sent", amount: -grossAmount },
+          { account: "seller_available", amount: grossAmount },
+        ],
+      });
+      tx.set(db.collection("transactions").doc(), {
+        userId: hist.userId,
+        type: "payout_reversal",
+        amount: grossAmount,
+        currency: normalizeCurrency(hist.currency),
+        batchId: hist.batchId,
+        reason: details.errorMessage,
+        date: admin.firestore.FieldValue.serverTimestamp(),
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        status: "completed",
+      });
+      tx.update(histRef, { ...details, status: outcome, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+      return { ...hist, grossAmount };
+    }
+    tx.update(histRef, { ...details, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    return null;
+  });
 
-        if (!ordersSnap.empty) {
-          for (const orderDoc of ordersSnap.docs) {
-            const orderId = orderDoc.id;
-            try {
-              await deleteQueryBatch(db.collection("accessLogs").where("orderId", "==", orderId));
-            } catch (e) {
-              console.error(`Error deleting accessLogs for order ${orderId}:`, e.message);
-            }
-            try {
-              await deleteQueryBatch(db.collection("accessAttempts").where("orderId", "==", orderId));
-            } catch (e) {
-              console.error(`Error deleting accessAttempts for order ${orderId}:`, e.message);
-            }
-          }
-          try {
-            const batch = db.batch();
-            ordersSnap.docs.forEach((d) => batch.delete(d.ref));
-            await batch.commit();
-          } catch (e) {
-            console.error(`Error deleting orders for product ${productId}:`, e.message);
-          }
-        }
+  if (reverted) {
+    await sendEmailNotification("payout_failed", {
+      paypalEmail: reverted.paypalEmail,
+      amount: reverted.grossAmount,
+      currency: normalizeCurrency(reverted.currency),
+      error: "Your payout could not be delivered by PayPal. The amount is back in your balance.",
+    });
+  }
+  return Boolean(reverted);
+}
 
-        // 4) Payment sessions
-        try {
-          await deleteQueryBatch(db.collection("paymentSessions").where("productId", "==", productId));
-        } catch (e) {
-          console.error(`Error deleting paymentSessions for ${productId}:`, e.message);
-        }
+/**
+ * Exécution complète (rejouable sans risque): synchro des payouts soumis, reprise des payouts "pending"
+ * de la période, puis réservation + soumission pour chaque solde éligible.
+ */
+async function runPayoutPipeline(trigger) {
+  const periodKey = getPayoutPeriodKey();
+  const runRef = await db.collection("payoutSessions").add({
+    trigger,
+    periodKey,
+    startTime: admin.firestore.FieldValue.serverTimestamp(),
+    status: "started",
+  });
 
-        // 5) Emails logs
-        try {
-          await deleteQueryBatch(db.collection("emailSentLogs").where("productId", "==", productId));
-        } catch (e) {
-          console.error(`Error deleting emailSentLogs for ${productId}:`, e.message);
-        }
+  let processedUsers = 0;
+  let successfulPayouts = 0;
+  let failedPayouts = 0;
+  const totalAmountByCurrency = {};
 
-        // 6) Link generation detail
-        try {
-          await deleteQueryBatch(db.collection("linkGenerationDetails").where("productId", "==", productId));
-        } catch (e) {
-          console.error(`Error deleting linkGenerationDetails for ${productId}:`, e.message);
-        }
+  // 1) Envois interrompus et payouts déjà soumis: reprise / issue auprès de PayPal
+  await recoverOpenPayouts();
 
-        // 7) Product doc
-        try {
-          await db.collection("products").doc(productId).delete();
-        } catch (e) {
-          console.error(`Error deleting product doc ${productId}:`, e.message);
-        }
+  // 2) Réservation + soumission, une passe par devise
+  for (const currency of PAYOUT_CURRENCIES) {
+    const balanceField = getBalanceField(currency);
+    const minPayout = MIN_PAYOUT_BY_CURRENCY[currency];
+
+    // Moyen de payout (PayPal / Stripe) et coordonnées vérifiés par reservePayout
+    const usersSnap = await db.collection("users").where(balanceField, ">=", minPayout).get();
+
+    // Payouts restés "pending" (exécution interrompue après réservation)
+    const pendingSnap = await db
+      .collection("payouts")
+      .where("currency", "==", currency)
+      .where("status", "==", "pending")
+      .get();
+
+    const payoutRefs = pendingSnap.docs.map((d) => d.ref);
+    for (const userDoc of usersSnap.docs) {
+      processedUsers++;
+      try {
+        // Période propre à la fréquence du vendeur: déjà payé sur la période → reservePayout ne fait rien
+        const { frequency } = getPayoutPreferences(userDoc.data());
+        const payoutRef = await reservePayout(userDoc.id, currency, getPayoutPeriodKey(new Date(), frequency));
+        if (payoutRef && !payoutRefs.some((r) => r.id === payoutRef.id)) payoutRefs.push(payoutRef);
+      } catch (e) {
+        console.error(`Error reserving payout for ${userDoc.id}:`, e.message);
+        failedPayouts++;
       }
+    }
 
-      // Recalcule rapide des stats des vendeurs impactés
-      for (const uid of Object.keys(sellerImpact)) {
-        try {
-          const [remainingProductsSnap, viewsSnap, ordersSnap] = await Promise.all([
-            db.collection("products").where("uid", "==", uid).get(),
-            db.collection("productViews").where("sellerUid", "==", uid).get(),
-            db.collection("orders").where("sellerUid", "==", uid).get(),
-          ]);
-
-          const linksCount = remainingProductsSnap.size;
-          const viewsCount = viewsSnap.size;
-
-          const orders = ordersSnap.docs.map((d) => d.data());
-          const ordersCount = orders.length;
-          const shippedCount = orders.filter((o) => o.status === "shipped" || o.status === "delivered").length;
-          const revenueCount = orders.reduce((sum, o) => {
-            if (o.sellerAmount && o.status !== "cancelled") return sum + Number(o.sellerAmount || 0);
-            return sum;
-          }, 0);
-
-          await db.collection("userStats").doc(uid).set(
-            {
-              linksCount,
-              viewsCount,
-              ordersCount,
-              shippedCount,
-              revenueCount,
-              lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
-            },
-            { merge: true }
-          );
-        } catch (e) {
-          console.error(`Error updating userStats for ${uid}:`, e.message);
+    for (const payoutRef of payoutRefs) {
+      try {
+        const payout = await submitPayout(payoutRef);
+        if (payout && ["failed", "retry_scheduled"].includes(payout.status)) {
+          failedPayouts++;
+        } else if (payout && ["submitted", "succeeded"].includes(payout.status)) {
+          successfulPayouts++;
+          const total = (totalAmountByCurrency[currency] || 0) + payout.grossAmount;
+          totalAmountByCurrency[currency] = roundMoney(total, currency);
         }
+      } catch (e) {
+        console.error(`Error submitting payout ${payoutRef.id}:`, e.message);
+        failedPayouts++;
       }
+      await new Promise((r) => setTimeout(r, 100));
+    }
 
-      console.log(`Successfully cleaned ${productsToDelete.length} expired products and related data`);
-      return null;
-    } catch (error) {
-      console.error("Error cleaning up old products:", error);
-      await db.collection("systemErrors").add({
-        function: "cleanupOldProducts",
-        error: error.message || "Unknown error",
-        timestamp: admin.firestore.FieldValue.serverTimestamp(),
-        stack: error.stack,
-      });
-      return null;
+    // Rappel aux vendeurs sous le minimum
+    const lowBalanceUsersSnap = await db
+      .collection("users")
+      .where(balanceField, ">", 0)
+      .where(balanceField, "<", minPayout)
+      .where("paypalEmail", "!=", null)
+      .get();
+
+    for (const userDoc of lowBalanceUsersSnap.docs) {
+      const user = userDoc.data();
+      const email = user.email;
+      if (email && isEmail(email)) {
+        await sendEmailNotification("min_balance_not_reached", {
+          email,
+          balance: getUserBalances(user)[currency] || 0,
+          currency,
+          minPayout,
+        });
+      }
     }
   }
-);
-
-/**
- * Avertissements d’expiration: 24h avant l’expiration.
- */
-exports.sendExpirationWarnings = onSchedule(
-  {
-    schedule: "0 * * * *", // toutes les heures
-    timeZone: "UTC",
-    memory: "256MiB",
-    maxInstances: 1,
-  },
-  async () => {
-    console.log("🔔 Checking for 24h-to-expire products (hourly)");
 
-    try {
-      const now = new Date();
-      const windowStart = new Date(now.getTime() + WARNING_BEFORE_EXP_MS);
-      const windowEnd = new Date(windowStart.getTime() + 60 * 60 * 1000); // fenêtre 1h
+  await runRef.update({
+    endTime: admin.firestore.FieldValue.serverTimestamp(),
+    status: "completed",
+    processedUsers,
+    successfulPayouts,
+    failedPayouts,
+    totalAmount: totalAmountByCurrency.USD || 0,
+    totalAmountByCurrency,
+  });
 
-      const productsSnap = await db
-        .collection("products")
-        .where("expiresAt", ">=", admin.firestore.Timestamp.fromDate(windowStart))
-        .where("expiresAt", "<", admin.firestore.Timestamp.fromDate(windowEnd))
-        .get();
+  return { processedUsers, successfulPayouts, failedPayouts, totalAmountByCurrency };
+}
 
-      console.log(`Found ${productsSnap.size} products expiring in ~24h`);
+/* ============================= LEDGER ============================= */
 
-      let emailsSent = 0;
+/**
+ * Écriture append-only du grand livre (ledgerEntries), dans la transaction / le batch de l'appelant.
+ * lines: [{ account, amount }] de somme nulle; les lignes sur les comptes vendeur sont répercutées
+ * sur les soldes users (balance(s), pendingBalance(s), reservedBalances), qui n'évoluent plus autrement.
+ * options.userFields: autres champs users écrits avec la projection (un seul write sur le document).
+ * options.project = false: écriture sans effet sur les soldes users (solde d'ouverture déjà présent).
+ * Les totaux par compte vendeur sont aussi cumulés dans ledgerBalances/{userId} (point de contrôle de la
+ * réconciliation), y compris pour project = false.
+ */
+function postLedgerEntry(writer, entry, options = {}) {
+  const currency = normalizeCurrency(entry.currency);
+  const lines = (entry.lines || [])
+    .map((l) => ({ account: l.account, amount: Number(l.amount || 0) }))
+    .filter((l) => l.amount !== 0);
+  if (lines.some((l) => !LEDGER_ACCOUNTS.includes(l.account) || !Number.isFinite(l.amount))) {
+    throw new Error(`Invalid ledger line in ${entry.type} entry`);
+  }
+  const total = lines.reduce((sum, l) => sum + l.amount, 0);
+  if (roundMoney(total, currency) !== 0) throw new Error(`Unbalanced ledger entry ${entry.type}: ${total}`);
+  if (!lines.length) return null;
+
+  const entryRef = entry.id ? db.collection("ledgerEntries").doc(entry.id) : db.collection("ledgerEntries").doc();
+  writer.set(entryRef, {
+    userId: entry.userId,
+    currency,
+    type: entry.type,
+    lines,
+    accounts: [...new Set(lines.map((l) => l.account))],
+    orderId: entry.orderId || null,
+    payoutId: entry.payoutId || null,
+    description: entry.description || null,
+    createdBy: entry.createdBy || "system",
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
 
-      for (const doc of productsSnap.docs) {
-        const product = doc.data();
-        const productId = doc.id;
+  const checkpoint = {};
+  lines.forEach((l) => {
+    if (!LEDGER_SELLER_ACCOUNTS.includes(l.account)) return;
+    checkpoint[l.account] = {
+      ...(checkpoint[l.account] || {}),
+      [currency]: admin.firestore.FieldValue.increment(l.amount),
+    };
+  });
+  if (Object.keys(checkpoint).length) {
+    writer.set(
+      db.collection("ledgerBalances").doc(entry.userId),
+      { userId: entry.userId, balances: checkpoint, updatedAt: admin.firestore.FieldValue.serverTimestamp() },
+      { merge: true }
+    );
+  }
 
-        const existingWarningSnap = await db
-          .collection("emailSentLogs")
-          .where("type", "==", "expiration_warning")
-          .where("productId", "==", productId)
-          .limit(1)
-          .get();
+  if (options.project !== false) {
+    // set + merge: les champs imbriqués sont fusionnés, pas écrasés
+    const projection = { ...(options.userFields || {}) };
+    lines.forEach((l) => {
+      const path = getLedgerBalancePath(l.account, currency);
+      if (!path) return;
+      const increment = admin.firestore.FieldValue.increment(l.amount);
+      if (path.length === 1) projection[path[0]] = increment;
+      else projection[path[0]] = { ...(projection[path[0]] || {}), [path[1]]: increment };
+    });
+    if (Object.keys(projection).length) {
+      writer.set(db.collection("users").doc(entry.userId), projection, { merge: true });
+    }
+  }
+  return entryRef;
+}
 
-        if (!existingWarningSnap.empty) {
-          continue;
-        }
+// Soldes vendeur stockés sur users, au format { compte: { devise: montant } }
+function getStoredLedgerBalances(userData) {
+  return {
+    seller_available: getUserBalances(userData),
+    seller_pending: getUserPendingBalances(userData),
+    seller_reserved: Object.fromEntries(
+      Object.entries((userData && userData.reservedBalances) || {}).map(([cur, amount]) => [cur, Number(amount || 0)])
+    ),
+  };
+}
 
-        const sellerDoc = await db.collection("users").doc(product.uid).get();
-        if (!sellerDoc.exists) continue;
+// Soldes vendeur du point de contrôle ledgerBalances, même format
+function getCheckpointLedgerBalances(checkpointData) {
+  const balances = { seller_available: {}, seller_pending: {}, seller_reserved: {} };
+  LEDGER_SELLER_ACCOUNTS.forEach((account) => {
+    Object.entries((checkpointData.balances && checkpointData.balances[account]) || {}).forEach(([cur, amount]) => {
+      balances[account][cur] = Number(amount || 0);
+    });
+  });
+  return balances;
+}
 
-        const sellerEmail = sellerDoc.data().email;
-        if (!sellerEmail || !isEmail(sellerEmail)) continue;
+// Soldes vendeur recalculés à partir des écritures du grand livre, même format
+function sumLedgerBalances(entryDocs) {
+  const balances = { seller_available: {}, seller_pending: {}, seller_reserved: {} };
+  entryDocs.forEach((doc) => {
+    const { currency, lines } = doc.data();
+    (lines || []).forEach((l) => {
+      if (!balances[l.account]) return;
+      balances[l.account][currency] = (balances[l.account][currency] || 0) + Number(l.amount || 0);
+    });
+  });
+  return balances;
+}
 
-        const expirationDate = product.expiresAt.toDate();
-        const formattedDate = expirationDate.toLocaleString("en-US", {
-          year: "numeric",
-          month: "long",
-          day: "numeric",
-          hour: "2-digit",
-          minute: "2-digit",
-        });
+/**
+ * Initialisation unique du point de contrôle ledgerBalances/{userId}: somme des écritures existantes
+ * (antérieures au cumul par postLedgerEntry), en transaction pour ne perdre aucune écriture concurrente.
+ * Seule lecture complète des ledgerEntries d'un vendeur; ensuite le point de contrôle suffit.
+ */
+async function seedLedgerCheckpoint(userId) {
+  const checkpointRef = db.collection("ledgerBalances").doc(userId);
+  const entriesQuery = db.collection("ledgerEntries").where("userId", "==", userId);
+
+  await db.runTransaction(async (tx) => {
+    const checkpointDoc = await tx.get(checkpointRef);
+    if (checkpointDoc.exists && checkpointDoc.data().seededAt) return;
+    const entriesSnap = await tx.get(entriesQuery);
+    // Aucune écriture: le point de contrôle sera créé par la première (et initialisé au passage suivant)
+    if (entriesSnap.empty) return;
+    tx.set(checkpointRef, {
+      userId,
+      balances: sumLedgerBalances(entriesSnap.docs),
+      seededAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  });
+}
 
-        const ok = await sendEmailNotification("link_expiration_warning", {
-          email: sellerEmail,
-          productTitle: product.title || "Your product",
-          expirationDate: formattedDate,
-          hoursLeft: 24,
+/**
+ * Compare les soldes stockés d'un vendeur aux totaux du grand livre (point de contrôle ledgerBalances,
+ * tenu à jour par postLedgerEntry dans la même écriture), lus de façon cohérente en transaction.
+ * Premier passage (users.ledgerOpenedAt absent): les soldes antérieurs au grand livre (stocké - écritures)
+ * sont repris dans une écriture "opening_balance" (compte opening_balances), sans modifier les soldes.
+ * Retourne la liste des écarts [{ account, currency, stored, ledger }].
+ */
+async function reconcileSellerLedger(userId) {
+  const userRef = db.collection("users").doc(userId);
+  const checkpointRef = db.collection("ledgerBalances").doc(userId);
+  await seedLedgerCheckpoint(userId);
+
+  return db.runTransaction(async (tx) => {
+    const [userDoc, checkpointDoc] = await Promise.all([tx.get(userRef), tx.get(checkpointRef)]);
+    if (!userDoc.exists) return [];
+    const stored = getStoredLedgerBalances(userDoc.data());
+    const ledger = getCheckpointLedgerBalances(checkpointDoc.data() || {});
+
+    if (!userDoc.data().ledgerOpenedAt) {
+      const byCurrency = {};
+      LEDGER_SELLER_ACCOUNTS.forEach((account) => {
+        Object.entries(stored[account]).forEach(([cur, amount]) => {
+          const opening = roundMoney(amount - (ledger[account][cur] || 0), cur);
+          if (opening !== 0) (byCurrency[cur] = byCurrency[cur] || []).push({ account, amount: opening });
         });
+      });
+      Object.entries(byCurrency).forEach(([cur, lines]) => {
+        const total = lines.reduce((sum, l) => sum + l.amount, 0);
+        postLedgerEntry(
+          tx,
+          {
+            id: `opening_${userId}_${cur}`,
+            userId,
+            currency: cur,
+            type: "opening_balance",
+            lines: [...lines, { account: "opening_balances", amount: -total }],
+          },
+          { project: false }
+        );
+      });
+      tx.update(userRef, { ledgerOpenedAt: admin.firestore.FieldValue.serverTimestamp() });
+      return [];
+    }
 
-        if (ok) {
-          emailsSent++;
-          await db.collection("emailSentLogs").add({
-            type: "expiration_warning",
-            productId: productId,
-            sellerUid: product.uid,
-            email: sellerEmail,
-            sentAt: admin.firestore.FieldValue.serverTimestamp(),
-            expiresAt: product.expiresAt,
-          });
+    const differences = [];
+    LEDGER_SELLER_ACCOUNTS.forEach((account) => {
+      const currencies = new Set([...Object.keys(stored[account]), ...Object.keys(ledger[account])]);
+      currencies.forEach((cur) => {
+        const storedAmount = roundMoney(stored[account][cur] || 0, cur);
+        const ledgerAmount = roundMoney(ledger[account][cur] || 0, cur);
+        if (storedAmount !== ledgerAmount) {
+          differences.push({ account, currency: cur, stored: storedAmount, ledger: ledgerAmount });
         }
-
-        await new Promise((r) => setTimeout(r, 250));
+      });
+    });
+    return differences;
+  });
+}
+
+/* ============================= USER STATS HELPER ============================= */
+
+async function updateUserStats(uid, stats) {
+  try {
+    const userStatsRef = db.collection("userStats").doc(uid);
+    const userStatsDoc = await userStatsRef.get();
+
+    if (userStatsDoc.exists) {
+      await userStatsRef.update({
+        ...stats,
+        lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    } else {
+      await userStatsRef.set({
+        linksCount: stats.linksCount || 0,
+        viewsCount: stats.viewsCount || 0,
+        ordersCount: stats.ordersCount || 0,
+        shippedCount: stats.shippedCount || 0,
+        revenueCount: stats.revenueCount || 0,
+        lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+    return true;
+  } catch (error) {
+    console.error("Error updating user stats:", error);
+    return false;
+  }
+}
+
+/* ============================= PRODUCT LIFECYCLE HELPERS ============================= */
+
+// Archive (soft-delete) un produit: plus achetable, accès acheteurs conservé, restaurable jusqu'à purgeAt
+async function archiveProduct(productRef, reason) {
+  const purgeAt = new Date(Date.now() + ARCHIVE_GRACE_PERIOD_MS);
+  await productRef.update({
+    status: "archived",
+    archiveReason: reason,
+    archivedAt: admin.firestore.FieldValue.serverTimestamp(),
+    purgeAt: admin.firestore.Timestamp.fromDate(purgeAt),
+  });
+  return purgeAt;
+}
+
+/**
+ * Suppression définitive d'un produit et des données liées (Storage, vues, accessLogs/attempts,
+ * paymentSessions, logs). Les enregistrements financiers sont conservés: orders (marquées productPurgedAt),
+ * transactions, payoutHistory, ledgerEntries. Une commande encore "held" doit rester visible de
+ * releaseHeldFunds, et un remboursement / litige tardif la retrouve par son PaymentIntent.
+ */
+async function purgeProduct(productId, product) {
+  // 1) Delete Storage files
+  if (product.coverPath) {
+    try {
+      await bucket.file(product.coverPath).delete();
+      console.log(`Deleted cover file: ${product.coverPath}`);
+    } catch (e) {
+      console.error(`Error deleting cover file ${product.coverPath}:`, e.message);
+    }
+  }
+  for (const file of getProductFiles(product)) {
+    try {
+      await bucket.file(file.path).delete();
+      console.log(`Deleted product file: ${file.path}`);
+    } catch (e) {
+      console.error(`Error deleting product file ${file.path}:`, e.message);
+    }
+  }
+  for (const rejected of product.rejectedUploads || []) {
+    try {
+      await bucket.file(rejected.quarantinePath).delete();
+    } catch (e) {
+      console.error(`Error deleting quarantined file ${rejected.quarantinePath}:`, e.message);
+    }
+  }
+
+  // 2) Views
+  try {
+    await deleteQueryBatch(db.collection("productViews").where("productId", "==", productId));
+  } catch (e) {
+    console.error(`Error deleting productViews for ${productId}:`, e.message);
+  }
+
+  // 3) Access logs/attempts des orders (les orders elles-mêmes sont conservées, voir plus haut)
+  let ordersSnap;
+  try {
+    ordersSnap = await db.collection("orders").where("productId", "==", productId).get();
+  } catch (e) {
+    console.error(`Error querying orders for ${productId}:`, e.message);
+    ordersSnap = { empty: true, docs: [], size: 0 };
+  }
+
+  if (!ordersSnap.empty) {
+    for (const orderDoc of ordersSnap.docs) {
+      const orderId = orderDoc.id;
+      try {
+        await deleteQueryBatch(db.collection("accessLogs").where("orderId", "==", orderId));
+      } catch (e) {
+        console.error(`Error deleting accessLogs for order ${orderId}:`, e.message);
+      }
+      try {
+        await deleteQueryBatch(db.collection("accessAttempts").where("orderId", "==", orderId));
+      } catch (e) {
+        console.error(`Error deleting accessAttempts for order ${orderId}:`, e.message);
       }
+    }
+    try {
+      for (let i = 0; i < ordersSnap.docs.length; i += 500) {
+        const batch = db.batch();
+        ordersSnap.docs.slice(i, i + 500).forEach((d) =>
+          batch.update(d.ref, { productPurgedAt: admin.firestore.FieldValue.serverTimestamp() })
+        );
+        await batch.commit();
+      }
+    } catch (e) {
+      console.error(`Error marking orders for product ${productId}:`, e.message);
+    }
+  }
 
-      console.log(`Expiration warnings sent: ${emailsSent}`);
+  // 4) Payment sessions
+  try {
+    await deleteQueryBatch(db.collection("paymentSessions").where("productId", "==", productId));
+  } catch (e) {
+    console.error(`Error deleting paymentSessions for ${productId}:`, e.message);
+  }
+
+  // 5) Emails logs
+  try {
+    await deleteQueryBatch(db.collection("emailSentLogs").where("productId", "==", productId));
+  } catch (e) {
+    console.error(`Error deleting emailSentLogs for ${productId}:`, e.message);
+  }
+
+  // 6) Link generation detail
+  try {
+    await deleteQueryBatch(db.collection("linkGenerationDetails").where("productId", "==", productId));
+  } catch (e) {
+    console.error(`Error deleting linkGenerationDetails for ${productId}:`, e.message);
+  }
+
+  // 7) Product doc
+  try {
+    await db.collection("products").doc(productId).delete();
+  } catch (e) {
+    console.error(`Error deleting product doc ${productId}:`, e.message);
+  }
+}
+
+// Recalcule rapide des stats d'un vendeur à partir de ses produits / vues / commandes
+async function recomputeUserStats(uid) {
+  const [productsSnap, viewsSnap, ordersSnap] = await Promise.all([
+    db.collection("products").where("uid", "==", uid).get(),
+    db.collection("productViews").where("sellerUid", "==", uid).get(),
+    db.collection("orders").where("sellerUid", "==", uid).get(),
+  ]);
+
+  const linksCount = productsSnap.size;
+  const viewsCount = viewsSnap.size;
+
+  const orders = ordersSnap.docs.map((d) => d.data());
+  const ordersCount = orders.length;
+  const shippedCount = orders.filter((o) => o.status === "shipped" || o.status === "delivered").length;
+  const revenueCount = orders.reduce((sum, o) => sum + getOrderNetSellerAmount(o), 0);
+
+  await db.collection("userStats").doc(uid).set(
+    {
+      linksCount,
+      viewsCount,
+      ordersCount,
+      shippedCount,
+      revenueCount,
+      lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+    },
+    { merge: true }
+  );
+}
+
+/* ============================= SCHEDULED TASKS ============================= */
+
+/**
+ * Archivage des produits expirés (expiresAt dépassé, durée de vie propre à chaque produit).
+ * Les produits archivés ne sont plus achetables mais restent accessibles aux acheteurs
+ * et restaurables par le vendeur jusqu'à purgeAt (voir purgeArchivedProducts).
+ * Fréquence: toutes les heures pour minimiser latence d’expiration.
+ */
+exports.cleanupOldProducts = onSchedule(
+  {
+    schedule: "0 * * * *", // toutes les heures
+    timeZone: "UTC",
+    memory: "256MiB",
+    maxInstances: 1,
+  },
+  async () => {
+    console.log("🧹 Starting hourly archiving of expired products");
+
+    try {
+      const nowTimestamp = admin.firestore.Timestamp.now();
+
+      // Produits dont expiresAt < now (les produits "never" ont expiresAt null et sont exclus)
+      const expiredSnap = await db.collection("products").where("expiresAt", "<", nowTimestamp).get();
+      const productsToArchive = expiredSnap.docs.filter((doc) => doc.data().status !== "archived");
+      console.log(`Found ${productsToArchive.length} expired products to archive`);
+
+      if (productsToArchive.length === 0) return null;
+
+      for (const doc of productsToArchive) {
+        try {
+          await archiveProduct(doc.ref, "expired");
+        } catch (e) {
+          console.error(`Error archiving product ${doc.id}:`, e.message);
+        }
+      }
+
+      await db.collection("productCleanupLogs").add({
+        date: admin.firestore.FieldValue.serverTimestamp(),
+        action: "archived",
+        count: productsToArchive.length,
+        productIds: productsToArchive.map((d) => d.id),
+      });
+
+      console.log(`Successfully archived ${productsToArchive.length} expired products`);
       return null;
     } catch (error) {
-      console.error("Error sending expiration warnings:", error);
+      console.error("Error cleaning up old products:", error);
       await db.collection("systemErrors").add({
-        function: "sendExpirationWarnings",
+        function: "cleanupOldProducts",
         error: error.message || "Unknown error",
         timestamp: admin.firestore.FieldValue.serverTimestamp(),
         stack: error.stack,
@@ -830,118 +2253,58 @@ exports.sendExpirationWarnings = onSchedule(
 );
 
 /**
- * Paiements hebdomadaires (vendredi) - via PayPal Payouts (conservé)
+ * Purge définitive des produits archivés dont la période de grâce est terminée,
+ * tout en conservant les données financières (transactions, payoutHistory).
  */
-exports.processWeeklyPayouts = onSchedule(
+exports.purgeArchivedProducts = onSchedule(
   {
-    schedule: "0 12 * * 5", // Vendredi 12:00 UTC
+    schedule: "30 * * * *", // toutes les heures, décalé du cleanup
     timeZone: "UTC",
     memory: "256MiB",
     maxInstances: 1,
   },
   async () => {
-    console.log("💰 Starting weekly payouts process");
+    console.log("🗑️ Starting hourly purge of archived products");
 
     try {
-      const payoutSessionRef = await db.collection("payoutSessions").add({
-        startTime: admin.firestore.FieldValue.serverTimestamp(),
-        status: "started",
-        processedUsers: 0,
-        successfulPayouts: 0,
-        failedPayouts: 0,
-        totalAmount: 0,
-      });
-
-      const usersSnap = await db
-        .collection("users")
-        .where("balance", ">=", MIN_PAYOUT)
-        .where("paypalEmail", "!=", null)
+      const purgeSnap = await db
+        .collection("products")
+        .where("purgeAt", "<", admin.firestore.Timestamp.now())
         .get();
+      const productsToPurge = purgeSnap.docs
+        .map((doc) => ({ id: doc.id, ...doc.data() }))
+        .filter((p) => p.status === "archived");
+      console.log(`Found ${productsToPurge.length} archived products past their grace period`);
 
-      let processedUsers = 0;
-      let successfulPayouts = 0;
-      let failedPayouts = 0;
-      let totalAmount = 0;
-
-      for (const userDoc of usersSnap.docs) {
-        const user = userDoc.data();
-        const userId = userDoc.id;
-        const balance = Number(user.balance || 0);
-        const paypalEmail = user.paypalEmail;
-
-        if (!isEmail(paypalEmail)) {
-          failedPayouts++;
-          continue;
-        }
-        if (balance < MIN_PAYOUT) continue;
-
-        processedUsers++;
-
-        try {
-          const profile = await db.collection("users").doc(userId).get();
-          const firstName =
-            (profile.exists && (profile.data().firstName || profile.data().displayName || "Seller")) || "Seller";
-
-          await processPayout(userId, balance, paypalEmail);
-
-          await sendEmailNotification("payout_notification", {
-            userId,
-            paypalEmail,
-            amount: balance - (PAYPAL_FEE_FIXED + balance * PAYPAL_FEE_RATE),
-            firstName,
-          });
+      if (productsToPurge.length === 0) return null;
 
-          successfulPayouts++;
-          totalAmount += balance;
-        } catch (error) {
-          console.error(`Error processing payout for ${userId}:`, error);
-          await db.collection("payoutErrors").add({
-            userId,
-            amount: balance,
-            paypalEmail,
-            error: error.message || "Unknown error",
-            timestamp: admin.firestore.FieldValue.serverTimestamp(),
-          });
-          failedPayouts++;
-        }
+      await db.collection("productCleanupLogs").add({
+        date: admin.firestore.FieldValue.serverTimestamp(),
+        action: "purged",
+        count: productsToPurge.length,
+        productIds: productsToPurge.map((p) => p.id),
+      });
 
-        await new Promise((r) => setTimeout(r, 1000));
+      const impactedSellers = new Set();
+      for (const product of productsToPurge) {
+        if (product.uid) impactedSellers.add(product.uid);
+        await purgeProduct(product.id, product);
       }
 
-      const lowBalanceUsersSnap = await db
-        .collection("users")
-        .where("balance", ">", 0)
-        .where("balance", "<", MIN_PAYOUT)
-        .where("paypalEmail", "!=", null)
-        .get();
-
-      for (const userDoc of lowBalanceUsersSnap.docs) {
-        const user = userDoc.data();
-        const email = user.email;
-        if (email && isEmail(email)) {
-          await sendEmailNotification("min_balance_not_reached", { email, balance: Number(user.balance || 0) });
+      for (const uid of impactedSellers) {
+        try {
+          await recomputeUserStats(uid);
+        } catch (e) {
+          console.error(`Error updating userStats for ${uid}:`, e.message);
         }
       }
 
-      await payoutSessionRef.update({
-        endTime: admin.firestore.FieldValue.serverTimestamp(),
-        status: "completed",
-        processedUsers,
-        successfulPayouts,
-        failedPayouts,
-        totalAmount,
-      });
-
-      console.log(
-        `Weekly payout completed: ${successfulPayouts} success, ${failedPayouts} failed, $${totalAmount.toFixed(
-          2
-        )} total`
-      );
+      console.log(`Successfully purged ${productsToPurge.length} archived products and related data`);
       return null;
     } catch (error) {
-      console.error("Error processing weekly payouts:", error);
+      console.error("Error purging archived products:", error);
       await db.collection("systemErrors").add({
-        function: "processWeeklyPayouts",
+        function: "purgeArchivedProducts",
         error: error.message || "Unknown error",
         timestamp: admin.firestore.FieldValue.serverTimestamp(),
         stack: error.stack,
@@ -951,782 +2314,1110 @@ exports.processWeeklyPayouts = onSchedule(
   }
 );
 
-/* ============================= HTTP FUNCTIONS ============================= */
-/* Note: checkout = Stripe désormais. Payout = PayPal maintenu. */
-
-/* ---- Email Verification ---- */
+/**
+ * Avertissements d’expiration: 24h avant l’expiration, ou au quart de la durée de vie
+ * pour les produits plus courts (ex: 6h avant pour un produit 24h).
+ */
+exports.sendExpirationWarnings = onSchedule(
+  {
+    schedule: "0 * * * *", // toutes les heures
+    timeZone: "UTC",
+    memory: "256MiB",
+    maxInstances: 1,
+  },
+  async () => {
+    console.log("🔔 Checking for soon-to-expire products (hourly)");
 
-exports.sendVerificationCode = onRequest({ secrets: [sendgridApiKey] }, async (req, res) => {
-  return corsMiddleware(req, res, async () => {
     try {
-      const { email, code } = req.body || {};
-      if (!email || !code) return res.status(400).json({ success: false, error: "Missing email or code" });
-      if (!isEmail(email)) return res.status(400).json({ success: false, error: "Invalid email format" });
+      const now = new Date();
+      const windowEnd = new Date(now.getTime() + WARNING_BEFORE_EXP_MS + 60 * 60 * 1000); // 24h + fenêtre 1h
 
-      const ok = await sendEmailNotification("verification_code", { email, code });
-      if (!ok) return res.status(500).json({ success: false, error: "Failed to send verification code" });
+      const productsSnap = await db
+        .collection("products")
+        .where("expiresAt", ">=", admin.firestore.Timestamp.fromDate(now))
+        .where("expiresAt", "<", admin.firestore.Timestamp.fromDate(windowEnd))
+        .get();
 
-      await db.collection("verificationCodes").add({
-        email,
-        code,
-        type: "account_verification",
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
-        expiresAt: new Date(Date.now() + 10 * 60 * 1000),
-      });
+      console.log(`Found ${productsSnap.size} products expiring within 24h`);
 
-      return res.status(200).json({ success: true, message: "Verification code sent successfully" });
-    } catch (err) {
-      console.error("sendVerificationCode error:", err);
-      return res.status(500).json({ success: false, error: err.message || "Internal error" });
-    }
-  });
-});
+      let emailsSent = 0;
 
-exports.sendPasswordResetCode = onRequest({ secrets: [sendgridApiKey] }, async (req, res) => {
-  return corsMiddleware(req, res, async () => {
-    try {
-      const { email } = req.body || {};
-      if (!email) return res.status(400).json({ success: false, error: "Missing email" });
-      if (!isEmail(email)) return res.status(400).json({ success: false, error: "Invalid email format" });
+      for (const doc of productsSnap.docs) {
+        const product = doc.data();
+        const productId = doc.id;
+        if (product.status === "archived") continue;
 
-      const code = generateVerificationCode();
+        // Délai d'avertissement propre à la durée de vie du produit
+        const lifetimeMs = PRODUCT_LIFETIMES[product.lifetime || DEFAULT_PRODUCT_LIFETIME];
+        const warningBeforeMs = Math.min(WARNING_BEFORE_EXP_MS, (lifetimeMs || WARNING_BEFORE_EXP_MS * 4) / 4);
+        const msLeft = product.expiresAt.toDate().getTime() - now.getTime();
+        if (msLeft > warningBeforeMs) continue;
 
-      const old = await db
-        .collection("verificationCodes")
-        .where("email", "==", email)
-        .where("type", "==", "password_reset")
-        .get();
-      const batch = db.batch();
-      old.docs.forEach((d) => batch.delete(d.ref));
-      await batch.commit();
+        const existingWarningSnap = await db
+          .collection("emailSentLogs")
+          .where("type", "==", "expiration_warning")
+          .where("productId", "==", productId)
+          .limit(1)
+          .get();
 
-      const ok = await sendEmailNotification("password_reset", { email, code });
-      if (!ok) return res.status(500).json({ success: false, error: "Failed to send password reset code" });
+        if (!existingWarningSnap.empty) {
+          continue;
+        }
 
-      await db.collection("verificationCodes").add({
-        email,
-        code,
-        type: "password_reset",
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
-        expiresAt: new Date(Date.now() + 10 * 60 * 1000),
-      });
+        const sellerDoc = await db.collection("users").doc(product.uid).get();
+        if (!sellerDoc.exists) continue;
 
-      return res.status(200).json({ success: true, message: "Password reset code sent successfully" });
-    } catch (err) {
-      console.error("sendPasswordResetCode error:", err);
-      return res.status(500).json({ success: false, error: err.message || "Internal error" });
-    }
-  });
-});
+        const sellerEmail = sellerDoc.data().email;
+        if (!sellerEmail || !isEmail(sellerEmail)) continue;
 
-exports.verifyCode = onRequest({}, async (req, res) => {
-  return corsMiddleware(req, res, async () => {
-    try {
-      const { email, code, type } = req.body || {};
-      if (!email || !code || !type) return res.status(400).json({ success: false, error: "Missing fields" });
-      if (!isEmail(email)) return res.status(400).json({ success: false, error: "Invalid email format" });
+        const expirationDate = product.expiresAt.toDate();
+        const formattedDate = expirationDate.toLocaleString("en-US", {
+          year: "numeric",
+          month: "long",
+          day: "numeric",
+          hour: "2-digit",
+          minute: "2-digit",
+        });
 
-      const codesSnap = await db
-        .collection("verificationCodes")
-        .where("email", "==", email)
-        .where("type", "==", type)
-        .where("expiresAt", ">", new Date())
-        .orderBy("expiresAt", "desc")
-        .limit(1)
-        .get();
+        const ok = await sendEmailNotification("link_expiration_warning", {
+          email: sellerEmail,
+          productTitle: product.title || "Your product",
+          expirationDate: formattedDate,
+          hoursLeft: Math.max(1, Math.ceil(msLeft / (60 * 60 * 1000))),
+        });
 
-      if (codesSnap.empty) return res.status(400).json({ success: false, error: "No valid verification code found" });
+        if (ok) {
+          emailsSent++;
+          await db.collection("emailSentLogs").add({
+            type: "expiration_warning",
+            productId: productId,
+            sellerUid: product.uid,
+            email: sellerEmail,
+            sentAt: admin.firestore.FieldValue.serverTimestamp(),
+            expiresAt: product.expiresAt,
+          });
+        }
 
-      const data = codesSnap.docs[0].data();
-      if (data.code !== code) return res.status(400).json({ success: false, error: "Invalid verification code" });
+        await new Promise((r) => setTimeout(r, 250));
+      }
 
-      await codesSnap.docs[0].ref.update({
-        used: true,
-        usedAt: admin.firestore.FieldValue.serverTimestamp(),
+      console.log(`Expiration warnings sent: ${emailsSent}`);
+      return null;
+    } catch (error) {
+      console.error("Error sending expiration warnings:", error);
+      await db.collection("systemErrors").add({
+        function: "sendExpirationWarnings",
+        error: error.message || "Unknown error",
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        stack: error.stack,
       });
-
-      return res.status(200).json({ success: true, message: "Code verified successfully" });
-    } catch (err) {
-      console.error("verifyCode error:", err);
-      return res.status(500).json({ success: false, error: err.message || "Internal error" });
+      return null;
     }
-  });
-});
+  }
+);
 
-exports.resetPassword = onRequest({}, async (req, res) => {
-  return corsMiddleware(req, res, async () => {
-    try {
-      const { email, newPassword, code } = req.body || {};
-      if (!email || !newPassword || !code) return res.status(400).json({ success: false, error: "Missing fields" });
-      if (!isEmail(email)) return res.status(400).json({ success: false, error: "Invalid email format" });
-      if (newPassword.length < 6) return res.status(400).json({ success: false, error: "Password too short" });
+/**
+ * Libération horaire des fonds en rétention: pour chaque commande "held" dont fundsReleaseAt est passé,
+ * la part vendeur nette (après remboursements / litiges / frais réels) passe de pendingBalance à balance.
+ */
+exports.releaseHeldFunds = onSchedule(
+  {
+    schedule: "every 60 minutes",
+    timeZone: "UTC",
+    memory: "256MiB",
+    maxInstances: 1,
+  },
+  async () => {
+    console.log("🔓 Releasing held funds");
 
-      const codesSnap = await db
-        .collection("verificationCodes")
-        .where("email", "==", email)
-        .where("type", "==", "password_reset")
-        .where("expiresAt", ">", new Date())
-        .orderBy("expiresAt", "desc")
-        .limit(1)
+    try {
+      const ordersSnap = await db
+        .collection("orders")
+        .where("fundsStatus", "==", "held")
+        .where("fundsReleaseAt", "<=", admin.firestore.Timestamp.now())
+        .limit(FUNDS_RELEASE_BATCH)
         .get();
 
-      if (codesSnap.empty) return res.status(400).json({ success: false, error: "No valid verification code found" });
-
-      if (codesSnap.docs[0].data().code !== code)
-        return res.status(400).json({ success: false, error: "Invalid verification code" });
+      let released = 0;
+      for (const orderDoc of ordersSnap.docs) {
+        try {
+          if (await releaseOrderFunds(orderDoc.ref)) released++;
+        } catch (e) {
+          console.error(`Error releasing funds for order ${orderDoc.id}:`, e.message);
+        }
+      }
 
-      const usersSnap = await db.collection("users").where("email", "==", email).limit(1).get();
-      if (usersSnap.empty) return res.status(404).json({ success: false, error: "User not found" });
+      console.log(`Released funds for ${released}/${ordersSnap.size} orders`);
+      return null;
+    } catch (error) {
+      console.error("Error releasing held funds:", error);
+      await db.collection("systemErrors").add({
+        function: "releaseHeldFunds",
+        error: error.message || "Unknown error",
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        stack: error.stack,
+      });
+      return null;
+    }
+  }
+);
 
-      try {
-        const userRecord = await admin.auth().getUserByEmail(email);
-        await admin.auth().updateUser(userRecord.uid, { password: newPassword });
+/**
+ * Réconciliation quotidienne du grand livre: pour chaque vendeur, soldes users vs totaux ledgerBalances.
+ * Écart → ledgerDiscrepancies/{userId} (ouvert), écart disparu → marqué résolu.
+ * Parcours par lots de LEDGER_RECONCILIATION_BATCH vendeurs (ordre des ids).
+ */
+exports.reconcileLedgerBalances = onSchedule(
+  {
+    schedule: "every day 03:00",
+    timeZone: "UTC",
+    memory: "256MiB",
+    maxInstances: 1,
+  },
+  async () => {
+    console.log("📒 Reconciling seller balances with the ledger");
 
-        await codesSnap.docs[0].ref.update({
-          used: true,
-          usedAt: admin.firestore.FieldValue.serverTimestamp(),
-        });
+    try {
+      let checked = 0;
+      let mismatched = 0;
+      let lastDoc = null;
 
-        await db.collection("passwordResetLogs").add({
-          email,
-          userId: userRecord.uid,
-          timestamp: admin.firestore.FieldValue.serverTimestamp(),
-          success: true,
-        });
+      for (;;) {
+        let query = db
+          .collection("users")
+          .orderBy(admin.firestore.FieldPath.documentId())
+          .limit(LEDGER_RECONCILIATION_BATCH);
+        if (lastDoc) query = query.startAfter(lastDoc);
+        const usersSnap = await query.get();
+        if (usersSnap.empty) break;
+
+        for (const userDoc of usersSnap.docs) {
+          checked++;
+          try {
+            const differences = await reconcileSellerLedger(userDoc.id);
+            const discrepancyRef = db.collection("ledgerDiscrepancies").doc(userDoc.id);
+            if (differences.length) {
+              mismatched++;
+              await discrepancyRef.set({
+                userId: userDoc.id,
+                differences,
+                status: "open",
+                detectedAt: admin.firestore.FieldValue.serverTimestamp(),
+              });
+            } else {
+              const discrepancyDoc = await discrepancyRef.get();
+              if (discrepancyDoc.exists && discrepancyDoc.data().status === "open") {
+                await discrepancyRef.update({
+                  status: "resolved",
+                  resolvedAt: admin.firestore.FieldValue.serverTimestamp(),
+                });
+              }
+            }
+          } catch (e) {
+            console.error(`Error reconciling ledger for ${userDoc.id}:`, e.message);
+          }
+        }
 
-        return res.status(200).json({ success: true, message: "Password reset successfully" });
-      } catch (authError) {
-        console.error("Error updating Firebase Auth user:", authError);
-        return res.status(500).json({ success: false, error: "Failed to update password in auth system" });
+        lastDoc = usersSnap.docs[usersSnap.docs.length - 1];
+        if (usersSnap.size < LEDGER_RECONCILIATION_BATCH) break;
       }
-    } catch (err) {
-      console.error("resetPassword error:", err);
-      return res.status(500).json({ success: false, error: err.message || "Internal error" });
+
+      console.log(`Ledger reconciliation: ${mismatched}/${checked} sellers out of balance`);
+      return null;
+    } catch (error) {
+      console.error("Error reconciling ledger:", error);
+      await db.collection("systemErrors").add({
+        function: "reconcileLedgerBalances",
+        error: error.message || "Unknown error",
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        stack: error.stack,
+      });
+      return null;
     }
-  });
-});
+  }
+);
 
-/* ---- Stats & Data ---- */
+/**
+ * Réconciliation quotidienne des frais Stripe: les commandes livrées avec un frais estimé
+ * (balance transaction pas encore disponible) reçoivent le frais réel; l'écart est imputé selon STRIPE_FEE_POLICY.
+ * File ordonnée par createdAt; une commande sans frais réel après FEE_RECONCILIATION_MAX_ATTEMPTS exécutions
+ * passe en "unresolved" (frais estimé conservé) pour ne pas bloquer les suivantes.
+ */
+exports.reconcileStripeFees = onSchedule(
+  {
+    schedule: "15 3 * * *", // tous les jours à 03:15 UTC
+    timeZone: "UTC",
+    memory: "256MiB",
+    maxInstances: 1,
+    secrets: [stripeSecretKey],
+  },
+  async () => {
+    console.log("🧾 Starting Stripe fee reconciliation");
 
-exports.getUserStats = onRequest({}, async (req, res) => {
-  return corsMiddleware(req, res, async () => {
     try {
-      const uid = req.query.uid;
-      if (!uid) return res.status(400).json({ success: false, error: "Missing uid" });
+      if (!stripe) stripe = require("stripe")(stripeSecretKey.value());
 
-      const userStatsDoc = await db.collection("userStats").doc(uid).get();
-      if (!userStatsDoc.exists) {
-        await db
-          .collection("userStats")
-          .doc(uid)
-          .set({
-            linksCount: 0,
-            viewsCount: 0,
-            ordersCount: 0,
-            shippedCount: 0,
-            revenueCount: 0,
-            lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+      const ordersSnap = await db
+        .collection("orders")
+        .where("stripeFeeSource", "==", "estimate")
+        .orderBy("createdAt")
+        .limit(FEE_RECONCILIATION_BATCH)
+        .get();
+      const pending = ordersSnap.docs;
+      console.log(`Found ${pending.length} orders with estimated Stripe fees`);
+
+      let reconciled = 0;
+      let unresolved = 0;
+      const totalDeltaByCurrency = {};
+      for (const orderDoc of pending) {
+        const order = orderDoc.data();
+        let failure = null;
+        try {
+          const actualFee = order.stripePaymentIntent
+            ? await getStripeActualFee(order.stripePaymentIntent, order.currency)
+            : null;
+          if (actualFee) {
+            const delta = await applyActualStripeFee(orderDoc.ref, actualFee);
+            reconciled++;
+            const cur = normalizeCurrency(order.currency);
+            totalDeltaByCurrency[cur] = roundMoney((totalDeltaByCurrency[cur] || 0) + delta, cur);
+            continue;
+          }
+          failure = order.stripePaymentIntent ? "Balance transaction not available" : "Missing payment intent";
+        } catch (e) {
+          console.error(`Error reconciling Stripe fee for order ${orderDoc.id}:`, e.message);
+          failure = e.message || "Unknown error";
+        }
+
+        // Échec compté: au-delà du plafond la commande quitte la file
+        const attempts = (order.feeReconcileAttempts || 0) + 1;
+        const giveUp = attempts >= FEE_RECONCILIATION_MAX_ATTEMPTS;
+        if (giveUp) unresolved++;
+        try {
+          await orderDoc.ref.update({
+            feeReconcileAttempts: attempts,
+            feeReconcileError: failure,
+            ...(giveUp ? { stripeFeeSource: "unresolved" } : {}),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
           });
-        return res.status(200).json({
-          success: true,
-          stats: { linksCount: 0, viewsCount: 0, ordersCount: 0, shippedCount: 0, revenueCount: 0 },
-        });
+        } catch (e) {
+          console.error(`Error recording fee reconciliation attempt for order ${orderDoc.id}:`, e.message);
+        }
       }
 
-      const s = userStatsDoc.data();
-      return res.status(200).json({
-        success: true,
-        stats: {
-          linksCount: s.linksCount || 0,
-          viewsCount: s.viewsCount || 0,
-          ordersCount: s.ordersCount || 0,
-          shippedCount: s.shippedCount || 0,
-          revenueCount: s.revenueCount || 0,
-        },
+      await db.collection("feeReconciliationLogs").add({
+        date: admin.firestore.FieldValue.serverTimestamp(),
+        policy: STRIPE_FEE_POLICY,
+        checked: pending.length,
+        reconciled,
+        unresolved,
+        totalDeltaByCurrency,
       });
-    } catch (err) {
-      console.error("getUserStats error:", err);
-      return res.status(500).json({ success: false, error: err.message || "Internal error" });
+
+      console.log(`Reconciled ${reconciled}/${pending.length} orders`);
+      return null;
+    } catch (error) {
+      console.error("Error reconciling Stripe fees:", error);
+      await db.collection("systemErrors").add({
+        function: "reconcileStripeFees",
+        error: error.message || "Unknown error",
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        stack: error.stack,
+      });
+      return null;
     }
-  });
-});
+  }
+);
+
+/**
+ * Volume de ventes 30 jours glissants par vendeur et par devise (montant payé net des remboursements;
+ * commandes remboursées, en litige ou perdues en chargeback exclues),
+ * stocké dans users.commissionVolume { byCurrency, computedAt } pour les paliers de commission.
+ * Commandes lues par pages de COMMISSION_VOLUME_BATCH (ordre createdAt), champs utiles seulement.
+ */
+exports.refreshCommissionVolumes = onSchedule(
+  {
+    schedule: "30 2 * * *", // tous les jours à 02:30 UTC
+    timeZone: "UTC",
+    memory: "256MiB",
+    maxInstances: 1,
+  },
+  async () => {
+    console.log("📊 Refreshing 30-day sales volumes for commission tiers");
 
-exports.recordProductView = onRequest({}, async (req, res) => {
-  return corsMiddleware(req, res, async () => {
     try {
-      const { productId } = req.body || {};
-      if (!productId) return res.status(400).json({ success: false, error: "Missing productId" });
+      const since = admin.firestore.Timestamp.fromDate(new Date(Date.now() - COMMISSION_VOLUME_WINDOW_MS));
+      const volumes = {};
+      let ordersCount = 0;
+      let lastDoc = null;
 
-      const productDoc = await db.collection("products").doc(productId).get();
-      if (!productDoc.exists) return res.status(404).json({ success: false, error: "Product not found" });
+      for (;;) {
+        let query = db
+          .collection("orders")
+          .where("createdAt", ">=", since)
+          .orderBy("createdAt")
+          .select("sellerUid", "amount", "refundedAmount", "currency", "status", "createdAt")
+          .limit(COMMISSION_VOLUME_BATCH);
+        if (lastDoc) query = query.startAfter(lastDoc);
+        const ordersSnap = await query.get();
+        if (ordersSnap.empty) break;
+
+        ordersSnap.docs.forEach((doc) => {
+          const o = doc.data();
+          if (!o.sellerUid || COMMISSION_VOLUME_EXCLUDED_STATUSES.includes(o.status)) return;
+          const netAmount = Number(o.amount || 0) - Number(o.refundedAmount || 0);
+          if (netAmount <= 0) return;
+          const cur = normalizeCurrency(o.currency);
+          const byCurrency = (volumes[o.sellerUid] = volumes[o.sellerUid] || {});
+          byCurrency[cur] = roundMoney((byCurrency[cur] || 0) + netAmount, cur);
+        });
 
-      const product = productDoc.data();
-      const sellerUid = product.uid;
+        ordersCount += ordersSnap.size;
+        lastDoc = ordersSnap.docs[ordersSnap.docs.length - 1];
+        if (ordersSnap.size < COMMISSION_VOLUME_BATCH) break;
+      }
 
-      await db.collection("productViews").add({
-        productId,
-        sellerUid,
+      const sellerIds = Object.keys(volumes);
+      for (let i = 0; i < sellerIds.length; i += 500) {
+        const batch = db.batch();
+        sellerIds.slice(i, i + 500).forEach((uid) => {
+          // Objet remplacé en entier: une devise sans vente récente disparaît
+          batch.set(
+            db.collection("users").doc(uid),
+            {
+              commissionVolume: { byCurrency: volumes[uid], computedAt: admin.firestore.FieldValue.serverTimestamp() },
+            },
+            { mergeFields: ["commissionVolume"] }
+          );
+        });
+        await batch.commit();
+      }
+
+      console.log(`Commission volumes refreshed for ${sellerIds.length} sellers (${ordersCount} orders)`);
+      return null;
+    } catch (error) {
+      console.error("Error refreshing commission volumes:", error);
+      await db.collection("systemErrors").add({
+        function: "refreshCommissionVolumes",
+        error: error.message || "Unknown error",
         timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        stack: error.stack,
       });
+      return null;
+    }
+  }
+);
 
-      const userStatsRef = db.collection("userStats").doc(sellerUid);
-      const userStatsDoc = await userStatsRef.get();
-      if (userStatsDoc.exists) {
-        await userStatsRef.update({
-          viewsCount: admin.firestore.FieldValue.increment(1),
-          lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
-        });
-      } else {
-        await userStatsRef.set({
-          linksCount: 0,
-          viewsCount: 1,
-          ordersCount: 0,
-          shippedCount: 0,
-          revenueCount: 0,
-          lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
-        });
-      }
-
-      return res.status(200).json({ success: true });
-    } catch (err) {
-      console.error("recordProductView error:", err);
-      return res.status(500).json({ success: false, error: err.message || "Internal error" });
-    }
-  });
-});
+/**
+ * Paiements hebdomadaires (vendredi) - via PayPal Payouts, pipeline idempotent runPayoutPipeline
+ */
+exports.processWeeklyPayouts = onSchedule(
+  {
+    schedule: "0 12 * * 5", // Vendredi 12:00 UTC
+    timeZone: "UTC",
+    memory: "256MiB",
+    maxInstances: 1,
+    secrets: [paypalClientId, paypalClientSecret, stripeSecretKey, sendgridApiKey],
+  },
+  async () => {
+    console.log("💰 Starting weekly payouts process");
 
-exports.getTransactionHistory = onRequest({}, async (req, res) => {
-  return corsMiddleware(req, res, async () => {
     try {
-      const uid = req.query.uid;
-      if (!uid) return res.status(400).json({ success: false, error: "Missing uid" });
-
-      const transactionsSnap = await db
-        .collection("transactions")
-        .where("userId", "==", uid)
-        .orderBy("createdAt", "desc")
-        .get();
-
-      const transactions = transactionsSnap.docs.map((doc) => ({
-        id: doc.id,
-        ...doc.data(),
-        date: doc.data().date ? doc.data().date.toDate() : null,
-      }));
-
-      const payoutsSnap = await db.collection("payoutHistory").where("userId", "==", uid).orderBy("timestamp", "desc").get();
-      const payouts = payoutsSnap.docs.map((doc) => ({
-        id: doc.id,
-        ...doc.data(),
-        timestamp: doc.data().timestamp ? doc.data().timestamp.toDate() : null,
-        type: "payout",
-      }));
-
-      const all = [...transactions, ...payouts].sort((a, b) => {
-        const da = a.date || a.timestamp || 0;
-        const dbb = b.date || b.timestamp || 0;
-        return dbb - da;
+      const { successfulPayouts, failedPayouts, totalAmountByCurrency } = await runPayoutPipeline("schedule");
+      console.log(
+        `Weekly payout completed: ${successfulPayouts} submitted, ${failedPayouts} failed, totals ${JSON.stringify(
+          totalAmountByCurrency
+        )}`
+      );
+      return null;
+    } catch (error) {
+      console.error("Error processing weekly payouts:", error);
+      await db.collection("systemErrors").add({
+        function: "processWeeklyPayouts",
+        error: error.message || "Unknown error",
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        stack: error.stack,
       });
-
-      return res.status(200).json({ success: true, transactions: all });
-    } catch (err) {
-      console.error("getTransactionHistory error:", err);
-      return res.status(500).json({ success: false, error: err.message || "Internal error" });
+      return null;
     }
-  });
-});
+  }
+);
+
+/**
+ * Synchro horaire des payouts soumis: PayPal traite les batches de façon asynchrone,
+ * l'issue (succeeded / failed / returned) n'est connue qu'après coup. Reprend aussi les envois interrompus.
+ */
+exports.syncPayoutStatuses = onSchedule(
+  {
+    schedule: "30 * * * *",
+    timeZone: "UTC",
+    memory: "256MiB",
+    maxInstances: 1,
+    secrets: [paypalClientId, paypalClientSecret, stripeSecretKey, sendgridApiKey],
+  },
+  async () => {
+    console.log("🔄 Syncing submitted payouts");
 
-exports.getLinkGenerationStats = onRequest({}, async (req, res) => {
-  return corsMiddleware(req, res, async () => {
     try {
-      const { period, uid } = req.query;
-      if (!uid) return res.status(400).json({ success: false, error: "Missing uid" });
-
-      let statsQuery;
-      if (period === "hourly") {
-        const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
-        statsQuery = db.collection("linkGenerationStats").where("lastUpdated", ">", since).orderBy("lastUpdated", "asc");
-      } else if (period === "daily") {
-        const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-        statsQuery = db.collection("linkGenerationStats").where("lastUpdated", ">", since).orderBy("lastUpdated", "asc");
-      } else {
-        statsQuery = db.collection("linkGenerationStats").orderBy("lastUpdated", "desc").limit(100);
-      }
+      const { resubmitted, synced, submitted } = await recoverOpenPayouts();
+      console.log(`Payout sync done: ${synced}/${submitted}, ${resubmitted} interrupted submissions replayed`);
+      return null;
+    } catch (error) {
+      console.error("Error syncing payouts:", error);
+      await db.collection("systemErrors").add({
+        function: "syncPayoutStatuses",
+        error: error.message || "Unknown error",
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        stack: error.stack,
+      });
+      return null;
+    }
+  }
+);
 
-      const statsSnap = await statsQuery.get();
+/**
+ * Relance des payouts en échec transitoire (statut "retry_scheduled" dont nextRetryAt est passé)
+ */
+exports.retryFailedPayouts = onSchedule(
+  {
+    schedule: "every 60 minutes",
+    timeZone: "UTC",
+    memory: "256MiB",
+    maxInstances: 1,
+    secrets: [paypalClientId, paypalClientSecret, stripeSecretKey, sendgridApiKey],
+  },
+  async () => {
+    console.log("🔁 Retrying failed payouts");
 
-      const detailsSnap = await db
-        .collection("linkGenerationDetails")
-        .where("uid", "==", uid)
-        .orderBy("timestamp", "desc")
+    try {
+      const snap = await db
+        .collection("payouts")
+        .where("status", "==", "retry_scheduled")
+        .where("nextRetryAt", "<=", admin.firestore.Timestamp.now())
         .limit(100)
         .get();
 
-      const userLinks = detailsSnap.docs.map((d) => ({
-        id: d.id,
-        ...d.data(),
-        timestamp: d.data().timestamp ? d.data().timestamp.toDate() : null,
-        expiresAt: d.data().expiresAt ? d.data().expiresAt.toDate() : null,
-      }));
-
-      const stats = statsSnap.docs.map((d) => ({
-        id: d.id,
-        ...d.data(),
-        lastUpdated: d.data().lastUpdated ? d.data().lastUpdated.toDate() : null,
-      }));
-
-      return res.status(200).json({ success: true, stats, userLinks });
-    } catch (err) {
-      console.error("getLinkGenerationStats error:", err);
-      return res.status(500).json({ success: false, error: err.message || "Internal error" });
+      let retried = 0;
+      for (const doc of snap.docs) {
+        try {
+          const payout = await retryPayout(doc.ref);
+          if (payout && ["submitted", "succeeded"].includes(payout.status)) retried++;
+        } catch (e) {
+          console.error(`Error retrying payout ${doc.id}:`, e.message);
+        }
+        await new Promise((r) => setTimeout(r, 100));
+      }
+      console.log(`Payout retries: ${retried}/${snap.size} resubmitted`);
+      return null;
+    } catch (error) {
+      console.error("Error retrying payouts:", error);
+      await db.collection("systemErrors").add({
+        function: "retryFailedPayouts",
+        error: error.message || "Unknown error",
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        stack: error.stack,
+      });
+      return null;
     }
-  });
-});
-
-/* ---- Produits & Paiements ---- */
-
-exports.createProduct = onRequest({ secrets: [sendgridApiKey] }, async (req, res) => {
-  // Preflight simple
-  res.set("Access-Control-Allow-Origin", "*");
-  res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-  res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
-  if (req.method === "OPTIONS") {
-    res.status(204).send("");
-    return;
   }
+);
 
-  return corsMiddleware(req, res, async () => {
-    try {
-      const { uid, title, category, description, price, fileName } = req.body || {};
-      if (!uid || !title || !price || !fileName)
-        return res.status(400).json({ success: false, error: "Missing required fields" });
-
-      if (parseFloat(price) < 1) return res.status(400).json({ success: false, error: "Minimum price is $1.00" });
+/* ============================= STORAGE TRIGGERS ============================= */
 
-      const validCategories = ["video", "ebook", "music", "software"];
-      if (!category || !validCategories.includes(category))
-        return res.status(400).json({ success: false, error: "Invalid category" });
+/**
+ * Fin d'upload d'un fichier produit (products/) ou d'une cover (covers/).
+ * Vérifie la taille réelle et le type réel (magic bytes) selon la catégorie du produit.
+ * Fichier conforme: ajouté à uploadedPaths; filesUploaded passe à true quand la cover et tout le manifest sont là.
+ * Fichier non conforme: déplacé dans quarantine/ et le produit est marqué uploadStatus "rejected".
+ */
+exports.validateProductUpload = onObjectFinalized({ memory: "256MiB" }, async (event) => {
+  const object = event.data;
+  const path = object.name || "";
+  const isCover = path.startsWith("covers/");
+  if (!isCover && !path.startsWith("products/")) return null;
 
-      const now = Date.now();
-      const coverPath = `covers/${uid}/${now}_cover_${fileName}`;
-      const filePath = `products/${uid}/${now}_${fileName}`;
+  try {
+    // Produit propriétaire du fichier (filePath seul pour les produits antérieurs au manifest)
+    let productSnap = isCover
+      ? await db.collection("products").where("coverPath", "==", path).limit(1).get()
+      : await db.collection("products").where("filePaths", "array-contains", path).limit(1).get();
+    if (productSnap.empty && !isCover) {
+      productSnap = await db.collection("products").where("filePath", "==", path).limit(1).get();
+    }
+    if (productSnap.empty) {
+      console.warn("Uploaded file does not belong to any product:", path);
+      return null;
+    }
+    const productRef = productSnap.docs[0].ref;
+    const product = productSnap.docs[0].data();
+    const manifestEntry = isCover ? null : getProductFiles(product).find((f) => f.path === path);
+
+    // Taille réelle
+    const size = Number(object.size || 0);
+    const maxSize = isCover ? MAX_COVER_SIZE : MAX_FILE_SIZE_BY_CATEGORY[product.category] || DEFAULT_MAX_FILE_SIZE;
+    let rejectReason = null;
+    if (size <= 0) rejectReason = "Empty file";
+    else if (size > maxSize) rejectReason = "File too large for this category";
+    else if (manifestEntry && manifestEntry.size && Number(manifestEntry.size) !== size)
+      rejectReason = "File size does not match the declared size";
+
+    // Type réel (premiers octets)
+    if (!rejectReason) {
+      const [head] = await bucket.file(path).download({ start: 0, end: 511 });
+      const detectedType = detectFileSignature(head);
+      const allowedTypes = isCover ? ALLOWED_COVER_TYPES : ALLOWED_FILE_TYPES_BY_CATEGORY[product.category] || [];
+      if (!detectedType || !allowedTypes.includes(detectedType)) {
+        const target = isCover ? "covers" : product.category;
+        rejectReason = `File type ${detectedType || "unknown"} is not allowed for ${target}`;
+      }
+    }
 
-      const coverFile = bucket.file(coverPath);
-      const mainFile = bucket.file(filePath);
+    if (rejectReason) {
+      const quarantinePath = `quarantine/${path}`;
+      try {
+        await bucket.file(path).move(quarantinePath);
+      } catch (e) {
+        console.error(`Could not quarantine ${path}:`, e.message);
+      }
 
-      const [coverUrl] = await coverFile.getSignedUrl({
-        version: "v4",
-        action: "write",
-        expires: Date.now() + SIGNED_WRITE_URL_TTL_MS,
-        contentType: "application/octet-stream",
-        extensionHeaders: { "x-goog-content-length-range": "0,10485760" }, // 10MB
+      await productRef.update({
+        filesUploaded: false,
+        uploadStatus: "rejected",
+        uploadedPaths: admin.firestore.FieldValue.arrayRemove(path),
+        rejectedUploads: admin.firestore.FieldValue.arrayUnion({ path, quarantinePath, reason: rejectReason, size }),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
       });
+      console.warn(`Rejected upload ${path} for product ${productRef.id}: ${rejectReason}`);
+      return null;
+    }
 
-      let sizeLimit = "0,104857600"; // 100MB
-      if (category === "video") sizeLimit = "0,524288000"; // 500MB
-
-      const [fileUrl] = await mainFile.getSignedUrl({
-        version: "v4",
-        action: "write",
-        expires: Date.now() + SIGNED_WRITE_URL_TTL_MS,
-        contentType: "application/octet-stream",
-        extensionHeaders: { "x-goog-content-length-range": sizeLimit },
+    // Transaction: plusieurs fichiers du manifest peuvent finaliser en même temps
+    await db.runTransaction(async (tx) => {
+      const doc = await tx.get(productRef);
+      if (!doc.exists) return;
+      const current = doc.data();
+
+      const uploadedPaths = [...new Set([...(current.uploadedPaths || []), path])];
+      const requiredPaths = [current.coverPath, ...getProductFiles(current).map((f) => f.path)].filter(Boolean);
+      const filesUploaded = requiredPaths.every((p) => uploadedPaths.includes(p));
+
+      tx.update(productRef, {
+        uploadedPaths,
+        filesUploaded,
+        uploadStatus: filesUploaded ? "ready" : current.uploadStatus === "rejected" ? "rejected" : "uploading",
+        ...(filesUploaded ? { filesUploadedAt: admin.firestore.FieldValue.serverTimestamp() } : {}),
       });
+    });
 
-      // Expiration 48h
-      const expirationDate = getProductExpirationDate(new Date());
-
-      const productDoc = {
-        uid,
-        title,
-        category,
-        description: description || "",
-        price: parseFloat(price),
-        coverPath,
-        filePath,
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
-        expiresAt: admin.firestore.Timestamp.fromDate(expirationDate),
-        sales: 0,
-        revenue: 0,
-        filesUploaded: false,
-      };
+    return null;
+  } catch (error) {
+    console.error("validateProductUpload error:", error);
+    await db.collection("systemErrors").add({
+      function: "validateProductUpload",
+      error: error.message || "Unknown error",
+      path,
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+      stack: error.stack,
+    });
+    return null;
+  }
+});
 
-      const productRef = await db.collection("products").add(productDoc);
+/* ============================= HTTP FUNCTIONS ============================= */
+/* Note: checkout = Stripe désormais. Payout = PayPal maintenu. */
 
-      await productRef.update({
-        shareableLink: `https://www.g-z.online/product.html?productId=${productRef.id}`,
-      });
+/* ---- Email Verification ---- */
 
-      // Stats utilisateur
-      const productsSnap = await db.collection("products").where("uid", "==", uid).get();
-      const linksCount = productsSnap.size;
-      await updateUserStats(uid, { linksCount });
+exports.sendVerificationCode = onRequest({ secrets: [sendgridApiKey] }, async (req, res) => {
+  return corsMiddleware(req, res, async () => {
+    try {
+      const { email, code } = req.body || {};
+      if (!email || !code) return res.status(400).json({ success: false, error: "Missing email or code" });
+      if (!isEmail(email)) return res.status(400).json({ success: false, error: "Invalid email format" });
 
-      await recordLinkGeneration(uid, productRef.id);
+      const ok = await sendEmailNotification("verification_code", { email, code });
+      if (!ok) return res.status(500).json({ success: false, error: "Failed to send verification code" });
 
-      return res.status(200).json({
-        success: true,
-        productId: productRef.id,
-        uploadUrls: { cover: coverUrl, file: fileUrl },
-        shareableLink: `https://www.g-z.online/product.html?productId=${productRef.id}`,
-        expiresAt: expirationDate,
-        stats: { linksCount },
+      await db.collection("verificationCodes").add({
+        email,
+        code,
+        type: "account_verification",
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        expiresAt: new Date(Date.now() + 10 * 60 * 1000),
       });
+
+      return res.status(200).json({ success: true, message: "Verification code sent successfully" });
     } catch (err) {
-      console.error("createProduct error:", err);
+      console.error("sendVerificationCode error:", err);
       return res.status(500).json({ success: false, error: err.message || "Internal error" });
     }
   });
 });
 
-exports.getUserPaypalStatus = onRequest({}, async (req, res) => {
-  // Preflight
-  res.set("Access-Control-Allow-Origin", "*");
-  res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-  res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
-  if (req.method === "OPTIONS") {
-    res.status(204).send("");
-    return;
-  }
-
+exports.sendPasswordResetCode = onRequest({ secrets: [sendgridApiKey] }, async (req, res) => {
   return corsMiddleware(req, res, async () => {
     try {
-      const uid = req.query.uid;
-      if (!uid) return res.status(400).json({ success: false, error: "Missing uid" });
+      const { email } = req.body || {};
+      if (!email) return res.status(400).json({ success: false, error: "Missing email" });
+      if (!isEmail(email)) return res.status(400).json({ success: false, error: "Invalid email format" });
+
+      const code = generateVerificationCode();
+
+      const old = await db
+        .collection("verificationCodes")
+        .where("email", "==", email)
+        .where("type", "==", "password_reset")
+        .get();
+      const batch = db.batch();
+      old.docs.forEach((d) => batch.delete(d.ref));
+      await batch.commit();
 
-      const snap = await db.collection("users").doc(uid).get();
-      if (!snap.exists)
-        return res
-          .status(200)
-          .json({ success: true, exists: false, onboardingComplete: false, paypalEmail: null, balance: 0 });
+      const ok = await sendEmailNotification("password_reset", { email, code });
+      if (!ok) return res.status(500).json({ success: false, error: "Failed to send password reset code" });
 
-      const u = snap.data();
-      return res.status(200).json({
-        success: true,
-        exists: true,
-        onboardingComplete: Boolean(u.onboardingComplete) && Boolean(u.paypalEmail),
-        paypalEmail: u.paypalEmail || null,
-        balance: Number(u.balance || 0),
-        lastPayout: u.lastPayout || null,
+      await db.collection("verificationCodes").add({
+        email,
+        code,
+        type: "password_reset",
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        expiresAt: new Date(Date.now() + 10 * 60 * 1000),
       });
+
+      return res.status(200).json({ success: true, message: "Password reset code sent successfully" });
     } catch (err) {
-      console.error("getUserPaypalStatus error:", err);
+      console.error("sendPasswordResetCode error:", err);
       return res.status(500).json({ success: false, error: err.message || "Internal error" });
     }
   });
 });
 
-exports.updatePaypalEmail = onRequest({}, async (req, res) => {
-  // Preflight
-  res.set("Access-Control-Allow-Origin", "*");
-  res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-  res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
-  if (req.method === "OPTIONS") {
-    res.status(204).send("");
-    return;
-  }
-
+exports.verifyCode = onRequest({}, async (req, res) => {
   return corsMiddleware(req, res, async () => {
     try {
-      const { uid, paypalEmail } = req.body || {};
-      if (!uid || !paypalEmail) return res.status(400).json({ success: false, error: "Missing uid or email" });
-      if (!isEmail(paypalEmail)) return res.status(400).json({ success: false, error: "Invalid email" });
-
-      await db
-        .collection("users")
-        .doc(uid)
-        .set(
-          { paypalEmail, onboardingComplete: true, lastUpdate: admin.firestore.FieldValue.serverTimestamp() },
-          { merge: true }
-        );
+      const { email, code, type } = req.body || {};
+      if (!email || !code || !type) return res.status(400).json({ success: false, error: "Missing fields" });
+      if (!isEmail(email)) return res.status(400).json({ success: false, error: "Invalid email format" });
 
-      return res.status(200).json({ success: true });
+      const codesSnap = await db
+        .collection("verificationCodes")
+        .where("email", "==", email)
+        .where("type", "==", type)
+        .where("expiresAt", ">", new Date())
+        .orderBy("expiresAt", "desc")
+        .limit(1)
+        .get();
+
+      if (codesSnap.empty) return res.status(400).json({ success: false, error: "No valid verification code found" });
+
+      const data = codesSnap.docs[0].data();
+      if (data.code !== code) return res.status(400).json({ success: false, error: "Invalid verification code" });
+
+      await codesSnap.docs[0].ref.update({
+        used: true,
+        usedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      return res.status(200).json({ success: true, message: "Code verified successfully" });
     } catch (err) {
-      console.error("updatePaypalEmail error:", err);
+      console.error("verifyCode error:", err);
       return res.status(500).json({ success: false, error: err.message || "Internal error" });
     }
   });
 });
 
-exports.getUserData = onRequest({}, async (req, res) => {
-  // Preflight
-  res.set("Access-Control-Allow-Origin", "*");
-  res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-  res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
-  if (req.method === "OPTIONS") {
-    res.status(204).send("");
-    return;
-  }
-
+exports.resetPassword = onRequest({}, async (req, res) => {
   return corsMiddleware(req, res, async () => {
     try {
-      const uid = req.query.uid;
-      if (!uid) return res.status(400).json({ success: false, error: "Missing uid" });
+      const { email, newPassword, code } = req.body || {};
+      if (!email || !newPassword || !code) return res.status(400).json({ success: false, error: "Missing fields" });
+      if (!isEmail(email)) return res.status(400).json({ success: false, error: "Invalid email format" });
+      if (newPassword.length < 6) return res.status(400).json({ success: false, error: "Password too short" });
 
-      const doc = await db.collection("users").doc(uid).get();
-      if (!doc.exists) return res.status(404).json({ success: false, error: "User not found" });
+      const codesSnap = await db
+        .collection("verificationCodes")
+        .where("email", "==", email)
+        .where("type", "==", "password_reset")
+        .where("expiresAt", ">", new Date())
+        .orderBy("expiresAt", "desc")
+        .limit(1)
+        .get();
 
-      let userData = doc.data();
+      if (codesSnap.empty) return res.status(400).json({ success: false, error: "No valid verification code found" });
 
-      const userStatsDoc = await db.collection("userStats").doc(uid).get();
-      if (userStatsDoc.exists) {
-        const s = userStatsDoc.data();
-        userData = {
-          ...userData,
-          linksCount: s.linksCount || 0,
-          viewsCount: s.viewsCount || 0,
-          ordersCount: s.ordersCount || 0,
-          shippedCount: s.shippedCount || 0,
-          revenueCount: s.revenueCount || 0,
-        };
-      } else {
-        userData = { ...userData, linksCount: 0, viewsCount: 0, ordersCount: 0, shippedCount: 0, revenueCount: 0 };
-        await db.collection("userStats").doc(uid).set({
-          linksCount: 0,
-          viewsCount: 0,
-          ordersCount: 0,
-          shippedCount: 0,
-          revenueCount: 0,
-          lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+      if (codesSnap.docs[0].data().code !== code)
+        return res.status(400).json({ success: false, error: "Invalid verification code" });
+
+      const usersSnap = await db.collection("users").where("email", "==", email).limit(1).get();
+      if (usersSnap.empty) return res.status(404).json({ success: false, error: "User not found" });
+
+      try {
+        const userRecord = await admin.auth().getUserByEmail(email);
+        await admin.auth().updateUser(userRecord.uid, { password: newPassword });
+
+        await codesSnap.docs[0].ref.update({
+          used: true,
+          usedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+        await db.collection("passwordResetLogs").add({
+          email,
+          userId: userRecord.uid,
+          timestamp: admin.firestore.FieldValue.serverTimestamp(),
+          success: true,
         });
-      }
 
-      return res.status(200).json({ success: true, data: userData });
+        return res.status(200).json({ success: true, message: "Password reset successfully" });
+      } catch (authError) {
+        console.error("Error updating Firebase Auth user:", authError);
+        return res.status(500).json({ success: false, error: "Failed to update password in auth system" });
+      }
     } catch (err) {
-      console.error("getUserData error:", err);
+      console.error("resetPassword error:", err);
       return res.status(500).json({ success: false, error: err.message || "Internal error" });
     }
   });
 });
 
-exports.getUserName = onRequest({}, async (req, res) => {
-  // Preflight
-  res.set("Access-Control-Allow-Origin", "*");
-  res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-  res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
-  if (req.method === "OPTIONS") {
-    res.status(204).send("");
-    return;
-  }
+/* ---- Stats & Data ---- */
+
+exports.getUserStats = onRequest({}, async (req, res) => {
+  return corsMiddleware(req, res, () =>
+    authenticateSeller(req, res, async () => {
+      try {
+        const uid = req.uid;
+
+        const userStatsDoc = await db.collection("userStats").doc(uid).get();
+        if (!userStatsDoc.exists) {
+          await db
+            .collection("userStats")
+            .doc(uid)
+            .set({
+              linksCount: 0,
+              viewsCount: 0,
+              ordersCount: 0,
+              shippedCount: 0,
+              revenueCount: 0,
+              lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+            });
+          return res.status(200).json({
+            success: true,
+            stats: { linksCount: 0, viewsCount: 0, ordersCount: 0, shippedCount: 0, revenueCount: 0 },
+          });
+        }
+
+        const s = userStatsDoc.data();
+        return res.status(200).json({
+          success: true,
+          stats: {
+            linksCount: s.linksCount || 0,
+            viewsCount: s.viewsCount || 0,
+            ordersCount: s.ordersCount || 0,
+            shippedCount: s.shippedCount || 0,
+            revenueCount: s.revenueCount || 0,
+          },
+        });
+      } catch (err) {
+        console.error("getUserStats error:", err);
+        return res.status(500).json({ success: false, error: err.message || "Internal error" });
+      }
+    })
+  );
+});
 
+exports.recordProductView = onRequest({}, async (req, res) => {
   return corsMiddleware(req, res, async () => {
     try {
-      const uid = req.query.uid;
-      if (!uid) return res.status(400).json({ success: false, error: "Missing uid" });
+      const { productId } = req.body || {};
+      if (!productId) return res.status(400).json({ success: false, error: "Missing productId" });
 
-      const doc = await db.collection("users").doc(uid).get();
-      if (!doc.exists) return res.status(404).json({ success: false, error: "User not found" });
+      const productDoc = await db.collection("products").doc(productId).get();
+      if (!productDoc.exists) return res.status(404).json({ success: false, error: "Product not found" });
+
+      const product = productDoc.data();
+      const sellerUid = product.uid;
+
+      await db.collection("productViews").add({
+        productId,
+        sellerUid,
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+      });
 
-      const user = doc.data();
-      const displayName = user.displayName || user.firstName || "User";
-      const firstName = displayName.split(" ")[0];
+      const userStatsRef = db.collection("userStats").doc(sellerUid);
+      const userStatsDoc = await userStatsRef.get();
+      if (userStatsDoc.exists) {
+        await userStatsRef.update({
+          viewsCount: admin.firestore.FieldValue.increment(1),
+          lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      } else {
+        await userStatsRef.set({
+          linksCount: 0,
+          viewsCount: 1,
+          ordersCount: 0,
+          shippedCount: 0,
+          revenueCount: 0,
+          lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      }
 
-      return res.status(200).json({ success: true, firstName, displayName });
+      return res.status(200).json({ success: true });
     } catch (err) {
-      console.error("getUserName error:", err);
+      console.error("recordProductView error:", err);
       return res.status(500).json({ success: false, error: err.message || "Internal error" });
     }
   });
 });
 
-/* ---- Delete Account & Product ---- */
+exports.getTransactionHistory = onRequest({}, async (req, res) => {
+  return corsMiddleware(req, res, () =>
+    authenticateSeller(req, res, async () => {
+      try {
+        const uid = req.uid;
 
-exports.deleteUserAccount = onRequest({ region: "us-central1", memory: "256MiB" }, async (req, res) => {
-  // Preflight
-  res.set("Access-Control-Allow-Origin", "*");
-  res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-  res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
-  if (req.method === "OPTIONS") {
-    res.status(204).send("");
-    return;
-  }
+        const transactionsSnap = await db
+          .collection("transactions")
+          .where("userId", "==", uid)
+          .orderBy("createdAt", "desc")
+          .get();
 
-  return corsMiddleware(req, res, async () => {
-    try {
-      const { uid } = req.body || {};
-      if (!uid) return res.status(400).json({ success: false, error: "Missing uid" });
+        const transactions = transactionsSnap.docs.map((doc) => ({
+          id: doc.id,
+          ...doc.data(),
+          date: doc.data().date ? doc.data().date.toDate() : null,
+          availableAt: doc.data().availableAt ? doc.data().availableAt.toDate() : null,
+        }));
 
-      const userDoc = await db.collection("users").doc(uid).get();
-      if (!userDoc.exists) return res.status(404).json({ success: false, error: "User not found" });
+        const payoutsSnap = await db.collection("payoutHistory").where("userId", "==", uid).orderBy("timestamp", "desc").get();
+        const payouts = payoutsSnap.docs.map((doc) => ({
+          id: doc.id,
+          ...doc.data(),
+          timestamp: doc.data().timestamp ? doc.data().timestamp.toDate() : null,
+          type: "payout",
+        }));
 
-      const productsSnap = await db.collection("products").where("uid", "==", uid).get();
-      const productIds = productsSnap.docs.map((d) => d.id);
+        const all = [...transactions, ...payouts].sort((a, b) => {
+          const da = a.date || a.timestamp || 0;
+          const dbb = b.date || b.timestamp || 0;
+          return dbb - da;
+        });
 
-      // Delete Storage files
-      for (const doc of productsSnap.docs) {
-        const product = doc.data();
-        if (product.coverPath) {
-          try {
-            await bucket.file(product.coverPath).delete();
-          } catch (e) {
-            console.error(`Error deleting cover file ${product.coverPath}:`, e);
-          }
-        }
-        if (product.filePath) {
-          try {
-            await bucket.file(product.filePath).delete();
-          } catch (e) {
-            console.error(`Error deleting product file ${product.filePath}:`, e);
-          }
-        }
-      }
+        const userDoc = await db.collection("users").doc(uid).get();
+        const userData = userDoc.exists ? userDoc.data() : {};
 
-      // Delete related collections for each product
-      for (const pid of productIds) {
-        try {
-          await deleteQueryBatch(db.collection("productViews").where("productId", "==", pid));
-          const ordersSnap = await db.collection("orders").where("productId", "==", pid).get();
-          for (const o of ordersSnap.docs) {
-            const orderId = o.id;
-            await deleteQueryBatch(db.collection("accessLogs").where("orderId", "==", orderId));
-            await deleteQueryBatch(db.collection("accessAttempts").where("orderId", "==", orderId));
-          }
-          const batch = db.batch();
-          ordersSnap.docs.forEach((d) => batch.delete(d.ref));
-          await batch.commit();
+        return res.status(200).json({
+          success: true,
+          transactions: all,
+          funds: { available: getUserBalances(userData), pending: getUserPendingBalances(userData) },
+        });
+      } catch (err) {
+        console.error("getTransactionHistory error:", err);
+        return res.status(500).json({ success: false, error: err.message || "Internal error" });
+      }
+    })
+  );
+});
 
-          await deleteQueryBatch(db.collection("paymentSessions").where("productId", "==", pid));
-          await deleteQueryBatch(db.collection("emailSentLogs").where("productId", "==", pid));
-          await deleteQueryBatch(db.collection("linkGenerationDetails").where("productId", "==", pid));
-        } catch (e) {
-          console.error(`Error cascading deletes for product ${pid}:`, e.message);
+exports.getLinkGenerationStats = onRequest({}, async (req, res) => {
+  return corsMiddleware(req, res, () =>
+    authenticateSeller(req, res, async () => {
+      try {
+        const { period } = req.query;
+        const uid = req.uid;
+
+        let statsQuery;
+        if (period === "hourly") {
+          const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+          statsQuery = db.collection("linkGenerationStats").where("lastUpdated", ">", since).orderBy("lastUpdated", "asc");
+        } else if (period === "daily") {
+          const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+          statsQuery = db.collection("linkGenerationStats").where("lastUpdated", ">", since).orderBy("lastUpdated", "asc");
+        } else {
+          statsQuery = db.collection("linkGenerationStats").orderBy("lastUpdated", "desc").limit(100);
         }
-      }
 
-      // Delete products
-      const batchDel = db.batch();
-      productsSnap.docs.forEach((d) => batchDel.delete(d.ref));
+        const statsSnap = await statsQuery.get();
 
-      // Log account deletion
-      batchDel.set(db.collection("deletedAccounts").doc(), {
-        uid,
-        email: userDoc.data().email,
-        displayName: userDoc.data().displayName || "Unknown",
-        deletedAt: admin.firestore.FieldValue.serverTimestamp(),
-        productsDeleted: productIds.length,
-        productIds,
-      });
+        const detailsSnap = await db
+          .collection("linkGenerationDetails")
+          .where("uid", "==", uid)
+          .orderBy("timestamp", "desc")
+          .limit(100)
+          .get();
 
-      // Delete stats and user doc (ne pas toucher aux transactions/payoutHistory)
-      batchDel.delete(db.collection("userStats").doc(uid));
-      batchDel.delete(db.collection("users").doc(uid));
+        const userLinks = detailsSnap.docs.map((d) => ({
+          id: d.id,
+          ...d.data(),
+          timestamp: d.data().timestamp ? d.data().timestamp.toDate() : null,
+          expiresAt: d.data().expiresAt ? d.data().expiresAt.toDate() : null,
+        }));
 
-      await batchDel.commit();
+        const stats = statsSnap.docs.map((d) => ({
+          id: d.id,
+          ...d.data(),
+          lastUpdated: d.data().lastUpdated ? d.data().lastUpdated.toDate() : null,
+        }));
 
-      return res.status(200).json({ success: true, message: "Account and associated data deleted successfully" });
-    } catch (err) {
-      console.error("deleteUserAccount error:", err);
-      return res.status(500).json({ success: false, error: err.message || "Internal error" });
-    }
-  });
+        return res.status(200).json({ success: true, stats, userLinks });
+      } catch (err) {
+        console.error("getLinkGenerationStats error:", err);
+        return res.status(500).json({ success: false, error: err.message || "Internal error" });
+      }
+    })
+  );
 });
 
-exports.deleteProduct = onRequest({ region: "us-central1", memory: "256MiB" }, async (req, res) => {
-  // Preflight
+/* ---- Produits & Paiements ---- */
+
+exports.createProduct = onRequest({ secrets: [sendgridApiKey] }, async (req, res) => {
+  // Preflight simple
   res.set("Access-Control-Allow-Origin", "*");
-  res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS, DELETE");
+  res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
   res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
   if (req.method === "OPTIONS") {
     res.status(204).send("");
     return;
   }
 
-  return corsMiddleware(req, res, async () => {
-    try {
-      const { uid, productId } = req.body || {};
-      if (!uid || !productId) return res.status(400).json({ success: false, error: "Missing uid or productId" });
-
-      const productDoc = await db.collection("products").doc(productId).get();
-      if (!productDoc.exists) return res.status(404).json({ success: false, error: "Product not found" });
-
-      const product = productDoc.data();
-      if (product.uid !== uid) return res.status(403).json({ success: false, error: "Forbidden" });
+  return corsMiddleware(req, res, () =>
+    authenticateSeller(req, res, async () => {
+      try {
+        const { title, category, description, price, fileName, files, lifetime } = req.body || {};
+        const uid = req.uid;
+        // files: [{ name, size, type }] dans l'ordre d'affichage; fileName seul = produit à fichier unique
+        const requestedFiles = Array.isArray(files) && files.length ? files : fileName ? [{ name: fileName }] : [];
+        if (!title || !price || !requestedFiles.length)
+          return res.status(400).json({ success: false, error: "Missing required fields" });
+        if (requestedFiles.length > MAX_FILES_PER_PRODUCT)
+          return res
+            .status(400)
+            .json({ success: false, error: `A product can hold at most ${MAX_FILES_PER_PRODUCT} files` });
+        if (requestedFiles.some((f) => !f || !f.name || typeof f.name !== "string" || f.name.includes("/")))
+          return res.status(400).json({ success: false, error: "Invalid file name" });
+
+        const currency = normalizeCurrency(req.body.currency);
+        if (!SUPPORTED_CURRENCIES.includes(currency))
+          return res.status(400).json({ success: false, error: "Unsupported currency" });
+
+        const minPrice = MIN_PRICE_BY_CURRENCY[currency];
+        if (!(parseFloat(price) >= minPrice))
+          return res.status(400).json({ success: false, error: `Minimum price is ${formatMoney(minPrice, currency)}` });
+
+        const validCategories = ["video", "ebook", "music", "software"];
+        if (!category || !validCategories.includes(category))
+          return res.status(400).json({ success: false, error: "Invalid category" });
+
+        const productLifetime = lifetime || DEFAULT_PRODUCT_LIFETIME;
+        if (!Object.prototype.hasOwnProperty.call(PRODUCT_LIFETIMES, productLifetime))
+          return res.status(400).json({ success: false, error: "Invalid lifetime" });
+
+        const sellerDoc = await db.collection("users").doc(uid).get();
+        const planLimits = getPlanLimits(sellerDoc.exists ? sellerDoc.data() : null);
+        if (!planLimits.productLifetimes.includes(productLifetime))
+          return res.status(403).json({ success: false, error: "This lifetime is not available on your plan" });
+
+        const maxFileSize = MAX_FILE_SIZE_BY_CATEGORY[category] || DEFAULT_MAX_FILE_SIZE;
+        if (requestedFiles.some((f) => f.size !== undefined && f.size !== null && !(Number(f.size) <= maxFileSize)))
+          return res.status(400).json({ success: false, error: "File too large for this category" });
+
+        const now = Date.now();
+        const coverPath = `covers/${uid}/${now}_cover_${requestedFiles[0].name}`;
+        const manifest = requestedFiles.map((f, i) => ({
+          name: f.name,
+          size: f.size !== undefined && f.size !== null ? Number(f.size) : null,
+          type: f.type || null,
+          path:
+            requestedFiles.length === 1
+              ? `products/${uid}/${now}_${f.name}`
+              : `products/${uid}/${now}_${i + 1}_${f.name}`,
+        }));
 
-      // Files
-      if (product.coverPath) {
-        try {
-          await bucket.file(product.coverPath).delete();
-        } catch (e) {
-          console.error(`Error deleting cover file ${product.coverPath}:`, e.message);
-        }
-      }
-      if (product.filePath) {
-        try {
-          await bucket.file(product.filePath).delete();
-        } catch (e) {
-          console.error(`Error deleting product file ${product.filePath}:`, e.message);
-        }
-      }
+        const coverFile = bucket.file(coverPath);
 
-      // Views
-      await deleteQueryBatch(db.collection("productViews").where("productId", "==", productId));
+        const [coverUrl] = await coverFile.getSignedUrl({
+          version: "v4",
+          action: "write",
+          expires: Date.now() + SIGNED_WRITE_URL_TTL_MS,
+          contentType: "application/octet-stream",
+          extensionHeaders: { "x-goog-content-length-range": `0,${MAX_COVER_SIZE}` }, // 10MB
+        });
 
-      // Orders and access logs/attempts (do not delete transactions)
-      const ordersSnap = await db.collection("orders").where("productId", "==", productId).get();
-      if (!ordersSnap.empty) {
-        for (const orderDoc of ordersSnap.docs) {
-          const orderId = orderDoc.id;
-          await deleteQueryBatch(db.collection("accessLogs").where("orderId", "==", orderId));
-          await deleteQueryBatch(db.collection("accessAttempts").where("orderId", "==", orderId));
-        }
-        const batch = db.batch();
-        ordersSnap.docs.forEach((d) => batch.delete(d.ref));
-        await batch.commit();
-      }
+        const sizeLimit = `0,${maxFileSize}`;
+        const fileUploadUrls = await Promise.all(
+          manifest.map(async (f) => {
+            const [url] = await bucket.file(f.path).getSignedUrl({
+              version: "v4",
+              action: "write",
+              expires: Date.now() + SIGNED_WRITE_URL_TTL_MS,
+              contentType: "application/octet-stream",
+              extensionHeaders: { "x-goog-content-length-range": sizeLimit },
+            });
+            return { name: f.name, path: f.path, url };
+          })
+        );
 
-      await deleteQueryBatch(db.collection("paymentSessions").where("productId", "==", productId));
-      await deleteQueryBatch(db.collection("emailSentLogs").where("productId", "==", productId));
-      await deleteQueryBatch(db.collection("linkGenerationDetails").where("productId", "==", productId));
+        // Expiration selon la durée de vie choisie (null = jamais)
+        const expirationDate = getProductExpirationDate(new Date(), productLifetime);
+
+        const productDoc = {
+          uid,
+          title,
+          category,
+          description: description || "",
+          price: parseFloat(price),
+          currency,
+          coverPath,
+          filePath: manifest[0].path,
+          files: manifest,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          status: "active",
+          lifetime: productLifetime,
+          expiresAt: expirationDate ? admin.firestore.Timestamp.fromDate(expirationDate) : null,
+          sales: 0,
+          revenue: 0,
+          // Passe à true quand validateProductUpload a confirmé la cover et chaque fichier du manifest
+          filesUploaded: false,
+          uploadStatus: "pending",
+          filePaths: manifest.map((f) => f.path),
+          uploadedPaths: [],
+        };
 
-      await db.collection("products").doc(productId).delete();
+        const productRef = await db.collection("products").add(productDoc);
 
-      // Recompute user stats
-      try {
-        const [productsSnap, viewsSnap, ordersSnapAfter] = await Promise.all([
-          db.collection("products").where("uid", "==", uid).get(),
-          db.collection("productViews").where("sellerUid", "==", uid).get(),
-          db.collection("orders").where("sellerUid", "==", uid).get(),
-        ]);
+        await productRef.update({
+          shareableLink: `https://www.g-z.online/product.html?productId=${productRef.id}`,
+        });
 
+        // Stats utilisateur
+        const productsSnap = await db.collection("products").where("uid", "==", uid).get();
         const linksCount = productsSnap.size;
-        const viewsCount = viewsSnap.size;
+        await updateUserStats(uid, { linksCount });
 
-        const orders = ordersSnapAfter.docs.map((d) => d.data());
-        const ordersCount = orders.length;
-        const shippedCount = orders.filter((o) => o.status === "shipped" || o.status === "delivered").length;
-        const revenueCount = orders.reduce((sum, o) => {
-          if (o.sellerAmount && o.status !== "cancelled") return sum + Number(o.sellerAmount || 0);
-          return sum;
-        }, 0);
+        await recordLinkGeneration(uid, productRef.id, expirationDate);
 
-        await db
-          .collection("userStats")
-          .doc(uid)
-          .set(
-            {
-              linksCount,
-              viewsCount,
-              ordersCount,
-              shippedCount,
-              revenueCount,
-              lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
-            },
-            { merge: true }
-          );
-      } catch (e) {
-        console.error("Error updating userStats after delete:", e.message);
+        return res.status(200).json({
+          success: true,
+          productId: productRef.id,
+          uploadUrls: { cover: coverUrl, file: fileUploadUrls[0].url, files: fileUploadUrls },
+          coverPath,
+          shareableLink: `https://www.g-z.online/product.html?productId=${productRef.id}`,
+          lifetime: productLifetime,
+          expiresAt: expirationDate,
+          stats: { linksCount },
+        });
+      } catch (err) {
+        console.error("createProduct error:", err);
+        return res.status(500).json({ success: false, error: err.message || "Internal error" });
       }
-
-      return res.status(200).json({ success: true, message: "Product and related data deleted successfully" });
-    } catch (err) {
-      console.error("deleteProduct error:", err);
-      return res.status(500).json({ success: false, error: err.message || "Internal error" });
-    }
-  });
+    })
+  );
 });
 
-/* ---- Orders & Links ---- */
-
-exports.getOrders = onRequest({}, async (req, res) => {
+/**
+ * Prolonge un produit encore actif: nouvelle expiration = expiresAt actuel + durée choisie,
+ * sans dépasser la durée max du plan à partir de maintenant ("never" retire l'expiration).
+ * Requiert: productId, lifetime.
+ */
+exports.extendProduct = onRequest({}, async (req, res) => {
   // Preflight
   res.set("Access-Control-Allow-Origin", "*");
   res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
@@ -1736,47 +3427,59 @@ exports.getOrders = onRequest({}, async (req, res) => {
     return;
   }
 
-  return corsMiddleware(req, res, async () => {
-    try {
-      const uid = req.query.uid;
-      if (!uid) return res.status(400).json({ success: false, error: "Missing uid" });
-
-      const snap = await db.collection("orders").where("sellerUid", "==", uid).get();
-      const orders = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+  return corsMiddleware(req, res, () =>
+    authenticateSeller(req, res, async () => {
+      try {
+        const uid = req.uid;
+        const { productId, lifetime } = req.body || {};
+        if (!productId || !lifetime)
+          return res.status(400).json({ success: false, error: "Missing productId or lifetime" });
+        if (!Object.prototype.hasOwnProperty.call(PRODUCT_LIFETIMES, lifetime))
+          return res.status(400).json({ success: false, error: "Invalid lifetime" });
 
-      const shippedCount = orders.filter((o) => o.status === "shipped" || o.status === "delivered").length;
+        const productRef = db.collection("products").doc(productId);
+        const productDoc = await productRef.get();
+        if (!productDoc.exists) return res.status(404).json({ success: false, error: "Product not found" });
 
-      let totalRevenue = 0;
-      orders.forEach((o) => {
-        if (o.sellerAmount && o.status !== "cancelled") totalRevenue += parseFloat(o.sellerAmount);
-      });
+        const product = productDoc.data();
+        if (product.uid !== uid) return res.status(403).json({ success: false, error: "Forbidden" });
+        if (!product.expiresAt)
+          return res.status(400).json({ success: false, error: "This product does not expire" });
+
+        const currentExpiration = product.expiresAt.toDate();
+        if (currentExpiration < new Date())
+          return res.status(410).json({ success: false, error: "This product has expired", expired: true });
+
+        const sellerDoc = await db.collection("users").doc(uid).get();
+        const planLimits = getPlanLimits(sellerDoc.exists ? sellerDoc.data() : null);
+        if (!planLimits.productLifetimes.includes(lifetime))
+          return res.status(403).json({ success: false, error: "This lifetime is not available on your plan" });
+
+        const newExpiration = getProductExpirationDate(currentExpiration, lifetime);
+        if (newExpiration && newExpiration.getTime() - Date.now() > getPlanMaxLifetimeMs(planLimits))
+          return res.status(400).json({ success: false, error: "Extension exceeds the maximum lifetime of your plan" });
+
+        await productRef.update({
+          lifetime,
+          expiresAt: newExpiration ? admin.firestore.Timestamp.fromDate(newExpiration) : null,
+          extendedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
 
-      await db
-        .collection("userStats")
-        .doc(uid)
-        .set(
-          {
-            ordersCount: orders.length,
-            shippedCount,
-            revenueCount: totalRevenue,
-            lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
-          },
-          { merge: true }
+        // Nouvel avertissement possible avant la nouvelle échéance
+        await deleteQueryBatch(
+          db.collection("emailSentLogs").where("type", "==", "expiration_warning").where("productId", "==", productId)
         );
 
-      return res.status(200).json({
-        success: true,
-        orders,
-        stats: { ordersCount: orders.length, shippedCount, revenueCount: totalRevenue },
-      });
-    } catch (err) {
-      console.error("getOrders error:", err);
-      return res.status(500).json({ success: false, error: err.message || "Internal error" });
-    }
-  });
+        return res.status(200).json({ success: true, productId, lifetime, expiresAt: newExpiration });
+      } catch (err) {
+        console.error("extendProduct error:", err);
+        return res.status(500).json({ success: false, error: err.message || "Internal error" });
+      }
+    })
+  );
 });
 
-exports.getLinks = onRequest({}, async (req, res) => {
+exports.getUserPaypalStatus = onRequest({}, async (req, res) => {
   // Preflight
   res.set("Access-Control-Allow-Origin", "*");
   res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
@@ -1786,61 +3489,92 @@ exports.getLinks = onRequest({}, async (req, res) => {
     return;
   }
 
-  return corsMiddleware(req, res, async () => {
-    try {
-      const uid = req.query.uid;
-      if (!uid) return res.status(400).json({ success: false, error: "Missing uid" });
-
-      const snap = await db.collection("products").where("uid", "==", uid).get();
-      const links = snap.docs.map((d) => ({
-        id: d.id,
-        title: d.data().title,
-        price: d.data().price,
-        category: d.data().category || "general",
-        sales: d.data().sales || 0,
-        revenue: d.data().revenue || 0,
-        createdAt: d.data().createdAt,
-        expiresAt: d.data().expiresAt || null,
-        shareableLink: `https://www.g-z.online/product.html?productId=${d.id}`,
-      }));
-
-      await db
-        .collection("userStats")
-        .doc(uid)
-        .set({ linksCount: links.length, lastUpdated: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
-
-      const viewsSnap = await db.collection("productViews").where("sellerUid", "==", uid).get();
-      const viewsByProduct = {};
-      viewsSnap.docs.forEach((doc) => {
-        const data = doc.data();
-        if (data.productId) viewsByProduct[data.productId] = (viewsByProduct[data.productId] || 0) + 1;
-      });
+  return corsMiddleware(req, res, () =>
+    authenticateSeller(req, res, async () => {
+      try {
+        const uid = req.uid;
 
-      links.forEach((l) => {
-        l.views = viewsByProduct[l.id] || 0;
-      });
+        const snap = await db.collection("users").doc(uid).get();
+        if (!snap.exists)
+          return res
+            .status(200)
+            .json({ success: true, exists: false, onboardingComplete: false, paypalEmail: null, balance: 0 });
 
-      const totalViews = Object.values(viewsByProduct).reduce((s, c) => s + c, 0);
+        const u = snap.data();
+        return res.status(200).json({
+          success: true,
+          exists: true,
+          onboardingComplete:
+            (Boolean(u.onboardingComplete) && Boolean(u.paypalEmail)) || canReceivePayout(u, "stripe"),
+          paypalEmail: u.paypalEmail || null,
+          balance: Number(u.balance || 0),
+          balances: getUserBalances(u),
+          pendingBalances: getUserPendingBalances(u),
+          reservedBalances: u.reservedBalances || {}, // payouts en cours (pending / submitted)
+          payoutPreferences: getPayoutPreferences(u),
+          payoutCurrencies: PAYOUT_CURRENCIES,
+          minPayouts: MIN_PAYOUT_BY_CURRENCY,
+          payoutHold: Boolean(u.payoutHold),
+          payoutHoldMethod: getPayoutHoldMethod(u.payoutHold),
+          payoutMethod: getPayoutMethod(u),
+          stripeConnect: u.stripeConnect || null,
+          lastPayout: u.lastPayout || null,
+        });
+      } catch (err) {
+        console.error("getUserPaypalStatus error:", err);
+        return res.status(500).json({ success: false, error: err.message || "Internal error" });
+      }
+    })
+  );
+});
 
-      await db
-        .collection("userStats")
-        .doc(uid)
-        .set({ viewsCount: totalViews, lastUpdated: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+exports.updatePaypalEmail = onRequest({}, async (req, res) => {
+  // Preflight
+  res.set("Access-Control-Allow-Origin", "*");
+  res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  if (req.method === "OPTIONS") {
+    res.status(204).send("");
+    return;
+  }
 
-      links.forEach((l) => {
-        if (l.createdAt) l.createdAt = l.createdAt.toDate();
-        if (l.expiresAt) l.expiresAt = l.expiresAt.toDate();
-      });
+  return corsMiddleware(req, res, () =>
+    authenticateSeller(req, res, async () => {
+      try {
+        const { paypalEmail } = req.body || {};
+        const uid = req.uid;
+        if (!paypalEmail) return res.status(400).json({ success: false, error: "Missing email" });
+        if (!isEmail(paypalEmail)) return res.status(400).json({ success: false, error: "Invalid email" });
+
+        // Un nouvel email lève la suspension des payouts (payoutHold) posée après une erreur PayPal permanente;
+        // une suspension liée au compte Stripe Connect reste en place
+        const userRef = db.collection("users").doc(uid);
+        const userDoc = await userRef.get();
+        const hold = userDoc.exists ? userDoc.data().payoutHold : null;
+        await userRef.set(
+          {
+            paypalEmail,
+            onboardingComplete: true,
+            ...(getPayoutHoldMethod(hold) === "paypal" ? { payoutHold: admin.firestore.FieldValue.delete() } : {}),
+            lastUpdate: admin.firestore.FieldValue.serverTimestamp(),
+          },
+          { merge: true }
+        );
 
-      return res.status(200).json({ success: true, links, stats: { linksCount: links.length, viewsCount: totalViews } });
-    } catch (err) {
-      console.error("getLinks error:", err);
-      return res.status(500).json({ success: false, error: err.message || "Internal error" });
-    }
-  });
+        return res.status(200).json({ success: true });
+      } catch (err) {
+        console.error("updatePaypalEmail error:", err);
+        return res.status(500).json({ success: false, error: err.message || "Internal error" });
+      }
+    })
+  );
 });
 
-exports.getProductDetails = onRequest({}, async (req, res) => {
+/**
+ * Suivi des payouts en échec / en relance.
+ * Vendeur: ses propres payouts. Admin (custom claim admin): sellerId optionnel, sinon tous les vendeurs.
+ */
+exports.getPayoutRetryStatus = onRequest({}, async (req, res) => {
   // Preflight
   res.set("Access-Control-Allow-Origin", "*");
   res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
@@ -1850,89 +3584,173 @@ exports.getProductDetails = onRequest({}, async (req, res) => {
     return;
   }
 
-  return corsMiddleware(req, res, async () => {
-    try {
-      const productId = req.query.productId;
-      if (!productId) return res.status(400).json({ success: false, error: "Missing productId" });
-
-      const doc = await db.collection("products").doc(productId).get();
-      if (!doc.exists) return res.status(404).json({ success: false, error: "Product not found" });
+  return corsMiddleware(req, res, () =>
+    authenticateSeller(req, res, async () => {
+      try {
+        const isAdmin = req.decodedToken.admin === true;
+        const sellerId = isAdmin ? req.query.sellerId || (req.body || {}).sellerId || null : req.uid;
+
+        let query = db.collection("payouts").where("status", "in", ["retry_scheduled", "failed", "returned"]);
+        if (sellerId) query = query.where("userId", "==", sellerId);
+        const snap = await query.orderBy("updatedAt", "desc").limit(100).get();
+
+        const payouts = snap.docs.map((doc) => {
+          const p = doc.data();
+          return {
+            id: doc.id,
+            userId: p.userId,
+            status: p.status,
+            currency: p.currency,
+            grossAmount: p.grossAmount,
+            periodKey: p.periodKey,
+            retryCount: p.retryCount || 0,
+            maxRetries: PAYOUT_RETRY_DELAYS_MS.length,
+            nextRetryAt: p.nextRetryAt ? p.nextRetryAt.toDate().toISOString() : null,
+            errorType: p.errorType || null,
+            errorMessage: p.errorMessage || null,
+            permanentFailure: Boolean(p.permanentFailure),
+          };
+        });
 
-      const product = doc.data();
+        let payoutHold = null;
+        if (sellerId) {
+          const userDoc = await db.collection("users").doc(sellerId).get();
+          const hold = userDoc.exists ? userDoc.data().payoutHold : null;
+          if (hold) payoutHold = { ...hold, since: hold.since ? hold.since.toDate().toISOString() : null };
+        }
 
-      // Expiré ?
-      if (product.expiresAt && product.expiresAt.toDate() < new Date()) {
-        return res.status(410).json({ success: false, error: "This product has expired", expired: true });
+        return res.status(200).json({ success: true, sellerId, payoutHold, payouts });
+      } catch (err) {
+        console.error("getPayoutRetryStatus error:", err);
+        return res.status(500).json({ success: false, error: err.message || "Internal error" });
       }
+    })
+  );
+});
 
-      // Signed URL cover (48h)
-      const coverFile = bucket.file(product.coverPath);
-      const [coverUrl] = await coverFile.getSignedUrl({
-        action: "read",
-        expires: Date.now() + SIGNED_READ_URL_TTL_MS,
-      });
+/**
+ * Ajustement manuel du solde disponible d'un vendeur (support). Réservé aux admins (custom claim admin).
+ * Body: { sellerId, amount (> 0 crédit, < 0 débit), currency, reasonCode, note, notifySeller?, requestId? }
+ * Écriture "adjustment" au grand livre (contrepartie platform_adjustments) + transaction "adjustment"
+ * visible dans getTransactionHistory. requestId rend l'appel rejouable sans double ajustement.
+ * Un débit peut rendre le solde négatif (reprise sur les ventes suivantes).
+ */
+exports.adjustSellerBalance = onRequest({ secrets: [sendgridApiKey] }, async (req, res) => {
+  // Preflight
+  res.set("Access-Control-Allow-Origin", "*");
+  res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  if (req.method === "OPTIONS") {
+    res.status(204).send("");
+    return;
+  }
 
-      // Vue + stats
-      await db.collection("productViews").add({
-        productId,
-        sellerUid: product.uid,
-        timestamp: admin.firestore.FieldValue.serverTimestamp(),
-      });
+  return corsMiddleware(req, res, () =>
+    authenticateSeller(req, res, async () => {
+      try {
+        if (req.decodedToken.admin !== true) return res.status(403).json({ success: false, error: "Forbidden" });
+
+        const { sellerId, reasonCode, notifySeller, requestId } = req.body || {};
+        const currency = normalizeCurrency((req.body || {}).currency);
+        const amount = roundMoney(Number((req.body || {}).amount), currency);
+        const note = String((req.body || {}).note || "").trim();
+
+        if (!sellerId) return res.status(400).json({ success: false, error: "Missing sellerId" });
+        if (!Number.isFinite(amount) || amount === 0)
+          return res.status(400).json({ success: false, error: "Amount must be a non-zero number" });
+        if (!ADJUSTMENT_REASON_CODES[reasonCode]) {
+          return res.status(400).json({
+            success: false,
+            error: `reasonCode must be one of: ${Object.keys(ADJUSTMENT_REASON_CODES).join(", ")}`,
+          });
+        }
+        if (!note) return res.status(400).json({ success: false, error: "A note is required" });
+        if (note.length > MAX_ADJUSTMENT_NOTE_LENGTH) {
+          return res
+            .status(400)
+            .json({ success: false, error: `Note is limited to ${MAX_ADJUSTMENT_NOTE_LENGTH} characters` });
+        }
 
-      const userStatsRef = db.collection("userStats").doc(product.uid);
-      const userStatsDoc = await userStatsRef.get();
-      if (userStatsDoc.exists) {
-        await userStatsRef.update({
-          viewsCount: admin.firestore.FieldValue.increment(1),
-          lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
-        });
-      } else {
-        await userStatsRef.set({
-          linksCount: 1,
-          viewsCount: 1,
-          ordersCount: 0,
-          shippedCount: 0,
-          revenueCount: 0,
-          lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+        const userRef = db.collection("users").doc(sellerId);
+        const entryRef = requestId
+          ? db.collection("ledgerEntries").doc(`adj_${requestId}`)
+          : db.collection("ledgerEntries").doc();
+        const transactionRef = db.collection("transactions").doc(entryRef.id);
+
+        const result = await db.runTransaction(async (tx) => {
+          const [userDoc, entryDoc] = await Promise.all([tx.get(userRef), tx.get(entryRef)]);
+          if (!userDoc.exists) return { error: "Seller not found", httpStatus: 404 };
+          if (entryDoc.exists) return { duplicate: true, user: userDoc.data() };
+
+          postLedgerEntry(tx, {
+            id: entryRef.id,
+            userId: sellerId,
+            currency,
+            type: "adjustment",
+            description: `${reasonCode}: ${note}`,
+            createdBy: req.uid,
+            lines: [
+              { account: "seller_available", amount },
+              { account: "platform_adjustments", amount: -amount },
+            ],
+          });
+          tx.set(transactionRef, {
+            userId: sellerId,
+            type: "adjustment",
+            title: `Balance adjustment: ${ADJUSTMENT_REASON_CODES[reasonCode]}`,
+            amount,
+            currency,
+            reasonCode,
+            note,
+            ledgerEntryId: entryRef.id,
+            adjustedBy: req.uid,
+            date: admin.firestore.FieldValue.serverTimestamp(),
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            status: "completed",
+          });
+          return { duplicate: false, user: userDoc.data() };
         });
-      }
-
-      // Infos vendeur
-      const sellerDoc = await db.collection("users").doc(product.uid).get();
-      const sellerName = sellerDoc.exists ? sellerDoc.data().displayName || "Anonymous" : "Anonymous";
+        if (result.error) return res.status(result.httpStatus).json({ success: false, error: result.error });
+
+        const previousBalance = getUserBalances(result.user)[currency] || 0;
+        const balance = roundMoney(previousBalance + (result.duplicate ? 0 : amount), currency);
+        let emailSent = false;
+        if (notifySeller && !result.duplicate && result.user.email && isEmail(result.user.email)) {
+          emailSent = await sendEmailNotification("balance_adjustment", {
+            sellerEmail: result.user.email,
+            amount,
+            currency,
+            reason: ADJUSTMENT_REASON_CODES[reasonCode],
+            note,
+            balance,
+          });
+        }
 
-      // Heures restantes
-      let expirationDate = null;
-      let hoursRemaining = null;
-      if (product.expiresAt) {
-        expirationDate = product.expiresAt.toDate();
-        const diffMs = expirationDate - new Date();
-        hoursRemaining = Math.ceil(diffMs / (60 * 60 * 1000));
+        console.log(
+          `Balance adjustment ${entryRef.id} by ${req.uid}: ${sellerId} ${amount} ${currency} (${reasonCode})`
+        );
+        return res.status(200).json({
+          success: true,
+          adjustmentId: entryRef.id,
+          duplicate: result.duplicate,
+          balance,
+          currency,
+          emailSent: Boolean(emailSent),
+        });
+      } catch (err) {
+        console.error("adjustSellerBalance error:", err);
+        return res.status(500).json({ success: false, error: err.message || "Internal error" });
       }
-
-      return res.status(200).json({
-        success: true,
-        product: {
-          id: doc.id,
-          title: product.title,
-          description: product.description,
-          price: product.price,
-          category: product.category,
-          coverUrl,
-          sellerName,
-          sellerUid: product.uid,
-          expiresAt: expirationDate,
-          hoursRemaining,
-        },
-      });
-    } catch (err) {
-      console.error("getProductDetails error:", err);
-      return res.status(500).json({ success: false, error: err.message || "Internal error" });
-    }
-  });
+    })
+  );
 });
 
-exports.collectBuyerEmail = onRequest({}, async (req, res) => {
+/**
+ * Override de commission d'un vendeur (promotion 0% nouveau vendeur, accord commercial...). Admin uniquement.
+ * Body: { sellerId, rate (0 à 1, null pour supprimer l'override), startsAt, endsAt, reason }
+ * Hors de [startsAt, endsAt[ la politique plan / volume s'applique à nouveau (getCommissionPolicy).
+ */
+exports.setCommissionOverride = onRequest({}, async (req, res) => {
   // Preflight
   res.set("Access-Control-Allow-Origin", "*");
   res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
@@ -1942,43 +3760,70 @@ exports.collectBuyerEmail = onRequest({}, async (req, res) => {
     return;
   }
 
-  return corsMiddleware(req, res, async () => {
-    try {
-      const { email, productId } = req.body || {};
-      if (!email || !productId) return res.status(400).json({ success: false, error: "Missing email or productId" });
-      if (!isEmail(email)) return res.status(400).json({ success: false, error: "Invalid email format" });
+  return corsMiddleware(req, res, () =>
+    authenticateSeller(req, res, async () => {
+      try {
+        if (req.decodedToken.admin !== true) return res.status(403).json({ success: false, error: "Forbidden" });
 
-      const productDoc = await db.collection("products").doc(productId).get();
-      if (!productDoc.exists) return res.status(404).json({ success: false, error: "Product not found" });
+        const { sellerId, rate, startsAt, endsAt, reason } = req.body || {};
+        if (!sellerId) return res.status(400).json({ success: false, error: "Missing sellerId" });
 
-      const product = productDoc.data();
-      if (product.expiresAt && product.expiresAt.toDate() < new Date()) {
-        return res.status(410).json({ success: false, error: "This product has expired", expired: true });
-      }
+        const userRef = db.collection("users").doc(sellerId);
+        const userDoc = await userRef.get();
+        if (!userDoc.exists) return res.status(404).json({ success: false, error: "Seller not found" });
 
-      const sessionId = generateUniqueAccessToken(16);
-      await db.collection("paymentSessions").doc(sessionId).set({
-        email,
-        productId,
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
-        completed: false,
-      });
+        if (rate === null) {
+          await userRef.update({ commissionOverride: admin.firestore.FieldValue.delete() });
+          console.log(`Commission override cleared for ${sellerId} by ${req.uid}`);
+          return res.status(200).json({
+            success: true,
+            commission: formatCommissionPolicy({ ...userDoc.data(), commissionOverride: null }),
+          });
+        }
 
-      return res.status(200).json({ success: true, sessionId, message: "Email collected successfully" });
-    } catch (err) {
-      console.error("collectBuyerEmail error:", err);
-      return res.status(500).json({ success: false, error: err.message || "Internal error" });
-    }
-  });
-});
+        if (typeof rate !== "number" || rate < 0 || rate >= 1)
+          return res.status(400).json({ success: false, error: "rate must be a number between 0 and 1" });
+        const start = new Date(startsAt);
+        const end = new Date(endsAt);
+        if (!startsAt || !endsAt || isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) {
+          return res
+            .status(400)
+            .json({ success: false, error: "startsAt and endsAt must be valid dates, endsAt after startsAt" });
+        }
+        if (!reason || !String(reason).trim())
+          return res.status(400).json({ success: false, error: "A reason is required" });
+
+        const commissionOverride = {
+          rate,
+          startsAt: admin.firestore.Timestamp.fromDate(start),
+          endsAt: admin.firestore.Timestamp.fromDate(end),
+          reason: String(reason).trim(),
+          setBy: req.uid,
+          setAt: admin.firestore.Timestamp.now(),
+        };
+        await userRef.update({ commissionOverride });
 
-/* ============================= STRIPE CHECKOUT ============================= */
+        console.log(
+          `Commission override ${rate} for ${sellerId} by ${req.uid} (${start.toISOString()} → ${end.toISOString()})`
+        );
+        return res.status(200).json({
+          success: true,
+          commission: formatCommissionPolicy({ ...userDoc.data(), commissionOverride }),
+        });
+      } catch (err) {
+        console.error("setCommissionOverride error:", err);
+        return res.status(500).json({ success: false, error: err.message || "Internal error" });
+      }
+    })
+  );
+});
 
 /**
- * Créer une session Stripe Checkout pour un produit donné.
- * Requiert: productId, sessionId (issu de collectBuyerEmail).
+ * Préférences de payout du vendeur.
+ * Body: { frequency?: "weekly" | "biweekly" | "monthly", thresholds?: { [devise]: montant | null } }
+ * Un seuil doit être >= au minimum plateforme de la devise; null le supprime.
  */
-exports.createStripeCheckoutSession = onRequest({ secrets: [stripeSecretKey] }, async (req, res) => {
+exports.updatePayoutPreferences = onRequest({}, async (req, res) => {
   // Preflight
   res.set("Access-Control-Allow-Origin", "*");
   res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
@@ -1988,342 +3833,2991 @@ exports.createStripeCheckoutSession = onRequest({ secrets: [stripeSecretKey] },
     return;
   }
 
-  return corsMiddleware(req, res, async () => {
-    try {
-      if (!stripe) {
-        stripe = require("stripe")(stripeSecretKey.value());
-      }
+  return corsMiddleware(req, res, () =>
+    authenticateSeller(req, res, async () => {
+      try {
+        const { frequency, thresholds } = req.body || {};
+        const update = {};
 
-      const { productId, sessionId, successUrl, cancelUrl } = req.body || {};
-      if (!productId || !sessionId)
-        return res.status(400).json({ success: false, error: "Missing productId or sessionId" });
+        if (frequency !== undefined) {
+          if (!PAYOUT_FREQUENCIES.includes(frequency))
+            return res.status(400).json({ success: false, error: "Invalid frequency" });
+          update["payoutPreferences.frequency"] = frequency;
+        }
 
-      // Validate session
-      const sessionDoc = await db.collection("paymentSessions").doc(sessionId).get();
-      if (!sessionDoc.exists) return res.status(404).json({ success: false, error: "Session not found" });
-      if (sessionDoc.data().completed) return res.status(400).json({ success: false, error: "Session already completed" });
+        if (thresholds !== undefined) {
+          if (!thresholds || typeof thresholds !== "object")
+            return res.status(400).json({ success: false, error: "Invalid thresholds" });
+          for (const [cur, value] of Object.entries(thresholds)) {
+            const currency = normalizeCurrency(cur);
+            if (!PAYOUT_CURRENCIES.includes(currency))
+              return res.status(400).json({ success: false, error: `Payouts are not available in ${currency}` });
+            if (value === null) {
+              update[`payoutPreferences.thresholds.${currency}`] = admin.firestore.FieldValue.delete();
+              continue;
+            }
+            const amount = roundMoney(value, currency);
+            if (!(amount >= MIN_PAYOUT_BY_CURRENCY[currency])) {
+              return res.status(400).json({
+                success: false,
+                error: `Threshold must be at least ${formatMoney(MIN_PAYOUT_BY_CURRENCY[currency], currency)}`,
+              });
+            }
+            update[`payoutPreferences.thresholds.${currency}`] = amount;
+          }
+        }
 
-      // Validate product
-      const productDoc = await db.collection("products").doc(productId).get();
-      if (!productDoc.exists) return res.status(404).json({ success: false, error: "Product not found" });
+        if (!Object.keys(update).length) return res.status(400).json({ success: false, error: "Nothing to update" });
 
-      const product = productDoc.data();
-      if (product.expiresAt && product.expiresAt.toDate() < new Date()) {
-        return res.status(410).json({ success: false, error: "This product has expired", expired: true });
+        const userRef = db.collection("users").doc(req.uid);
+        const userDoc = await userRef.get();
+        if (!userDoc.exists) return res.status(404).json({ success: false, error: "User not found" });
+        await userRef.update(update);
+
+        const updated = await userRef.get();
+        return res.status(200).json({ success: true, payoutPreferences: getPayoutPreferences(updated.data()) });
+      } catch (err) {
+        console.error("updatePayoutPreferences error:", err);
+        return res.status(500).json({ success: false, error: err.message || "Internal error" });
       }
+    })
+  );
+});
 
-      // Optional: generate a short-lived cover URL for Stripe images
-      let checkoutImageUrl = undefined;
-      try {
-        if (product.coverPath) {
-          const [coverSigned] = await bucket.file(product.coverPath).getSignedUrl({
-            action: "read",
-            expires: Date.now() + 15 * 60 * 1000, // 15 minutes
+/**
+ * Retrait à la demande: tout le solde disponible de la devise, via le pipeline de payout (réservation + PayPal).
+ * Body: { currency? } (USD par défaut). Un seul payout en cours par vendeur (409 sinon).
+ */
+exports.requestPayout = onRequest(
+  { secrets: [paypalClientId, paypalClientSecret, stripeSecretKey, sendgridApiKey] },
+  async (req, res) => {
+    // Preflight
+    res.set("Access-Control-Allow-Origin", "*");
+    res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+    res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
+    if (req.method === "OPTIONS") {
+      res.status(204).send("");
+      return;
+    }
+
+    return corsMiddleware(req, res, () =>
+      authenticateSeller(req, res, async () => {
+        try {
+          const currency = normalizeCurrency((req.body || {}).currency || DEFAULT_CURRENCY);
+
+          const userDoc = await db.collection("users").doc(req.uid).get();
+          if (!userDoc.exists) return res.status(404).json({ success: false, error: "User not found" });
+          const user = userDoc.data();
+          const method = getPayoutMethod(user);
+          if (!getPayoutMethodCurrencies(method).includes(currency))
+            return res.status(400).json({ success: false, error: `Payouts are not available in ${currency}` });
+          if (user.payoutHold) {
+            return res
+              .status(403)
+              .json({ success: false, error: "Payouts are paused: update your payout details first" });
+          }
+          if (!canReceivePayout(user, method)) {
+            const error =
+              method === "stripe"
+                ? "Finish your Stripe account setup before requesting a payout"
+                : "Add a PayPal email before requesting a payout";
+            return res.status(400).json({ success: false, error });
+          }
+          const balance = getUserBalances(user)[currency] || 0;
+          if (balance < MIN_PAYOUT_BY_CURRENCY[currency]) {
+            return res.status(400).json({
+              success: false,
+              error: `Minimum payout is ${formatMoney(MIN_PAYOUT_BY_CURRENCY[currency], currency)}`,
+            });
+          }
+
+          let payoutRef;
+          try {
+            payoutRef = await reservePayout(req.uid, currency, `OD${Date.now()}`, { onDemand: true });
+          } catch (e) {
+            if (e.message === "A payout is already in progress")
+              return res.status(409).json({ success: false, error: e.message });
+            throw e;
+          }
+          if (!payoutRef) return res.status(400).json({ success: false, error: "Payout not possible right now" });
+
+          const payout = await submitPayout(payoutRef);
+          return res.status(200).json({
+            success: true,
+            payoutId: payoutRef.id,
+            status: payout.status,
+            grossAmount: payout.grossAmount,
+            payoutFee: payout.payoutFee,
+            netAmount: payout.netAmount,
+            currency: payout.currency,
           });
-          checkoutImageUrl = coverSigned;
+        } catch (err) {
+          console.error("requestPayout error:", err);
+          return res.status(500).json({ success: false, error: err.message || "Internal error" });
         }
-      } catch (e) {
-        console.error("Could not sign cover for checkout image:", e.message);
-      }
+      })
+    );
+  }
+);
 
-      const unitAmount = Math.round(Number(product.price) * 100);
+/* ---- Stripe Connect (payouts) ---- */
+
+// Synchronise l'état du compte Express Stripe sur users.stripeConnect
+async function refreshStripeConnectStatus(uid, accountId) {
+  if (!stripe) stripe = require("stripe")(stripeSecretKey.value());
+  const account = await stripe.accounts.retrieve(accountId);
+  const stripeConnect = {
+    detailsSubmitted: Boolean(account.details_submitted),
+    payoutsEnabled: Boolean(account.payouts_enabled) && (account.capabilities || {}).transfers === "active",
+    country: account.country || null,
+    defaultCurrency: account.default_currency ? account.default_currency.toUpperCase() : null,
+    updatedAt: admin.firestore.Timestamp.now(),
+  };
+  const update = { stripeConnect };
+  // Compte Connect opérationnel: lève une suspension posée sur un compte Stripe invalide
+  const userDoc = await db.collection("users").doc(uid).get();
+  const hold = userDoc.exists ? userDoc.data().payoutHold : null;
+  if (stripeConnect.payoutsEnabled && hold && hold.errorType === "invalid_stripe_account") {
+    update.payoutHold = admin.firestore.FieldValue.delete();
+  }
+  await db.collection("users").doc(uid).update(update);
+  return stripeConnect;
+}
 
-      const successReturn =
-        successUrl ||
-        `https://www.g-z.online/product.html?productId=${productId}&success=true&session=${encodeURIComponent(
-          sessionId
-        )}`;
-      const cancelReturn = cancelUrl || `https://www.g-z.online/product.html?productId=${productId}&cancel=true`;
+/**
+ * Onboarding Stripe Connect Express: crée le compte si besoin et renvoie le lien d'onboarding hébergé par Stripe.
+ * Retour sur dashboard.html?stripeConnect=return (ou refresh si le lien a expiré).
+ */
+exports.createStripeConnectOnboarding = onRequest({ secrets: [stripeSecretKey] }, async (req, res) => {
+  // Preflight
+  res.set("Access-Control-Allow-Origin", "*");
+  res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  if (req.method === "OPTIONS") {
+    res.status(204).send("");
+    return;
+  }
 
-      // metadata pour retrouver plus tard
-      const metadata = {
-        app_session_id: sessionId,
-        app_product_id: productId,
-        app_seller_uid: product.uid,
-        app_product_title: product.title || "",
-      };
+  return corsMiddleware(req, res, () =>
+    authenticateSeller(req, res, async () => {
+      try {
+        if (!stripe) stripe = require("stripe")(stripeSecretKey.value());
+
+        const userRef = db.collection("users").doc(req.uid);
+        const userDoc = await userRef.get();
+        if (!userDoc.exists) return res.status(404).json({ success: false, error: "User not found" });
+        const user = userDoc.data();
+
+        let accountId = user.stripeAccountId;
+        if (!accountId) {
+          const account = await stripe.accounts.create(
+            {
+              type: "express",
+              email: isEmail(user.email) ? user.email : undefined,
+              capabilities: { transfers: { requested: true } },
+              metadata: { uid: req.uid },
+            },
+            { idempotencyKey: `connect_account_${req.uid}` }
+          );
+          accountId = account.id;
+          await userRef.update({
+            stripeAccountId: accountId,
+            stripeConnect: { detailsSubmitted: false, payoutsEnabled: false },
+          });
+        }
+
+        const link = await stripe.accountLinks.create({
+          account: accountId,
+          refresh_url: "https://www.g-z.online/dashboard.html?stripeConnect=refresh",
+          return_url: "https://www.g-z.online/dashboard.html?stripeConnect=return",
+          type: "account_onboarding",
+        });
+
+        return res.status(200).json({ success: true, url: link.url, accountId });
+      } catch (err) {
+        console.error("createStripeConnectOnboarding error:", err);
+        return res.status(500).json({ success: false, error: err.message || "Internal error" });
+      }
+    })
+  );
+});
+
+exports.getStripeConnectStatus = onRequest({ secrets: [stripeSecretKey] }, async (req, res) => {
+  // Preflight
+  res.set("Access-Control-Allow-Origin", "*");
+  res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  if (req.method === "OPTIONS") {
+    res.status(204).send("");
+    return;
+  }
+
+  return corsMiddleware(req, res, () =>
+    authenticateSeller(req, res, async () => {
+      try {
+        const userDoc = await db.collection("users").doc(req.uid).get();
+        if (!userDoc.exists) return res.status(404).json({ success: false, error: "User not found" });
+        const user = userDoc.data();
+        if (!user.stripeAccountId) return res.status(200).json({ success: true, connected: false });
+
+        const stripeConnect = await refreshStripeConnectStatus(req.uid, user.stripeAccountId);
+        return res.status(200).json({
+          success: true,
+          connected: true,
+          ...stripeConnect,
+          updatedAt: stripeConnect.updatedAt.toDate().toISOString(),
+          payoutMethod: getPayoutMethod(user),
+        });
+      } catch (err) {
+        console.error("getStripeConnectStatus error:", err);
+        return res.status(500).json({ success: false, error: err.message || "Internal error" });
+      }
+    })
+  );
+});
+
+/**
+ * Choix du moyen de payout. Body: { method: "paypal" | "stripe" }
+ * Stripe exige un compte Connect opérationnel; les payouts déjà réservés gardent leur moyen d'origine.
+ */
+exports.updatePayoutMethod = onRequest({}, async (req, res) => {
+  // Preflight
+  res.set("Access-Control-Allow-Origin", "*");
+  res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  if (req.method === "OPTIONS") {
+    res.status(204).send("");
+    return;
+  }
+
+  return corsMiddleware(req, res, () =>
+    authenticateSeller(req, res, async () => {
+      try {
+        const { method } = req.body || {};
+        if (!PAYOUT_METHODS.includes(method)) return res.status(400).json({ success: false, error: "Invalid method" });
+
+        const userRef = db.collection("users").doc(req.uid);
+        const userDoc = await userRef.get();
+        if (!userDoc.exists) return res.status(404).json({ success: false, error: "User not found" });
+        const user = userDoc.data();
+
+        if (!canReceivePayout(user, method)) {
+          const error = method === "stripe" ? "Finish your Stripe account setup first" : "Add a PayPal email first";
+          return res.status(400).json({ success: false, error });
+        }
+
+        const update = { payoutMethod: method, lastUpdate: admin.firestore.FieldValue.serverTimestamp() };
+        // Changer de moyen de payout corrige aussi une suspension liée à l'ancien moyen
+        if (user.payoutHold) update.payoutHold = admin.firestore.FieldValue.delete();
+        await userRef.update(update);
+
+        return res.status(200).json({ success: true, payoutMethod: method });
+      } catch (err) {
+        console.error("updatePayoutMethod error:", err);
+        return res.status(500).json({ success: false, error: err.message || "Internal error" });
+      }
+    })
+  );
+});
+
+exports.getUserData = onRequest({}, async (req, res) => {
+  // Preflight
+  res.set("Access-Control-Allow-Origin", "*");
+  res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  if (req.method === "OPTIONS") {
+    res.status(204).send("");
+    return;
+  }
+
+  return corsMiddleware(req, res, () =>
+    authenticateSeller(req, res, async () => {
+      try {
+        const uid = req.uid;
+
+        const doc = await db.collection("users").doc(uid).get();
+        if (!doc.exists) return res.status(404).json({ success: false, error: "User not found" });
+
+        let userData = doc.data();
+        // balances = fonds disponibles (payables), pendingBalances = ventes encore en rétention
+        userData = {
+          ...userData,
+          balances: getUserBalances(userData),
+          pendingBalances: getUserPendingBalances(userData),
+          fundsHoldDays: getFundsHoldDays(userData),
+          commission: formatCommissionPolicy(userData),
+        };
+
+        const userStatsDoc = await db.collection("userStats").doc(uid).get();
+        if (userStatsDoc.exists) {
+          const s = userStatsDoc.data();
+          userData = {
+            ...userData,
+            linksCount: s.linksCount || 0,
+            viewsCount: s.viewsCount || 0,
+            ordersCount: s.ordersCount || 0,
+            shippedCount: s.shippedCount || 0,
+            revenueCount: s.revenueCount || 0,
+          };
+        } else {
+          userData = { ...userData, linksCount: 0, viewsCount: 0, ordersCount: 0, shippedCount: 0, revenueCount: 0 };
+          await db.collection("userStats").doc(uid).set({
+            linksCount: 0,
+            viewsCount: 0,
+            ordersCount: 0,
+            shippedCount: 0,
+            revenueCount: 0,
+            lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+          });
+        }
+
+        return res.status(200).json({ success: true, data: userData });
+      } catch (err) {
+        console.error("getUserData error:", err);
+        return res.status(500).json({ success: false, error: err.message || "Internal error" });
+      }
+    })
+  );
+});
+
+exports.getUserName = onRequest({}, async (req, res) => {
+  // Preflight
+  res.set("Access-Control-Allow-Origin", "*");
+  res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  if (req.method === "OPTIONS") {
+    res.status(204).send("");
+    return;
+  }
+
+  return corsMiddleware(req, res, () =>
+    authenticateSeller(req, res, async () => {
+      try {
+        const uid = req.uid;
+
+        const doc = await db.collection("users").doc(uid).get();
+        if (!doc.exists) return res.status(404).json({ success: false, error: "User not found" });
+
+        const user = doc.data();
+        const displayName = user.displayName || user.firstName || "User";
+        const firstName = displayName.split(" ")[0];
+
+        return res.status(200).json({ success: true, firstName, displayName });
+      } catch (err) {
+        console.error("getUserName error:", err);
+        return res.status(500).json({ success: false, error: err.message || "Internal error" });
+      }
+    })
+  );
+});
+
+/* ---- Delete Account & Product ---- */
+
+exports.deleteUserAccount = onRequest({ region: "us-central1", memory: "256MiB" }, async (req, res) => {
+  // Preflight
+  res.set("Access-Control-Allow-Origin", "*");
+  res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  if (req.method === "OPTIONS") {
+    res.status(204).send("");
+    return;
+  }
+
+  return corsMiddleware(req, res, () =>
+    authenticateSeller(req, res, async () => {
+      try {
+        const uid = req.uid;
+
+        const userDoc = await db.collection("users").doc(uid).get();
+        if (!userDoc.exists) return res.status(404).json({ success: false, error: "User not found" });
+
+        const productsSnap = await db.collection("products").where("uid", "==", uid).get();
+        const productIds = productsSnap.docs.map((d) => d.id);
+
+        // Delete Storage files
+        for (const doc of productsSnap.docs) {
+          const product = doc.data();
+          if (product.coverPath) {
+            try {
+              await bucket.file(product.coverPath).delete();
+            } catch (e) {
+              console.error(`Error deleting cover file ${product.coverPath}:`, e);
+            }
+          }
+          for (const file of getProductFiles(product)) {
+            try {
+              await bucket.file(file.path).delete();
+            } catch (e) {
+              console.error(`Error deleting product file ${file.path}:`, e);
+            }
+          }
+        }
+
+        // Delete related collections for each product
+        for (const pid of productIds) {
+          try {
+            await deleteQueryBatch(db.collection("productViews").where("productId", "==", pid));
+            const ordersSnap = await db.collection("orders").where("productId", "==", pid).get();
+            for (const o of ordersSnap.docs) {
+              const orderId = o.id;
+              await deleteQueryBatch(db.collection("accessLogs").where("orderId", "==", orderId));
+              await deleteQueryBatch(db.collection("accessAttempts").where("orderId", "==", orderId));
+            }
+            // Orders conservées (enregistrements financiers, comme dans purgeProduct)
+            const batch = db.batch();
+            ordersSnap.docs.forEach((d) =>
+              batch.update(d.ref, { productPurgedAt: admin.firestore.FieldValue.serverTimestamp() })
+            );
+            await batch.commit();
+
+            await deleteQueryBatch(db.collection("paymentSessions").where("productId", "==", pid));
+            await deleteQueryBatch(db.collection("emailSentLogs").where("productId", "==", pid));
+            await deleteQueryBatch(db.collection("linkGenerationDetails").where("productId", "==", pid));
+          } catch (e) {
+            console.error(`Error cascading deletes for product ${pid}:`, e.message);
+          }
+        }
+
+        // Delete bundles (their orders are kept)
+        const bundlesSnap = await db.collection("bundles").where("uid", "==", uid).get();
+        for (const bundleDoc of bundlesSnap.docs) {
+          try {
+            const ordersSnap = await db.collection("orders").where("bundleId", "==", bundleDoc.id).get();
+            for (const o of ordersSnap.docs) {
+              await deleteQueryBatch(db.collection("accessLogs").where("orderId", "==", o.id));
+              await deleteQueryBatch(db.collection("accessAttempts").where("orderId", "==", o.id));
+            }
+            // Orders conservées (enregistrements financiers, comme dans purgeProduct)
+            const batch = db.batch();
+            ordersSnap.docs.forEach((d) =>
+              batch.update(d.ref, { productPurgedAt: admin.firestore.FieldValue.serverTimestamp() })
+            );
+            await batch.commit();
+
+            await deleteQueryBatch(db.collection("paymentSessions").where("bundleId", "==", bundleDoc.id));
+          } catch (e) {
+            console.error(`Error cascading deletes for bundle ${bundleDoc.id}:`, e.message);
+          }
+        }
+
+        // Delete products
+        const batchDel = db.batch();
+        productsSnap.docs.forEach((d) => batchDel.delete(d.ref));
+        bundlesSnap.docs.forEach((d) => batchDel.delete(d.ref));
+
+        // Log account deletion
+        batchDel.set(db.collection("deletedAccounts").doc(), {
+          uid,
+          email: userDoc.data().email,
+          displayName: userDoc.data().displayName || "Unknown",
+          deletedAt: admin.firestore.FieldValue.serverTimestamp(),
+          productsDeleted: productIds.length,
+          productIds,
+        });
+
+        // Delete stats and user doc (ne pas toucher aux transactions/payoutHistory)
+        batchDel.delete(db.collection("userStats").doc(uid));
+        batchDel.delete(db.collection("users").doc(uid));
+
+        await batchDel.commit();
+
+        return res.status(200).json({ success: true, message: "Account and associated data deleted successfully" });
+      } catch (err) {
+        console.error("deleteUserAccount error:", err);
+        return res.status(500).json({ success: false, error: err.message || "Internal error" });
+      }
+    })
+  );
+});
+
+/**
+ * Suppression d'un produit par son vendeur: archivage (soft-delete) avec période de grâce.
+ * Les acheteurs existants gardent leur accès; restaurable via restoreProduct jusqu'à purgeAt.
+ */
+exports.deleteProduct = onRequest({ region: "us-central1", memory: "256MiB" }, async (req, res) => {
+  // Preflight
+  res.set("Access-Control-Allow-Origin", "*");
+  res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS, DELETE");
+  res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  if (req.method === "OPTIONS") {
+    res.status(204).send("");
+    return;
+  }
+
+  return corsMiddleware(req, res, () =>
+    authenticateSeller(req, res, async () => {
+      try {
+        const { productId } = req.body || {};
+        const uid = req.uid;
+        if (!productId) return res.status(400).json({ success: false, error: "Missing productId" });
+
+        const productDoc = await db.collection("products").doc(productId).get();
+        if (!productDoc.exists) return res.status(404).json({ success: false, error: "Product not found" });
+
+        const product = productDoc.data();
+        if (product.uid !== uid) return res.status(403).json({ success: false, error: "Forbidden" });
+
+        if (product.status === "archived")
+          return res.status(400).json({ success: false, error: "Product is already deleted" });
+
+        // Soft-delete: purge définitive par purgeArchivedProducts après la période de grâce
+        const purgeAt = await archiveProduct(productDoc.ref, "deleted");
+
+        return res.status(200).json({
+          success: true,
+          message: "Product deleted. It can be restored from your dashboard until the purge date.",
+          purgeAt,
+        });
+      } catch (err) {
+        console.error("deleteProduct error:", err);
+        return res.status(500).json({ success: false, error: err.message || "Internal error" });
+      }
+    })
+  );
+});
+
+/**
+ * Restaure un produit archivé (supprimé ou expiré) pendant sa période de grâce.
+ * Un produit expiré repart pour une nouvelle durée de vie (même lifetime qu'à la création).
+ */
+exports.restoreProduct = onRequest({ region: "us-central1", memory: "256MiB" }, async (req, res) => {
+  // Preflight
+  res.set("Access-Control-Allow-Origin", "*");
+  res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  if (req.method === "OPTIONS") {
+    res.status(204).send("");
+    return;
+  }
+
+  return corsMiddleware(req, res, () =>
+    authenticateSeller(req, res, async () => {
+      try {
+        const { productId } = req.body || {};
+        const uid = req.uid;
+        if (!productId) return res.status(400).json({ success: false, error: "Missing productId" });
+
+        const productRef = db.collection("products").doc(productId);
+        const productDoc = await productRef.get();
+        if (!productDoc.exists) return res.status(404).json({ success: false, error: "Product not found" });
+
+        const product = productDoc.data();
+        if (product.uid !== uid) return res.status(403).json({ success: false, error: "Forbidden" });
+        if (product.status !== "archived")
+          return res.status(400).json({ success: false, error: "Product is not archived" });
+        if (product.purgeAt && product.purgeAt.toDate() < new Date())
+          return res.status(410).json({ success: false, error: "The restore period for this product has ended" });
+
+        let expirationDate = product.expiresAt ? product.expiresAt.toDate() : null;
+        if (expirationDate && expirationDate < new Date()) {
+          expirationDate = getProductExpirationDate(new Date(), product.lifetime || DEFAULT_PRODUCT_LIFETIME);
+        }
+
+        await productRef.update({
+          status: "active",
+          archiveReason: admin.firestore.FieldValue.delete(),
+          archivedAt: admin.firestore.FieldValue.delete(),
+          purgeAt: admin.firestore.FieldValue.delete(),
+          expiresAt: expirationDate ? admin.firestore.Timestamp.fromDate(expirationDate) : null,
+          restoredAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+        // Nouvel avertissement possible avant la nouvelle échéance
+        await deleteQueryBatch(
+          db.collection("emailSentLogs").where("type", "==", "expiration_warning").where("productId", "==", productId)
+        );
+
+        return res.status(200).json({ success: true, productId, expiresAt: expirationDate });
+      } catch (err) {
+        console.error("restoreProduct error:", err);
+        return res.status(500).json({ success: false, error: err.message || "Internal error" });
+      }
+    })
+  );
+});
+
+/* ---- Orders & Links ---- */
+
+exports.getOrders = onRequest({}, async (req, res) => {
+  // Preflight
+  res.set("Access-Control-Allow-Origin", "*");
+  res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  if (req.method === "OPTIONS") {
+    res.status(204).send("");
+    return;
+  }
+
+  return corsMiddleware(req, res, () =>
+    authenticateSeller(req, res, async () => {
+      try {
+        const uid = req.uid;
+
+        const snap = await db.collection("orders").where("sellerUid", "==", uid).get();
+        const orders = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+
+        const shippedCount = orders.filter((o) => o.status === "shipped" || o.status === "delivered").length;
+
+        let totalRevenue = 0;
+        orders.forEach((o) => {
+          totalRevenue += getOrderNetSellerAmount(o);
+        });
+
+        await db
+          .collection("userStats")
+          .doc(uid)
+          .set(
+            {
+              ordersCount: orders.length,
+              shippedCount,
+              revenueCount: totalRevenue,
+              lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+            },
+            { merge: true }
+          );
+
+        return res.status(200).json({
+          success: true,
+          orders,
+          stats: { ordersCount: orders.length, shippedCount, revenueCount: totalRevenue },
+        });
+      } catch (err) {
+        console.error("getOrders error:", err);
+        return res.status(500).json({ success: false, error: err.message || "Internal error" });
+      }
+    })
+  );
+});
+
+/**
+ * Commandes payées mais non livrées (remboursées automatiquement par stripeWebhook).
+ */
+exports.getFulfillmentFailures = onRequest({}, async (req, res) => {
+  // Preflight
+  res.set("Access-Control-Allow-Origin", "*");
+  res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  if (req.method === "OPTIONS") {
+    res.status(204).send("");
+    return;
+  }
+
+  return corsMiddleware(req, res, () =>
+    authenticateSeller(req, res, async () => {
+      try {
+        const snap = await db.collection("fulfillmentFailures").where("sellerUid", "==", req.uid).get();
+        const failures = snap.docs.map((d) => ({
+          id: d.id,
+          productId: d.data().productId,
+          bundleId: d.data().bundleId,
+          productTitle: d.data().productTitle,
+          buyerEmail: d.data().buyerEmail,
+          amount: d.data().amount,
+          currency: normalizeCurrency(d.data().currency),
+          reason: d.data().reason,
+          detail: d.data().detail || null,
+          refundStatus: d.data().refundStatus,
+          createdAt: d.data().createdAt ? d.data().createdAt.toDate() : null,
+        }));
+
+        return res.status(200).json({ success: true, failures });
+      } catch (err) {
+        console.error("getFulfillmentFailures error:", err);
+        return res.status(500).json({ success: false, error: err.message || "Internal error" });
+      }
+    })
+  );
+});
+
+exports.getLinks = onRequest({}, async (req, res) => {
+  // Preflight
+  res.set("Access-Control-Allow-Origin", "*");
+  res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  if (req.method === "OPTIONS") {
+    res.status(204).send("");
+    return;
+  }
+
+  return corsMiddleware(req, res, () =>
+    authenticateSeller(req, res, async () => {
+      try {
+        const uid = req.uid;
+
+        const snap = await db.collection("products").where("uid", "==", uid).get();
+        const links = snap.docs.map((d) => ({
+          id: d.id,
+          title: d.data().title,
+          price: d.data().price,
+          currency: normalizeCurrency(d.data().currency),
+          category: d.data().category || "general",
+          sales: d.data().sales || 0,
+          revenue: d.data().revenue || 0,
+          createdAt: d.data().createdAt,
+          lifetime: d.data().lifetime || DEFAULT_PRODUCT_LIFETIME,
+          expiresAt: d.data().expiresAt || null,
+          status: d.data().status || "active",
+          archiveReason: d.data().archiveReason || null,
+          purgeAt: d.data().purgeAt || null,
+          filesUploaded: isProductReady(d.data()),
+          uploadStatus: d.data().uploadStatus || null,
+          shareableLink: `https://www.g-z.online/product.html?productId=${d.id}`,
+        }));
+
+        await db
+          .collection("userStats")
+          .doc(uid)
+          .set({ linksCount: links.length, lastUpdated: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+
+        const viewsSnap = await db.collection("productViews").where("sellerUid", "==", uid).get();
+        const viewsByProduct = {};
+        viewsSnap.docs.forEach((doc) => {
+          const data = doc.data();
+          if (data.productId) viewsByProduct[data.productId] = (viewsByProduct[data.productId] || 0) + 1;
+        });
+
+        links.forEach((l) => {
+          l.views = viewsByProduct[l.id] || 0;
+        });
+
+        const totalViews = Object.values(viewsByProduct).reduce((s, c) => s + c, 0);
+
+        await db
+          .collection("userStats")
+          .doc(uid)
+          .set({ viewsCount: totalViews, lastUpdated: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+
+        links.forEach((l) => {
+          if (l.createdAt) l.createdAt = l.createdAt.toDate();
+          if (l.expiresAt) l.expiresAt = l.expiresAt.toDate();
+          if (l.purgeAt) l.purgeAt = l.purgeAt.toDate();
+        });
+
+        return res.status(200).json({ success: true, links, stats: { linksCount: links.length, viewsCount: totalViews } });
+      } catch (err) {
+        console.error("getLinks error:", err);
+        return res.status(500).json({ success: false, error: err.message || "Internal error" });
+      }
+    })
+  );
+});
+
+exports.getProductDetails = onRequest({}, async (req, res) => {
+  // Preflight
+  res.set("Access-Control-Allow-Origin", "*");
+  res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  if (req.method === "OPTIONS") {
+    res.status(204).send("");
+    return;
+  }
+
+  return corsMiddleware(req, res, async () => {
+    try {
+      const productId = req.query.productId;
+      if (!productId) return res.status(400).json({ success: false, error: "Missing productId" });
+
+      const doc = await db.collection("products").doc(productId).get();
+      if (!doc.exists) return res.status(404).json({ success: false, error: "Product not found" });
+
+      const product = doc.data();
+
+      // Archivé (supprimé par le vendeur ou expiré) ?
+      if (product.status === "archived") {
+        return res.status(410).json({ success: false, error: "This product is no longer available", archived: true });
+      }
+
+      // Expiré ?
+      if (product.expiresAt && product.expiresAt.toDate() < new Date()) {
+        return res.status(410).json({ success: false, error: "This product has expired", expired: true });
+      }
+
+      // Fichiers pas encore confirmés par validateProductUpload (upload en cours, absent ou rejeté)
+      if (!isProductReady(product)) {
+        return res.status(409).json({ success: false, error: "This product is not available yet", pending: true });
+      }
+
+      // Signed URL cover (7j)
+      const coverFile = bucket.file(product.coverPath);
+      const [coverUrl] = await coverFile.getSignedUrl({
+        action: "read",
+        expires: Date.now() + SIGNED_READ_URL_TTL_MS,
+      });
+
+      // Vue + stats
+      await db.collection("productViews").add({
+        productId,
+        sellerUid: product.uid,
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      const userStatsRef = db.collection("userStats").doc(product.uid);
+      const userStatsDoc = await userStatsRef.get();
+      if (userStatsDoc.exists) {
+        await userStatsRef.update({
+          viewsCount: admin.firestore.FieldValue.increment(1),
+          lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      } else {
+        await userStatsRef.set({
+          linksCount: 1,
+          viewsCount: 1,
+          ordersCount: 0,
+          shippedCount: 0,
+          revenueCount: 0,
+          lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      }
+
+      // Infos vendeur
+      const sellerDoc = await db.collection("users").doc(product.uid).get();
+      const sellerName = sellerDoc.exists ? sellerDoc.data().displayName || "Anonymous" : "Anonymous";
+
+      // Heures restantes
+      let expirationDate = null;
+      let hoursRemaining = null;
+      if (product.expiresAt) {
+        expirationDate = product.expiresAt.toDate();
+        const diffMs = expirationDate - new Date();
+        hoursRemaining = Math.ceil(diffMs / (60 * 60 * 1000));
+      }
+
+      return res.status(200).json({
+        success: true,
+        product: {
+          id: doc.id,
+          title: product.title,
+          description: product.description,
+          price: product.price,
+          currency: normalizeCurrency(product.currency),
+          category: product.category,
+          fileCount: getProductFiles(product).length,
+          coverUrl,
+          sellerName,
+          sellerUid: product.uid,
+          lifetime: product.lifetime || DEFAULT_PRODUCT_LIFETIME,
+          expiresAt: expirationDate,
+          hoursRemaining,
+        },
+      });
+    } catch (err) {
+      console.error("getProductDetails error:", err);
+      return res.status(500).json({ success: false, error: err.message || "Internal error" });
+    }
+  });
+});
+
+exports.collectBuyerEmail = onRequest({}, async (req, res) => {
+  // Preflight
+  res.set("Access-Control-Allow-Origin", "*");
+  res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  if (req.method === "OPTIONS") {
+    res.status(204).send("");
+    return;
+  }
+
+  return corsMiddleware(req, res, async () => {
+    try {
+      const { email, productId, bundleId, couponCode } = req.body || {};
+      if (!email || (!productId && !bundleId))
+        return res.status(400).json({ success: false, error: "Missing email or productId" });
+      if (!isEmail(email)) return res.status(400).json({ success: false, error: "Invalid email format" });
+
+      // Produit seul ou bundle
+      const purchasable = await loadPurchasable({ productId, bundleId });
+      if (purchasable.error) {
+        const { httpStatus, ...body } = purchasable;
+        return res.status(httpStatus).json({ success: false, ...body });
+      }
+      const product = purchasable.item;
+
+      // Code promo optionnel: validé ici pour afficher le prix remisé, revalidé au checkout
+      let pricing = null;
+      if (couponCode) {
+        pricing = await resolveCoupon(couponCode, bundleId || productId, product);
+        if (pricing.error) return res.status(400).json({ success: false, error: pricing.error, invalidCoupon: true });
+      }
+
+      const sessionId = generateUniqueAccessToken(16);
+      await db.collection("paymentSessions").doc(sessionId).set({
+        email,
+        productId: bundleId ? null : productId,
+        bundleId: bundleId || null,
+        couponCode: pricing ? pricing.code : null,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        completed: false,
+      });
+
+      return res.status(200).json({
+        success: true,
+        sessionId,
+        message: "Email collected successfully",
+        pricing: pricing
+          ? {
+              listPrice: Number(product.price),
+              discountAmount: pricing.discountAmount,
+              finalPrice: pricing.finalPrice,
+              currency: normalizeCurrency(product.currency),
+              couponCode: pricing.code,
+            }
+          : null,
+      });
+    } catch (err) {
+      console.error("collectBuyerEmail error:", err);
+      return res.status(500).json({ success: false, error: err.message || "Internal error" });
+    }
+  });
+});
+
+/* ---- Coupons ---- */
+
+function normalizeCouponCode(code) {
+  return String(code || "")
+    .trim()
+    .toUpperCase();
+}
+
+/**
+ * Valide un code promo pour un produit et calcule le prix remisé.
+ * Retourne { error } ou { couponId, code, discountAmount, finalPrice }.
+ * Le prix final ne descend pas sous le prix minimum de la devise.
+ */
+async function resolveCoupon(couponCode, productId, product) {
+  const code = normalizeCouponCode(couponCode);
+  if (!code) return { error: "Invalid coupon code" };
+
+  const couponDoc = await db.collection("coupons").doc(`${product.uid}_${code}`).get();
+  if (!couponDoc.exists) return { error: "Invalid coupon code" };
+
+  const coupon = couponDoc.data();
+  if (!coupon.active) return { error: "This coupon is no longer active" };
+  if (coupon.productId && coupon.productId !== productId) return { error: "This coupon does not apply to this product" };
+  if (coupon.expiresAt && coupon.expiresAt.toDate() < new Date()) return { error: "This coupon has expired" };
+  if (coupon.maxRedemptions && Number(coupon.redemptionCount || 0) >= Number(coupon.maxRedemptions))
+    return { error: "This coupon has reached its usage limit" };
+
+  const currency = normalizeCurrency(product.currency);
+  const price = Number(product.price);
+  if (coupon.type === "fixed" && normalizeCurrency(coupon.currency) !== currency)
+    return { error: "This coupon does not apply to this product" };
+
+  let discountAmount = coupon.type === "percent" ? (price * Number(coupon.value)) / 100 : Number(coupon.value);
+  discountAmount = Math.min(discountAmount, price - MIN_PRICE_BY_CURRENCY[currency]);
+  discountAmount = Math.max(0, Math.round(discountAmount * 100) / 100);
+
+  return {
+    couponId: couponDoc.id,
+    code,
+    discountAmount,
+    finalPrice: Math.round((price - discountAmount) * 100) / 100,
+  };
+}
+
+/**
+ * Création d'un code promo par le vendeur.
+ * Requiert: code, type ("percent" | "fixed"), value.
+ * Optionnels: productId (sinon tous les produits du vendeur), currency (type fixed), maxRedemptions, expiresAt.
+ */
+exports.createCoupon = onRequest({}, async (req, res) => {
+  // Preflight
+  res.set("Access-Control-Allow-Origin", "*");
+  res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  if (req.method === "OPTIONS") {
+    res.status(204).send("");
+    return;
+  }
+
+  return corsMiddleware(req, res, () =>
+    authenticateSeller(req, res, async () => {
+      try {
+        const uid = req.uid;
+        const { type, value, productId, maxRedemptions, expiresAt } = req.body || {};
+        const code = normalizeCouponCode(req.body.code);
+
+        if (!/^[A-Z0-9_-]{3,32}$/.test(code))
+          return res.status(400).json({ success: false, error: "Code must be 3-32 letters, digits, - or _" });
+        if (!["percent", "fixed"].includes(type))
+          return res.status(400).json({ success: false, error: "Type must be percent or fixed" });
+
+        const numericValue = parseFloat(value);
+        if (!(numericValue > 0) || (type === "percent" && numericValue > 100))
+          return res.status(400).json({ success: false, error: "Invalid discount value" });
+
+        let currency = normalizeCurrency(req.body.currency);
+        if (productId) {
+          const productDoc = await db.collection("products").doc(productId).get();
+          if (!productDoc.exists) return res.status(404).json({ success: false, error: "Product not found" });
+          if (productDoc.data().uid !== uid) return res.status(403).json({ success: false, error: "Forbidden" });
+          if (!req.body.currency) currency = normalizeCurrency(productDoc.data().currency);
+        }
+        if (type === "fixed" && !SUPPORTED_CURRENCIES.includes(currency))
+          return res.status(400).json({ success: false, error: "Unsupported currency" });
+
+        if (maxRedemptions !== undefined && maxRedemptions !== null && !(parseInt(maxRedemptions) > 0))
+          return res.status(400).json({ success: false, error: "Invalid maxRedemptions" });
+
+        let expirationDate = null;
+        if (expiresAt) {
+          expirationDate = new Date(expiresAt);
+          if (isNaN(expirationDate.getTime()) || expirationDate < new Date())
+            return res.status(400).json({ success: false, error: "Invalid expiresAt" });
+        }
+
+        const couponRef = db.collection("coupons").doc(`${uid}_${code}`);
+        if ((await couponRef.get()).exists)
+          return res.status(409).json({ success: false, error: "A coupon with this code already exists" });
+
+        const coupon = {
+          code,
+          sellerUid: uid,
+          productId: productId || null,
+          type,
+          value: numericValue,
+          currency: type === "fixed" ? currency : null,
+          maxRedemptions: maxRedemptions ? parseInt(maxRedemptions) : null,
+          redemptionCount: 0,
+          expiresAt: expirationDate ? admin.firestore.Timestamp.fromDate(expirationDate) : null,
+          active: true,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        };
+        await couponRef.set(coupon);
+
+        return res.status(200).json({ success: true, coupon: { id: couponRef.id, ...coupon, expiresAt: expirationDate } });
+      } catch (err) {
+        console.error("createCoupon error:", err);
+        return res.status(500).json({ success: false, error: err.message || "Internal error" });
+      }
+    })
+  );
+});
+
+exports.getCoupons = onRequest({}, async (req, res) => {
+  // Preflight
+  res.set("Access-Control-Allow-Origin", "*");
+  res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  if (req.method === "OPTIONS") {
+    res.status(204).send("");
+    return;
+  }
+
+  return corsMiddleware(req, res, () =>
+    authenticateSeller(req, res, async () => {
+      try {
+        const snap = await db.collection("coupons").where("sellerUid", "==", req.uid).get();
+        const coupons = snap.docs.map((d) => ({
+          id: d.id,
+          ...d.data(),
+          createdAt: d.data().createdAt ? d.data().createdAt.toDate() : null,
+          expiresAt: d.data().expiresAt ? d.data().expiresAt.toDate() : null,
+        }));
+
+        return res.status(200).json({ success: true, coupons });
+      } catch (err) {
+        console.error("getCoupons error:", err);
+        return res.status(500).json({ success: false, error: err.message || "Internal error" });
+      }
+    })
+  );
+});
+
+/* ---- Bundles ---- */
+
+/**
+ * Charge l'article vendu: un produit, ou un bundle (bundleId) et tous ses produits inclus.
+ * Retourne { httpStatus, error, archived?, expired?, pending? } ou { item, products }.
+ * Le bundle expose les mêmes champs que le produit pour le checkout (uid, title, price, currency, coverPath).
+ */
+async function loadPurchasable({ productId, bundleId }) {
+  if (bundleId) {
+    const bundleDoc = await db.collection("bundles").doc(bundleId).get();
+    if (!bundleDoc.exists) return { httpStatus: 404, error: "Bundle not found" };
+
+    const bundle = bundleDoc.data();
+    if (bundle.status === "archived")
+      return { httpStatus: 410, error: "This bundle is no longer available", archived: true };
+
+    const productDocs = await Promise.all(
+      (bundle.productIds || []).map((id) => db.collection("products").doc(id).get())
+    );
+    const products = [];
+    for (const doc of productDocs) {
+      if (!doc.exists || doc.data().status === "archived")
+        return { httpStatus: 410, error: "A product in this bundle is no longer available", archived: true };
+      const product = doc.data();
+      if (product.expiresAt && product.expiresAt.toDate() < new Date())
+        return { httpStatus: 410, error: "A product in this bundle has expired", expired: true };
+      if (!isProductReady(product))
+        return { httpStatus: 409, error: "A product in this bundle is not available yet", pending: true };
+      products.push({ id: doc.id, ...product });
+    }
+
+    return { item: bundle, products };
+  }
+
+  const productDoc = await db.collection("products").doc(productId).get();
+  if (!productDoc.exists) return { httpStatus: 404, error: "Product not found" };
+
+  const product = productDoc.data();
+  if (product.status === "archived")
+    return { httpStatus: 410, error: "This product is no longer available", archived: true };
+  if (product.expiresAt && product.expiresAt.toDate() < new Date())
+    return { httpStatus: 410, error: "This product has expired", expired: true };
+  // Fichiers non confirmés par validateProductUpload: pas de paiement possible
+  if (!isProductReady(product))
+    return { httpStatus: 409, error: "This product is not available yet", pending: true };
+
+  return { item: product, products: [{ id: productDoc.id, ...product }] };
+}
+
+/**
+ * Création d'un bundle: plusieurs produits du vendeur vendus ensemble, avec son propre prix et lien.
+ * Requiert: title, price, productIds (au moins 2, même devise).
+ */
+exports.createBundle = onRequest({}, async (req, res) => {
+  // Preflight
+  res.set("Access-Control-Allow-Origin", "*");
+  res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  if (req.method === "OPTIONS") {
+    res.status(204).send("");
+    return;
+  }
+
+  return corsMiddleware(req, res, () =>
+    authenticateSeller(req, res, async () => {
+      try {
+        const uid = req.uid;
+        const { title, description, price, productIds } = req.body || {};
+        if (!title || !price || !Array.isArray(productIds))
+          return res.status(400).json({ success: false, error: "Missing required fields" });
+
+        const uniqueIds = [...new Set(productIds.filter(Boolean))];
+        if (uniqueIds.length < 2)
+          return res.status(400).json({ success: false, error: "A bundle needs at least 2 products" });
+
+        const productDocs = await Promise.all(uniqueIds.map((id) => db.collection("products").doc(id).get()));
+        for (const doc of productDocs) {
+          if (!doc.exists) return res.status(404).json({ success: false, error: "Product not found" });
+          if (doc.data().uid !== uid) return res.status(403).json({ success: false, error: "Forbidden" });
+          if (doc.data().status === "archived")
+            return res.status(400).json({ success: false, error: "Archived products cannot be bundled" });
+        }
+
+        const currencies = new Set(productDocs.map((d) => normalizeCurrency(d.data().currency)));
+        if (currencies.size > 1)
+          return res.status(400).json({ success: false, error: "All bundled products must use the same currency" });
+        const currency = normalizeCurrency(req.body.currency || [...currencies][0]);
+        if (!currencies.has(currency))
+          return res.status(400).json({ success: false, error: "Bundle currency must match its products" });
+
+        const minPrice = MIN_PRICE_BY_CURRENCY[currency];
+        if (!(parseFloat(price) >= minPrice))
+          return res.status(400).json({ success: false, error: `Minimum price is ${formatMoney(minPrice, currency)}` });
+
+        const bundleDoc = {
+          uid,
+          title,
+          description: description || "",
+          price: parseFloat(price),
+          currency,
+          productIds: uniqueIds,
+          coverPath: productDocs[0].data().coverPath,
+          status: "active",
+          sales: 0,
+          revenue: 0,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        };
+
+        const bundleRef = await db.collection("bundles").add(bundleDoc);
+        const shareableLink = `https://www.g-z.online/product.html?bundleId=${bundleRef.id}`;
+        await bundleRef.update({ shareableLink });
+
+        return res.status(200).json({ success: true, bundleId: bundleRef.id, shareableLink });
+      } catch (err) {
+        console.error("createBundle error:", err);
+        return res.status(500).json({ success: false, error: err.message || "Internal error" });
+      }
+    })
+  );
+});
+
+exports.getBundles = onRequest({}, async (req, res) => {
+  // Preflight
+  res.set("Access-Control-Allow-Origin", "*");
+  res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  if (req.method === "OPTIONS") {
+    res.status(204).send("");
+    return;
+  }
+
+  return corsMiddleware(req, res, () =>
+    authenticateSeller(req, res, async () => {
+      try {
+        const snap = await db.collection("bundles").where("uid", "==", req.uid).get();
+        const bundles = snap.docs.map((d) => ({
+          id: d.id,
+          title: d.data().title,
+          price: d.data().price,
+          currency: normalizeCurrency(d.data().currency),
+          productIds: d.data().productIds || [],
+          status: d.data().status || "active",
+          sales: d.data().sales || 0,
+          revenue: d.data().revenue || 0,
+          shareableLink: d.data().shareableLink,
+          createdAt: d.data().createdAt ? d.data().createdAt.toDate() : null,
+        }));
+
+        return res.status(200).json({ success: true, bundles });
+      } catch (err) {
+        console.error("getBundles error:", err);
+        return res.status(500).json({ success: false, error: err.message || "Internal error" });
+      }
+    })
+  );
+});
+
+exports.getBundleDetails = onRequest({}, async (req, res) => {
+  // Preflight
+  res.set("Access-Control-Allow-Origin", "*");
+  res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  if (req.method === "OPTIONS") {
+    res.status(204).send("");
+    return;
+  }
+
+  return corsMiddleware(req, res, async () => {
+    try {
+      const bundleId = req.query.bundleId;
+      if (!bundleId) return res.status(400).json({ success: false, error: "Missing bundleId" });
+
+      const purchasable = await loadPurchasable({ bundleId });
+      if (purchasable.error) {
+        const { httpStatus, ...body } = purchasable;
+        return res.status(httpStatus).json({ success: false, ...body });
+      }
+      const bundle = purchasable.item;
+
+      // Signed URL cover (7j)
+      let coverUrl = null;
+      if (bundle.coverPath) {
+        [coverUrl] = await bucket.file(bundle.coverPath).getSignedUrl({
+          action: "read",
+          expires: Date.now() + SIGNED_READ_URL_TTL_MS,
+        });
+      }
+
+      const sellerDoc = await db.collection("users").doc(bundle.uid).get();
+      const sellerName = sellerDoc.exists ? sellerDoc.data().displayName || "Anonymous" : "Anonymous";
+
+      // Le bundle expire avec le premier de ses produits
+      const expirations = purchasable.products.filter((p) => p.expiresAt).map((p) => p.expiresAt.toDate());
+      const expirationDate = expirations.length ? new Date(Math.min(...expirations)) : null;
+      const hoursRemaining = expirationDate ? Math.ceil((expirationDate - new Date()) / (60 * 60 * 1000)) : null;
+
+      return res.status(200).json({
+        success: true,
+        bundle: {
+          id: bundleId,
+          title: bundle.title,
+          description: bundle.description,
+          price: bundle.price,
+          currency: normalizeCurrency(bundle.currency),
+          coverUrl,
+          sellerName,
+          sellerUid: bundle.uid,
+          products: purchasable.products.map((p) => ({ id: p.id, title: p.title, category: p.category })),
+          expiresAt: expirationDate,
+          hoursRemaining,
+        },
+      });
+    } catch (err) {
+      console.error("getBundleDetails error:", err);
+      return res.status(500).json({ success: false, error: err.message || "Internal error" });
+    }
+  });
+});
+
+/* ============================= STRIPE CHECKOUT ============================= */
+
+/**
+ * Créer une session Stripe Checkout pour un produit ou un bundle.
+ * Requiert: productId ou bundleId, sessionId (issu de collectBuyerEmail).
+ */
+exports.createStripeCheckoutSession = onRequest({ secrets: [stripeSecretKey] }, async (req, res) => {
+  // Preflight
+  res.set("Access-Control-Allow-Origin", "*");
+  res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  if (req.method === "OPTIONS") {
+    res.status(204).send("");
+    return;
+  }
+
+  return corsMiddleware(req, res, async () => {
+    try {
+      if (!stripe) {
+        stripe = require("stripe")(stripeSecretKey.value());
+      }
+
+      const { productId, bundleId, sessionId, successUrl, cancelUrl, couponCode } = req.body || {};
+      if ((!productId && !bundleId) || !sessionId)
+        return res.status(400).json({ success: false, error: "Missing productId or sessionId" });
+
+      // Validate session
+      const sessionDoc = await db.collection("paymentSessions").doc(sessionId).get();
+      if (!sessionDoc.exists) return res.status(404).json({ success: false, error: "Session not found" });
+      if (sessionDoc.data().completed) return res.status(400).json({ success: false, error: "Session already completed" });
+      if (hasProcessingPayment(sessionDoc.data()))
+        return res.status(409).json({ success: false, error: "A payment for this session is already being processed" });
+
+      // Validate product (ou bundle et tous ses produits)
+      const purchasable = await loadPurchasable({ productId, bundleId });
+      if (purchasable.error) {
+        const { httpStatus, ...body } = purchasable;
+        return res.status(httpStatus).json({ success: false, ...body });
+      }
+      const product = purchasable.item;
+
+      // Optional: generate a short-lived cover URL for Stripe images
+      let checkoutImageUrl = undefined;
+      try {
+        if (product.coverPath) {
+          const [coverSigned] = await bucket.file(product.coverPath).getSignedUrl({
+            action: "read",
+            expires: Date.now() + 15 * 60 * 1000, // 15 minutes
+          });
+          checkoutImageUrl = coverSigned;
+        }
+      } catch (e) {
+        console.error("Could not sign cover for checkout image:", e.message);
+      }
+
+      // Code promo: celui envoyé au checkout, sinon celui saisi avec l'email
+      let pricing = null;
+      const appliedCouponCode = couponCode || sessionDoc.data().couponCode;
+      if (appliedCouponCode) {
+        pricing = await resolveCoupon(appliedCouponCode, bundleId || productId, product);
+        if (pricing.error) return res.status(400).json({ success: false, error: pricing.error, invalidCoupon: true });
+      }
+
+      const currency = normalizeCurrency(product.currency);
+      const unitAmount = toStripeAmount(pricing ? pricing.finalPrice : product.price, currency);
+
+      const itemParam = bundleId ? `bundleId=${bundleId}` : `productId=${productId}`;
+      const successReturn =
+        successUrl ||
+        `https://www.g-z.online/product.html?${itemParam}&success=true&session=${encodeURIComponent(sessionId)}`;
+      const cancelReturn = cancelUrl || `https://www.g-z.online/product.html?${itemParam}&cancel=true`;
+
+      // metadata pour retrouver plus tard
+      const metadata = {
+        app_session_id: sessionId,
+        app_seller_uid: product.uid,
+        app_product_title: product.title || "",
+        app_currency: currency,
+      };
+      if (bundleId) metadata.app_bundle_id = bundleId;
+      else metadata.app_product_id = productId;
+      if (pricing) {
+        metadata.app_coupon_id = pricing.couponId;
+        metadata.app_coupon_code = pricing.code;
+        metadata.app_discount_amount = String(pricing.discountAmount);
+      }
+
+      // Pas de payment_method_types: Stripe propose les moyens activés dans le Dashboard et compatibles
+      // avec la devise (carte, wallets, SEPA, iDEAL...). Les moyens différés sont livrés au webhook async.
+      const session = await stripe.checkout.sessions.create({
+        mode: "payment",
+        line_items: [
+          {
+            price_data: {
+              currency: currency.toLowerCase(),
+              product_data: {
+                name: product.title,
+                description: product.description || undefined,
+                images: checkoutImageUrl ? [checkoutImageUrl] : [],
+              },
+              unit_amount: unitAmount,
+            },
+            quantity: 1,
+          },
+        ],
+        customer_email: sessionDoc.data().email || undefined,
+        success_url: successReturn,
+        cancel_url: cancelReturn,
+        metadata,
+      });
+
+      // On stocke l’id stripeSessionId
+      await db.collection("paymentSessions").doc(sessionId).update({
+        stripeSessionId: session.id,
+        stripeStatus: "created",
+        gateway: "stripe",
+        couponCode: pricing ? pricing.code : null,
+        discountAmount: pricing ? pricing.discountAmount : 0,
+      });
+
+      return res.status(200).json({
+        success: true,
+        sessionId: session.id,
+        url: session.url,
+      });
+    } catch (err) {
+      console.error("createStripeCheckoutSession error:", err);
+      return res.status(500).json({ success: false, error: err.message || "Internal error" });
+    }
+  });
+});
+
+/* ---- PayPal Checkout ---- */
+
+// Montant au format PayPal Orders ("12.50", ou entier pour une devise sans décimales)
+function toPaypalAmount(amount, currency) {
+  return Number(amount).toFixed(ZERO_DECIMAL_CURRENCIES.includes(normalizeCurrency(currency)) ? 0 : 2);
+}
+
+/**
+ * Remboursement (total si amount null) d'une capture PayPal Checkout.
+ * requestId sert de PayPal-Request-Id: un rejeu ne rembourse pas deux fois.
+ */
+async function refundPaypalCapture(captureId, amount, currency, requestId) {
+  if (!captureId) throw new Error("No PayPal capture to refund");
+  const body = amount === null ? {} : { amount: { value: toPaypalAmount(amount, currency), currency_code: currency } };
+  const resp = await getPaypalClient().execute({
+    path: `/v2/payments/captures/${encodeURIComponent(captureId)}/refund`,
+    verb: "POST",
+    headers: { "Content-Type": "application/json", "PayPal-Request-Id": requestId },
+    body,
+  });
+  return { id: resp.result.id, status: String(resp.result.status || "").toLowerCase() };
+}
+
+/**
+ * Livraison d'une capture PayPal complétée: la capture est passée à fulfillCheckoutSession au format session
+ * (gateway "paypal", id = id de commande PayPal, frais réel = seller_receivable_breakdown.paypal_fee).
+ */
+async function fulfillPaypalCapture(sessionId, paymentSession, paypalOrderId, capture) {
+  const currency = normalizeCurrency(capture.amount.currency_code);
+  const breakdown = capture.seller_receivable_breakdown || {};
+  const metadata = {
+    app_session_id: sessionId,
+    app_seller_uid: paymentSession.sellerUid,
+    app_product_title: paymentSession.productTitle || "",
+    app_currency: currency,
+  };
+  if (paymentSession.bundleId) metadata.app_bundle_id = paymentSession.bundleId;
+  else metadata.app_product_id = paymentSession.productId;
+  if (paymentSession.couponId) {
+    metadata.app_coupon_id = paymentSession.couponId;
+    metadata.app_coupon_code = paymentSession.couponCode;
+  }
+
+  await fulfillCheckoutSession(
+    {
+      id: paypalOrderId,
+      gateway: "paypal",
+      metadata,
+      customer_email: paymentSession.email,
+      currency,
+      amount_total: toStripeAmount(capture.amount.value, currency),
+      payment_intent: null,
+      paypalCaptureId: capture.id,
+      paypalFee: breakdown.paypal_fee ? Number(breakdown.paypal_fee.value) : 0,
+    },
+    { eventId: capture.id, eventType: "paypal.capture.completed" }
+  );
+}
+
+/**
+ * Commande PayPal Checkout sur la même paymentSession que Stripe (issue de collectBuyerEmail).
+ * PayPal ne transporte pas de metadata: produit, vendeur, prix et coupon sont figés sur la paymentSession
+ * et relus à la capture. Retourne l'URL d'approbation PayPal.
+ */
+exports.createPaypalOrder = onRequest(
+  { secrets: [paypalClientId, paypalClientSecret, stripeSecretKey] },
+  async (req, res) => {
+    // Preflight
+    res.set("Access-Control-Allow-Origin", "*");
+    res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+    res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
+    if (req.method === "OPTIONS") {
+      res.status(204).send("");
+      return;
+    }
+
+    return corsMiddleware(req, res, async () => {
+      try {
+        const { productId, bundleId, sessionId, successUrl, cancelUrl, couponCode } = req.body || {};
+        if ((!productId && !bundleId) || !sessionId)
+          return res.status(400).json({ success: false, error: "Missing productId or sessionId" });
+
+        const sessionRef = db.collection("paymentSessions").doc(sessionId);
+        const sessionDoc = await sessionRef.get();
+        if (!sessionDoc.exists) return res.status(404).json({ success: false, error: "Session not found" });
+        if (sessionDoc.data().completed)
+          return res.status(400).json({ success: false, error: "Session already completed" });
+        if (hasProcessingPayment(sessionDoc.data())) {
+          return res
+            .status(409)
+            .json({ success: false, error: "A payment for this session is already being processed" });
+        }
+
+        // Session Stripe Checkout encore ouverte: expirée avant de passer à PayPal. Échec = déjà payée
+        // (webhook pas encore reçu): pas de commande PayPal
+        const { stripeStatus, stripeSessionId } = sessionDoc.data();
+        if (stripeStatus === "created" && stripeSessionId) {
+          if (!stripe) stripe = require("stripe")(stripeSecretKey.value());
+          try {
+            await stripe.checkout.sessions.expire(stripeSessionId);
+          } catch (e) {
+            const checkout = await stripe.checkout.sessions.retrieve(stripeSessionId);
+            if (checkout.status !== "expired") {
+              return res
+                .status(409)
+                .json({ success: false, error: "A payment for this session is already being processed" });
+            }
+          }
+          await sessionRef.update({ stripeStatus: "expired" });
+        }
+
+        const purchasable = await loadPurchasable({ productId, bundleId });
+        if (purchasable.error) {
+          const { httpStatus, ...body } = purchasable;
+          return res.status(httpStatus).json({ success: false, ...body });
+        }
+        const product = purchasable.item;
+
+        const currency = normalizeCurrency(product.currency);
+        if (!PAYPAL_CHECKOUT_CURRENCIES.includes(currency))
+          return res.status(400).json({ success: false, error: `PayPal is not available in ${currency}` });
+
+        let pricing = null;
+        const appliedCouponCode = couponCode || sessionDoc.data().couponCode;
+        if (appliedCouponCode) {
+          pricing = await resolveCoupon(appliedCouponCode, bundleId || productId, product);
+          if (pricing.error) return res.status(400).json({ success: false, error: pricing.error, invalidCoupon: true });
+        }
+        const amount = pricing ? pricing.finalPrice : Number(product.price);
+
+        const itemParam = bundleId ? `bundleId=${bundleId}` : `productId=${productId}`;
+        const successReturn =
+          successUrl ||
+          `https://www.g-z.online/product.html?${itemParam}&paypal=return&session=${encodeURIComponent(sessionId)}`;
+        const cancelReturn = cancelUrl || `https://www.g-z.online/product.html?${itemParam}&cancel=true`;
+
+        const resp = await getPaypalClient().execute({
+          path: "/v2/checkout/orders",
+          verb: "POST",
+          headers: { "Content-Type": "application/json", "PayPal-Request-Id": `order_${sessionId}_${Date.now()}` },
+          body: {
+            intent: "CAPTURE",
+            purchase_units: [
+              {
+                reference_id: sessionId,
+                custom_id: sessionId,
+                description: String(product.title || "Digital product").slice(0, 127),
+                amount: { currency_code: currency, value: toPaypalAmount(amount, currency) },
+              },
+            ],
+            application_context: {
+              brand_name: "Monetizelt",
+              shipping_preference: "NO_SHIPPING",
+              user_action: "PAY_NOW",
+              return_url: successReturn,
+              cancel_url: cancelReturn,
+            },
+          },
+        });
+        const paypalOrder = resp.result;
+        const approveLink = (paypalOrder.links || []).find((l) => l.rel === "approve" || l.rel === "payer-action");
+
+        await sessionRef.update({
+          gateway: "paypal",
+          paypalOrderId: paypalOrder.id,
+          paypalStatus: "created",
+          productId: bundleId ? null : productId,
+          bundleId: bundleId || null,
+          sellerUid: product.uid,
+          productTitle: product.title || "",
+          amount,
+          currency,
+          couponId: pricing ? pricing.couponId : null,
+          couponCode: pricing ? pricing.code : null,
+          discountAmount: pricing ? pricing.discountAmount : 0,
+        });
+
+        return res.status(200).json({
+          success: true,
+          orderId: paypalOrder.id,
+          url: approveLink ? approveLink.href : null,
+        });
+      } catch (err) {
+        console.error("createPaypalOrder error:", err);
+        return res.status(500).json({ success: false, error: err.message || "Internal error" });
+      }
+    });
+  }
+);
+
+/**
+ * Capture après approbation de l'acheteur (retour PayPal sur product.html?paypal=return&token=<orderId>).
+ * Capture idempotente (PayPal-Request-Id), puis même livraison que Stripe (fulfillPaypalCapture).
+ * Une capture en attente est livrée plus tard par le webhook PayPal (PAYMENT.CAPTURE.COMPLETED).
+ */
+exports.capturePaypalOrder = onRequest(
+  { secrets: [paypalClientId, paypalClientSecret, sendgridApiKey] },
+  async (req, res) => {
+    // Preflight
+    res.set("Access-Control-Allow-Origin", "*");
+    res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+    res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
+    if (req.method === "OPTIONS") {
+      res.status(204).send("");
+      return;
+    }
+
+    return corsMiddleware(req, res, async () => {
+      try {
+        const { sessionId, orderId } = req.body || {};
+        if (!sessionId || !orderId)
+          return res.status(400).json({ success: false, error: "Missing sessionId or orderId" });
+
+        const sessionRef = db.collection("paymentSessions").doc(sessionId);
+        const sessionDoc = await sessionRef.get();
+        if (!sessionDoc.exists) return res.status(404).json({ success: false, error: "Session not found" });
+        const paymentSession = sessionDoc.data();
+        if (paymentSession.paypalOrderId !== orderId)
+          return res.status(400).json({ success: false, error: "Order does not match this session" });
+        // L'acheteur est passé à Stripe Checkout depuis: la commande PayPal approuvée n'est pas capturée
+        if (!paymentSession.completed && paymentSession.gateway !== "paypal")
+          return res.status(409).json({ success: false, error: "This session is being paid with another method" });
+
+        if (!paymentSession.completed) {
+          let paypalOrder;
+          try {
+            const resp = await getPaypalClient().execute({
+              path: `/v2/checkout/orders/${encodeURIComponent(orderId)}/capture`,
+              verb: "POST",
+              headers: { "Content-Type": "application/json", "PayPal-Request-Id": `capture_${orderId}` },
+              body: {},
+            });
+            paypalOrder = resp.result;
+          } catch (e) {
+            // Déjà capturée (double clic, retour rejoué): on relit la commande
+            if (!/ORDER_ALREADY_CAPTURED/.test(e.message || "")) throw e;
+            const resp = await getPaypalClient().execute({
+              path: `/v2/checkout/orders/${encodeURIComponent(orderId)}`,
+              verb: "GET",
+              headers: { "Content-Type": "application/json" },
+            });
+            paypalOrder = resp.result;
+          }
+
+          const unit = (paypalOrder.purchase_units || [])[0] || {};
+          const capture = ((unit.payments || {}).captures || [])[0];
+          if (!capture || capture.status === "DECLINED" || capture.status === "FAILED") {
+            await sessionRef.update({
+              paypalStatus: "failed",
+              updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            });
+            return res.status(200).json({ success: false, status: "failed", error: "Payment failed" });
+          }
+          if (capture.status !== "COMPLETED") {
+            // Capture en attente (eCheck, revue PayPal): livraison quand PayPal la complète
+            await sessionRef.update({
+              paypalStatus: "processing",
+              paypalCaptureId: capture.id,
+              updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            });
+            return res.status(200).json({ success: true, status: "processing" });
+          }
+
+          await fulfillPaypalCapture(sessionId, paymentSession, orderId, capture);
+        }
+
+        const updated = (await sessionRef.get()).data();
+        if (updated.completed && updated.orderId) {
+          const orderDoc = await db.collection("orders").doc(updated.orderId).get();
+          return res.status(200).json({
+            success: true,
+            status: "completed",
+            orderId: orderDoc.id,
+            accessUrl: orderDoc.exists ? orderDoc.data().accessUrl : null,
+          });
+        }
+        return res.status(200).json({ success: true, status: getPaymentSessionStatus(updated) || "pending" });
+      } catch (err) {
+        console.error("capturePaypalOrder error:", err);
+        return res.status(500).json({ success: false, error: err.message || "Internal error" });
+      }
+    });
+  }
+);
+
+/* ---- Remboursements & litiges ---- */
+
+/**
+ * Paiement encaissé mais commande impossible à livrer (session inconnue, produit retiré/expiré, fichier absent).
+ * Rembourse le PaymentIntent, marque la paymentSession "refunded", prévient l'acheteur et trace l'incident
+ * dans fulfillmentFailures (consultable par le vendeur via getFulfillmentFailures et par l'admin).
+ * Idempotent: un seul remboursement par session Stripe, même si Stripe rejoue l'événement.
+ */
+async function refundUnfulfilledSession(session, reason, context = {}) {
+  const failureRef = db.collection("fulfillmentFailures").doc(session.id);
+  const failureDoc = await failureRef.get();
+  if (failureDoc.exists && failureDoc.data().refundId) return null;
+
+  const { appSessionId = null, productId = null, bundleId = null, sellerUid = null, detail = null } = context;
+  const productTitle = context.productTitle || session.metadata?.app_product_title || "Your purchase";
+  const buyerEmail = session.customer_details?.email || session.customer_email || null;
+  const currency = normalizeCurrency(session.currency || session.metadata?.app_currency);
+  const amount = fromStripeAmount(session.amount_total || 0, currency);
+
+  let refund = null;
+  let refundError = null;
+  if (session.gateway === "paypal") {
+    try {
+      refund = await refundPaypalCapture(session.paypalCaptureId, null, currency, `fulfillment-failure-${session.id}`);
+    } catch (e) {
+      refundError = e.message;
+      console.error("Fulfillment refund failed:", session.id, e.message);
+    }
+  } else if (session.payment_intent) {
+    try {
+      refund = await stripe.refunds.create(
+        {
+          payment_intent: session.payment_intent,
+          metadata: { app_session_id: appSessionId || "", fulfillment_failure: reason },
+        },
+        { idempotencyKey: `fulfillment-failure-${session.id}` }
+      );
+    } catch (e) {
+      refundError = e.message;
+      console.error("Fulfillment refund failed:", session.id, e.message);
+    }
+  } else {
+    refundError = "No payment intent on session";
+  }
+
+  await failureRef.set(
+    {
+      gateway: session.gateway || "stripe",
+      stripeSessionId: session.gateway === "paypal" ? null : session.id,
+      paypalOrderId: session.gateway === "paypal" ? session.id : null,
+      paymentIntent: session.payment_intent || null,
+      appSessionId,
+      productId,
+      bundleId,
+      sellerUid,
+      productTitle,
+      buyerEmail,
+      amount,
+      currency,
+      reason,
+      detail,
+      refundId: refund ? refund.id : null,
+      refundStatus: refund ? refund.status : "failed",
+      refundError,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    },
+    { merge: true }
+  );
+
+  // Paiement en double: la paymentSession reste celle de la commande déjà livrée
+  if (appSessionId && reason !== "duplicate_payment") {
+    const paymentSessionRef = db.collection("paymentSessions").doc(appSessionId);
+    if ((await paymentSessionRef.get()).exists) {
+      await paymentSessionRef.update({
+        [session.gateway === "paypal" ? "paypalStatus" : "stripeStatus"]: refund ? "refunded" : "refund_failed",
+        refundReason: reason,
+        refundId: refund ? refund.id : null,
+        refundedAt: refund ? admin.firestore.FieldValue.serverTimestamp() : null,
+      });
+    }
+  }
+
+  if (!refund) {
+    await db.collection("systemErrors").add({
+      function: "stripeWebhook",
+      error: `Automatic refund failed (${reason}): ${refundError}`,
+      stripeSessionId: session.id,
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return null;
+  }
+
+  if (buyerEmail && isEmail(buyerEmail)) {
+    await sendEmailNotification("fulfillment_refund", {
+      buyerEmail,
+      productTitle,
+      amount,
+      currency,
+      reason: FULFILLMENT_FAILURE_MESSAGES[reason] || "",
+    });
+  }
+
+  return refund;
+}
+
+async function findOrderByPaymentIntent(paymentIntentId) {
+  if (!paymentIntentId) return null;
+  const snap = await db.collection("orders").where("stripePaymentIntent", "==", paymentIntentId).limit(1).get();
+  return snap.empty ? null : snap.docs[0];
+}
+
+/**
+ * Reprise (sellerDelta > 0) ou recrédit (sellerDelta < 0) de la part vendeur d'une commande, en une transaction:
+ * commande relue et garde d'idempotence, mise à jour de la commande, écriture au grand livre (id déterministe
+ * entryId), transaction inverse, products.sales/revenue et userStats. Le solde peut devenir négatif.
+ * Le compte vendeur (pending / available) est lu sur la commande relue: cohérent avec releaseOrderFunds.
+ * build(order) retourne null si déjà traité, sinon { sellerDelta, salesDelta, type, title, reason, orderUpdate }.
+ * Retourne la reprise appliquée, ou null.
+ */
+async function applySellerReversal(orderRef, entryId, build) {
+  const entryRef = db.collection("ledgerEntries").doc(entryId);
+
+  return db.runTransaction(async (tx) => {
+    const [orderDoc, entryDoc] = await Promise.all([tx.get(orderRef), tx.get(entryRef)]);
+    if (!orderDoc.exists || entryDoc.exists) return null;
+    const order = orderDoc.data();
+    const reversal = build(order);
+    if (!reversal) return null;
+
+    const { sellerDelta, salesDelta = 0, type, title, reason, orderUpdate = {} } = reversal;
+    const currency = normalizeCurrency(order.currency);
+    const amount = roundMoney(sellerDelta, currency);
+    // Le produit (ou bundle) peut déjà avoir été supprimé (expiration)
+    const itemRef = db.collection(order.bundleId ? "bundles" : "products").doc(order.bundleId || order.productId);
+    const itemDoc = await tx.get(itemRef);
+
+    tx.update(orderRef, {
+      ...orderUpdate,
+      reversedAmount: admin.firestore.FieldValue.increment(amount),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    if (amount !== 0) {
+      // Fonds encore en rétention: la reprise porte sur le solde en attente
+      postLedgerEntry(tx, {
+        id: entryId,
+        userId: order.sellerUid,
+        currency,
+        type,
+        orderId: orderRef.id,
+        description: reason || title || null,
+        lines: [
+          { account: getOrderLedgerAccount(order), amount: -amount },
+          { account: "customer_payments", amount },
+        ],
+      });
+      tx.set(db.collection("transactions").doc(entryId), {
+        userId: order.sellerUid,
+        productId: order.productId,
+        bundleId: order.bundleId || null,
+        orderId: orderRef.id,
+        type,
+        title,
+        amount: -amount,
+        grossAmount: Number(order.amount || 0),
+        currency,
+        reason: reason || null,
+        date: admin.firestore.FieldValue.serverTimestamp(),
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        status: "completed",
+        buyerEmail: order.buyerEmail,
+        gateway: order.gateway || "stripe",
+      });
+    }
 
-      const session = await stripe.checkout.sessions.create({
-        mode: "payment",
-        payment_method_types: ["card"],
-        line_items: [
-          {
-            price_data: {
-              currency: "usd",
-              product_data: {
-                name: product.title,
-                description: product.description || undefined,
-                images: checkoutImageUrl ? [checkoutImageUrl] : [],
-              },
-              unit_amount: unitAmount,
-            },
-            quantity: 1,
-          },
+    if (amount !== 0 || salesDelta !== 0) {
+      if (itemDoc.exists) {
+        tx.update(itemRef, {
+          sales: admin.firestore.FieldValue.increment(salesDelta),
+          revenue: admin.firestore.FieldValue.increment(-amount),
+        });
+      }
+      tx.set(
+        db.collection("userStats").doc(order.sellerUid),
+        {
+          ordersCount: admin.firestore.FieldValue.increment(salesDelta),
+          revenueCount: admin.firestore.FieldValue.increment(-amount),
+          lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+        },
+        { merge: true }
+      );
+    }
+
+    return { ...reversal, amount };
+  });
+}
+
+/**
+ * Applique un remboursement (total cumulé refundedTotal) à une commande: reprise proportionnelle
+ * au montant nouvellement remboursé. Idempotent via orders.refundedAmount (relu en transaction) et l'id
+ * d'écriture refund_<commande>_<total cumulé>, commun au webhook et à refundOrder.
+ * Remboursement total => commande "refunded" et accès révoqué; partiel => "partially_refunded", accès conservé.
+ * Retourne le montant nouvellement remboursé (0 si déjà traité).
+ */
+async function applyOrderRefund(orderDoc, { refundedTotal, fullyRefunded, reason, refundId }) {
+  const currency = normalizeCurrency(orderDoc.data().currency);
+  const entryId = `refund_${orderDoc.id}_${toStripeAmount(refundedTotal, currency)}`;
+
+  const applied = await applySellerReversal(orderDoc.ref, entryId, (order) => {
+    const newlyRefunded = refundedTotal - Number(order.refundedAmount || 0);
+    if (newlyRefunded <= 0) return null; // déjà traité (retry webhook ou webhook après refundOrder)
+
+    const remaining = Number(order.sellerAmount || 0) - Number(order.reversedAmount || 0);
+    const proportional = order.amount ? (Number(order.sellerAmount || 0) * newlyRefunded) / Number(order.amount) : 0;
+    const sellerDelta = Math.max(0, fullyRefunded ? remaining : Math.min(remaining, proportional));
+
+    const orderUpdate = {
+      status: fullyRefunded ? "refunded" : "partially_refunded",
+      refundedAmount: refundedTotal,
+      refundedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    if (refundId) orderUpdate.lastRefundId = refundId;
+    if (fullyRefunded) {
+      orderUpdate.accessRevoked = true;
+      orderUpdate.accessRevokedAt = admin.firestore.FieldValue.serverTimestamp();
+      orderUpdate.saleReversed = true;
+    }
+
+    return {
+      sellerDelta,
+      salesDelta: fullyRefunded && !order.saleReversed ? -1 : 0,
+      type: "refund",
+      title: `Refund: ${order.productTitle || "Product"}`,
+      reason,
+      orderUpdate,
+      newlyRefunded,
+    };
+  });
+
+  return applied ? applied.newlyRefunded : 0;
+}
+
+async function handleChargeRefunded(charge) {
+  const orderDoc = await findOrderByPaymentIntent(charge.payment_intent);
+  if (!orderDoc) {
+    console.warn("No order found for refunded charge:", charge.id);
+    return;
+  }
+
+  await applyOrderRefund(orderDoc, {
+    refundedTotal: fromStripeAmount(charge.amount_refunded, charge.currency),
+    fullyRefunded: Boolean(charge.refunded),
+    reason: "stripe_refund",
+  });
+}
+
+async function getDisputePaymentIntent(dispute) {
+  if (dispute.payment_intent) return dispute.payment_intent;
+  if (!dispute.charge) return null;
+  const charge = await stripe.charges.retrieve(dispute.charge);
+  return charge.payment_intent || null;
+}
+
+/**
+ * Ouverture d'un litige (Stripe ou PayPal): le solde restant de la vente est repris au vendeur
+ * et l'accès révoqué. Une seule fois par litige (orders.disputeId, écriture dispute_<id>).
+ */
+async function applyDisputeOpened(orderDoc, { disputeId, status, reason }) {
+  return applySellerReversal(orderDoc.ref, `dispute_${disputeId}`, (order) => {
+    if (order.disputeId === disputeId) return null; // déjà traité
+
+    const remaining = Math.max(0, Number(order.sellerAmount || 0) - Number(order.reversedAmount || 0));
+    return {
+      sellerDelta: remaining,
+      salesDelta: order.saleReversed ? 0 : -1,
+      type: "dispute",
+      title: `Dispute: ${order.productTitle || "Product"}`,
+      reason: reason || "dispute",
+      orderUpdate: {
+        status: "disputed",
+        statusBeforeDispute: order.status,
+        disputeId,
+        disputeStatus: status,
+        disputeReason: reason || null,
+        disputedSellerAmount: remaining,
+        disputeSaleReversed: !order.saleReversed,
+        saleReversed: true,
+        accessRevoked: true,
+        accessRevokedAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+    };
+  });
+}
+
+/**
+ * Clôture d'un litige: gagné => recrédit du vendeur et accès rétabli; perdu => "chargeback".
+ */
+async function applyDisputeClosed(orderDoc, { disputeId, won, status }) {
+  return applySellerReversal(orderDoc.ref, `dispute_closed_${disputeId}`, (order) => {
+    if (order.disputeId !== disputeId || order.disputeClosed) return null;
+
+    if (won) {
+      return {
+        sellerDelta: -Number(order.disputedSellerAmount || 0),
+        salesDelta: order.disputeSaleReversed ? 1 : 0,
+        type: "dispute_won",
+        title: `Dispute won: ${order.productTitle || "Product"}`,
+        reason: status,
+        orderUpdate: {
+          status: order.statusBeforeDispute || "completed",
+          disputeStatus: status,
+          disputeClosed: true,
+          saleReversed: !order.disputeSaleReversed && Boolean(order.saleReversed),
+          accessRevoked: false,
+        },
+      };
+    }
+    return {
+      sellerDelta: 0,
+      type: "chargeback",
+      orderUpdate: { status: "chargeback", disputeStatus: status, disputeClosed: true },
+    };
+  });
+}
+
+// charge.dispute.created
+async function handleDisputeCreated(dispute) {
+  const orderDoc = await findOrderByPaymentIntent(await getDisputePaymentIntent(dispute));
+  if (!orderDoc) {
+    console.warn("No order found for dispute:", dispute.id);
+    return;
+  }
+  await applyDisputeOpened(orderDoc, { disputeId: dispute.id, status: dispute.status, reason: dispute.reason });
+}
+
+// charge.dispute.closed
+async function handleDisputeClosed(dispute) {
+  const orderDoc = await findOrderByPaymentIntent(await getDisputePaymentIntent(dispute));
+  if (!orderDoc) {
+    console.warn("No order found for closed dispute:", dispute.id);
+    return;
+  }
+  await applyDisputeClosed(orderDoc, {
+    disputeId: dispute.id,
+    won: dispute.status === "won" || dispute.status === "warning_closed",
+    status: dispute.status,
+  });
+}
+
+/* ---- Fulfillment ---- */
+
+function estimateStripeFee(amount, currency) {
+  const cur = normalizeCurrency(currency);
+  const fixed = STRIPE_FEE_FIXED_BY_CURRENCY[cur] || STRIPE_FEE_FIXED_BY_CURRENCY.USD;
+  return roundMoney(Number(amount || 0) * STRIPE_FEE_RATE + fixed, cur);
+}
+
+/**
+ * Frais Stripe réels d'un paiement, lus sur la balance transaction de la charge.
+ * La balance transaction est dans la devise de règlement du compte: le frais est reconverti
+ * dans la devise de la commande via exchange_rate. Retourne null si pas encore disponible.
+ */
+async function getStripeActualFee(paymentIntentId, currency) {
+  if (!paymentIntentId) return null;
+  try {
+    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId, {
+      expand: ["latest_charge.balance_transaction"],
+    });
+    const balanceTransaction = paymentIntent.latest_charge && paymentIntent.latest_charge.balance_transaction;
+    if (!balanceTransaction || typeof balanceTransaction === "string") return null;
+
+    const settlementFee = fromStripeAmount(balanceTransaction.fee, balanceTransaction.currency);
+    const sameCurrency = normalizeCurrency(balanceTransaction.currency) === normalizeCurrency(currency);
+    if (!sameCurrency && !balanceTransaction.exchange_rate) return null;
+
+    return {
+      fee: roundMoney(sameCurrency ? settlementFee : settlementFee / balanceTransaction.exchange_rate, currency),
+      settlementFee,
+      settlementCurrency: normalizeCurrency(balanceTransaction.currency),
+      balanceTransactionId: balanceTransaction.id,
+    };
+  } catch (e) {
+    console.error("Could not retrieve Stripe fee for", paymentIntentId, e.message);
+    return null;
+  }
+}
+
+/**
+ * Remplace le frais Stripe estimé d'une commande par le frais réel (politique STRIPE_FEE_POLICY: écart au vendeur).
+ * Corrige en une transaction la commande, sa transaction "sale", le solde vendeur,
+ * le revenu produit/bundle et userStats.
+ * Retourne l'écart appliqué (positif = frais réels plus élevés que l'estimation).
+ */
+async function applyActualStripeFee(orderRef, actualFee) {
+  return db.runTransaction(async (tx) => {
+    const orderDoc = await tx.get(orderRef);
+    if (!orderDoc.exists || orderDoc.data().stripeFeeSource === "balance_transaction") return 0;
+    const order = orderDoc.data();
+
+    const itemRef = db.collection(order.bundleId ? "bundles" : "products").doc(order.bundleId || order.productId);
+    const [saleSnap, itemDoc] = await Promise.all([
+      tx.get(db.collection("transactions").where("orderId", "==", orderRef.id).where("type", "==", "sale").limit(1)),
+      tx.get(itemRef),
+    ]);
+
+    const currency = normalizeCurrency(order.currency);
+    const delta = roundMoney(actualFee.fee - Number(order.stripeFee || 0), currency);
+    const sellerAmount = roundMoney(Number(order.sellerAmount || 0) - delta, currency);
+
+    tx.update(orderRef, {
+      stripeFee: actualFee.fee,
+      stripeFeeEstimate: Number(order.stripeFee || 0),
+      stripeFeeSource: "balance_transaction",
+      stripeFeePolicy: STRIPE_FEE_POLICY,
+      stripeBalanceTransaction: actualFee.balanceTransactionId,
+      sellerAmount,
+      feeReconciledAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    if (!saleSnap.empty) {
+      tx.update(saleSnap.docs[0].ref, {
+        stripeFee: actualFee.fee,
+        stripeFeeSource: "balance_transaction",
+        amount: sellerAmount,
+      });
+    }
+
+    if (delta !== 0) {
+      postLedgerEntry(tx, {
+        id: `fee_${orderRef.id}`,
+        userId: order.sellerUid,
+        currency,
+        type: "fee_adjustment",
+        orderId: orderRef.id,
+        description: `Stripe fee ${order.stripeFee} (estimate) → ${actualFee.fee}`,
+        lines: [
+          { account: getOrderLedgerAccount(order), amount: -delta },
+          { account: "processor_fees", amount: delta },
         ],
-        customer_email: sessionDoc.data().email || undefined,
-        success_url: successReturn,
-        cancel_url: cancelReturn,
-        metadata,
       });
+      // Le produit (ou bundle) peut déjà avoir été purgé
+      if (itemDoc.exists) tx.update(itemRef, { revenue: admin.firestore.FieldValue.increment(-delta) });
+      tx.set(
+        db.collection("userStats").doc(order.sellerUid),
+        {
+          revenueCount: admin.firestore.FieldValue.increment(-delta),
+          lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+        },
+        { merge: true }
+      );
+    }
 
-      // On stocke l’id stripeSessionId
-      await db.collection("paymentSessions").doc(sessionId).update({
-        stripeSessionId: session.id,
-        stripeStatus: "created",
+    return delta;
+  });
+}
+
+/**
+ * Livraison d'une session Checkout payée: commande, compteurs produit/bundle, solde vendeur, transaction,
+ * userStats, coupon et paymentSession écrits dans une seule transaction Firestore, avec un enregistrement
+ * processedStripeEvents (clé = id de session Stripe) qui rend la livraison exactly-once.
+ * Plafond maxRedemptions du coupon vérifié dans cette transaction (resolveCoupon ne le vérifie qu'à l'ouverture
+ * du checkout): paiements parallèles au-delà du plafond remboursés (coupon_limit_reached).
+ * Les emails acheteur / vendeur partent après le commit. Commande non livrable: remboursement automatique.
+ */
+async function fulfillCheckoutSession(session, { eventId, eventType }) {
+  // Capture PayPal Checkout passée au même format (voir capturePaypalOrder): session.gateway === "paypal"
+  const isPaypal = session.gateway === "paypal";
+  const appSessionId = session.metadata?.app_session_id;
+  const productId = session.metadata?.app_product_id || null;
+  const bundleId = session.metadata?.app_bundle_id || null;
+  const sellerUid = session.metadata?.app_seller_uid;
+  const productTitle = session.metadata?.app_product_title || "Product";
+  const buyerEmail = session.customer_details?.email || session.customer_email;
+
+  // Contexte commun aux remboursements automatiques (commande payée mais non livrable)
+  const failureContext = { appSessionId, productId, bundleId, sellerUid, productTitle };
+
+  if (!appSessionId || (!productId && !bundleId) || !sellerUid || !buyerEmail) {
+    console.error("Missing metadata for fulfillment", session.id);
+    await refundUnfulfilledSession(session, "missing_metadata", failureContext);
+    return;
+  }
+
+  // Idempotence: session déjà livrée (processedStripeEvents) ou déjà complétée / remboursée
+  const processedRef = db.collection(isPaypal ? "processedPaypalOrders" : "processedStripeEvents").doc(session.id);
+  if ((await processedRef.get()).exists) return;
+
+  const paymentSessionRef = db.collection("paymentSessions").doc(appSessionId);
+  const paymentSessionDoc = await paymentSessionRef.get();
+  if (!paymentSessionDoc.exists) {
+    console.error("Payment session not found:", appSessionId);
+    await refundUnfulfilledSession(session, "session_not_found", failureContext);
+    return;
+  }
+  // Session déjà livrée ou remboursée par un autre paiement (deux sessions Checkout, ou Stripe + PayPal):
+  // ce paiement-ci n'a pas été traité (processedRef absent), il est remboursé
+  if (paymentSessionDoc.data().completed || getPaymentSessionStatus(paymentSessionDoc.data()) === "refunded") {
+    await refundUnfulfilledSession(session, "duplicate_payment", failureContext);
+    return;
+  }
+
+  // Valider produit (ou bundle et tous ses produits) et non expiré
+  const purchasable = await loadPurchasable({ productId, bundleId });
+  if (purchasable.error) {
+    console.warn("Product unavailable at fulfillment:", bundleId || productId, purchasable.error);
+    await refundUnfulfilledSession(session, "product_unavailable", {
+      ...failureContext,
+      detail: purchasable.error,
+    });
+    return;
+  }
+  const product = purchasable.item;
+  const includedProductIds = purchasable.products.map((p) => p.id);
+
+  // Fichiers présents ?
+  const includedFiles = purchasable.products.flatMap((p) => getProductFiles(p));
+  for (const file of includedFiles) {
+    const [fileExists] = await bucket.file(file.path).exists();
+    if (!fileExists) {
+      console.error("Product file missing at fulfillment:", file.path);
+      await refundUnfulfilledSession(session, "product_file_missing", { ...failureContext, detail: file.path });
+      return;
+    }
+  }
+
+  // Calculs frais identiques à PayPal (commission plateforme + approx frais Stripe)
+  const currency = normalizeCurrency(session.currency || product.currency);
+  // Prix réellement payé (remise éventuelle incluse): base des frais et de la commission
+  const listPrice = Number(product.price);
+  const productPrice =
+    session.amount_total !== undefined && session.amount_total !== null
+      ? fromStripeAmount(session.amount_total, currency)
+      : listPrice;
+  const couponId = session.metadata?.app_coupon_id || null;
+  const discountAmount = couponId ? Math.max(0, Math.round((listPrice - productPrice) * 100) / 100) : 0;
+  // Frais Stripe réels (balance transaction), sinon estimation corrigée plus tard par reconcileStripeFees.
+  // PayPal: frais réel lu sur la capture (seller_receivable_breakdown.paypal_fee)
+  const paypalFee = isPaypal ? roundMoney(session.paypalFee || 0, currency) : 0;
+  const actualFee = isPaypal ? null : await getStripeActualFee(session.payment_intent, currency);
+  const stripeFee = isPaypal ? 0 : actualFee ? actualFee.fee : estimateStripeFee(productPrice, currency);
+  const stripeFeeSource = isPaypal ? null : actualFee ? "balance_transaction" : "estimate";
+
+  // Commission propre au vendeur (override admin, plan ou volume 30 jours), règle tracée sur la commande
+  const sellerDoc = await db.collection("users").doc(sellerUid).get();
+  const commissionPolicy = getCommissionPolicy(sellerDoc.exists ? sellerDoc.data() : null);
+  const monetizeltCommission = productPrice * commissionPolicy.rate;
+  const sellerAmount = productPrice - stripeFee - paypalFee - monetizeltCommission;
+
+  // Rétention: la part vendeur va dans pendingBalance jusqu'à fundsReleaseAt (releaseHeldFunds)
+  const holdDays = getFundsHoldDays(sellerDoc.exists ? sellerDoc.data() : null);
+  const fundsHeld = holdDays > 0;
+  const fundsReleaseAt = fundsHeld ? admin.firestore.Timestamp.fromMillis(Date.now() + holdDays * 86400000) : null;
+
+  const accessToken = generateUniqueAccessToken();
+  // On n'a pas le userAgent ici: deviceInfo minimal
+  const deviceInfo = {
+    browser: "Unknown",
+    os: "Unknown",
+    device: "Unknown",
+    userAgent: "",
+  };
+
+  // Toutes les écritures en une transaction: un rejeu de l'événement (ou une erreur à mi-chemin)
+  // ne peut pas créditer deux fois le vendeur. processedStripeEvents est la clé d'idempotence.
+  const orderRef = db.collection("orders").doc();
+  const itemRef = db.collection(bundleId ? "bundles" : "products").doc(bundleId || productId);
+  const couponRef = couponId ? db.collection("coupons").doc(couponId) : null;
+  const userStatsRef = db.collection("userStats").doc(sellerUid);
+
+  const fulfilled = await db.runTransaction(async (tx) => {
+    // Lectures (avant toute écriture)
+    const [processedSnap, sessionSnap, userStatsDoc, couponDoc] = await Promise.all([
+      tx.get(processedRef),
+      tx.get(paymentSessionRef),
+      tx.get(userStatsRef),
+      couponRef ? tx.get(couponRef) : Promise.resolve(null),
+    ]);
+    if (processedSnap.exists || !sessionSnap.exists) return false;
+    if (sessionSnap.data().completed) return "duplicate_payment";
+    if (couponDoc && couponDoc.exists) {
+      const coupon = couponDoc.data();
+      if (coupon.maxRedemptions && Number(coupon.redemptionCount || 0) >= Number(coupon.maxRedemptions)) {
+        return "coupon_limit_reached";
+      }
+    }
+
+    tx.set(orderRef, {
+      productId,
+      bundleId,
+      productIds: includedProductIds,
+      productTitle,
+      buyerEmail,
+      sellerUid,
+      stripeSessionId: isPaypal ? null : session.id,
+      stripePaymentIntent: session.payment_intent || null,
+      paypalOrderId: isPaypal ? session.id : null,
+      paypalCaptureId: isPaypal ? session.paypalCaptureId : null,
+      amount: productPrice,
+      listPrice,
+      discountAmount,
+      couponCode: session.metadata?.app_coupon_code || null,
+      currency,
+      stripeFee,
+      stripeFeeSource,
+      stripeBalanceTransaction: actualFee ? actualFee.balanceTransactionId : null,
+      paypalFee,
+      commission: monetizeltCommission,
+      commissionRate: commissionPolicy.rate,
+      commissionRule: commissionPolicy.rule,
+      commissionRuleDetail: commissionPolicy.detail,
+      sellerAmount,
+      fundsStatus: fundsHeld ? "held" : "available",
+      fundsReleaseAt,
+      status: "completed",
+      accessToken,
+      accessUrl: `https://www.g-z.online/access.html?token=${accessToken}`,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      deviceInfo,
+      gateway: isPaypal ? "paypal" : "stripe",
+    });
+
+    tx.update(itemRef, {
+      sales: admin.firestore.FieldValue.increment(1),
+      revenue: admin.firestore.FieldValue.increment(sellerAmount),
+    });
+
+    // Redemption du code promo (le coupon a pu être supprimé entre-temps)
+    if (couponDoc && couponDoc.exists) {
+      tx.update(couponRef, {
+        redemptionCount: admin.firestore.FieldValue.increment(1),
+        lastRedeemedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+    if (couponId) {
+      tx.set(db.collection("couponRedemptions").doc(), {
+        couponId,
+        code: session.metadata?.app_coupon_code || null,
+        orderId: orderRef.id,
+        productId,
+        bundleId,
+        sellerUid,
+        buyerEmail,
+        discountAmount,
+        currency,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
       });
+    }
 
-      return res.status(200).json({
-        success: true,
-        sessionId: session.id,
-        url: session.url,
+    // Vente, frais et commission en une écriture équilibrée
+    postLedgerEntry(
+      tx,
+      {
+        id: `sale_${orderRef.id}`,
+        userId: sellerUid,
+        currency,
+        type: "sale",
+        orderId: orderRef.id,
+        description: productTitle || null,
+        lines: [
+          { account: "customer_payments", amount: -productPrice },
+          { account: "processor_fees", amount: stripeFee + paypalFee },
+          { account: "platform_commission", amount: monetizeltCommission },
+          { account: fundsHeld ? "seller_pending" : "seller_available", amount: sellerAmount },
+        ],
+      },
+      { userFields: { lastSale: admin.firestore.FieldValue.serverTimestamp() } }
+    );
+
+    tx.set(db.collection("transactions").doc(), {
+      userId: sellerUid,
+      productId,
+      bundleId,
+      orderId: orderRef.id,
+      type: "sale",
+      amount: sellerAmount,
+      grossAmount: productPrice,
+      discountAmount,
+      currency,
+      stripeFee,
+      stripeFeeSource,
+      paypalFee,
+      commission: monetizeltCommission,
+      commissionRate: commissionPolicy.rate,
+      commissionRule: commissionPolicy.rule,
+      fundsStatus: fundsHeld ? "held" : "available",
+      availableAt: fundsReleaseAt,
+      date: admin.firestore.FieldValue.serverTimestamp(),
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      status: "completed",
+      buyerEmail,
+      gateway: isPaypal ? "paypal" : "stripe",
+    });
+
+    if (userStatsDoc.exists) {
+      tx.update(userStatsRef, {
+        ordersCount: admin.firestore.FieldValue.increment(1),
+        revenueCount: admin.firestore.FieldValue.increment(sellerAmount),
+        lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    } else {
+      tx.set(userStatsRef, {
+        linksCount: 1,
+        viewsCount: 0,
+        ordersCount: 1,
+        shippedCount: 0,
+        revenueCount: sellerAmount,
+        lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+
+    tx.update(paymentSessionRef, {
+      completed: true,
+      orderId: orderRef.id,
+      [isPaypal ? "paypalStatus" : "stripeStatus"]: "completed",
+    });
+
+    tx.set(processedRef, {
+      eventId,
+      eventType,
+      [isPaypal ? "paypalOrderId" : "stripeSessionId"]: session.id,
+      orderId: orderRef.id,
+      processedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return true;
+  });
+
+  if (fulfilled === "coupon_limit_reached") {
+    console.warn("Coupon usage limit reached at fulfillment:", couponId, session.id);
+    await refundUnfulfilledSession(session, "coupon_limit_reached", { ...failureContext, detail: couponId });
+    return;
+  }
+  // Paiement concurrent livré entre-temps sur la même paymentSession
+  if (fulfilled === "duplicate_payment") {
+    await refundUnfulfilledSession(session, "duplicate_payment", failureContext);
+    return;
+  }
+  // Déjà livré par un autre appel (rejeu Stripe / capture PayPal concurrente): pas de nouveaux emails
+  if (!fulfilled) return;
+
+  // Après commit: emails (un échec d'envoi ne remet pas en cause la commande)
+
+  // Email acheteur de confirmation avec lien d'accès
+  try {
+    const sgMail = require("@sendgrid/mail");
+    sgMail.setApiKey(sendgridApiKey.value());
+
+    const colors = {
+      primary: "#007bff",
+      secondary: "#20c997",
+      accent: "#6f42c1",
+      light: "#f8f9fa",
+      dark: "#000000",
+    };
+    const profileImageUrl =
+      "https://firebasestorage.googleapis.com/v0/b/monetizelt-b235d.appspot.com/o/brand%2Favatar.png?alt=media";
+
+    await sgMail.send({
+      to: buyerEmail,
+      from: { email: "noreply@g-z.online", name: "Monetizelt" },
+      subject: `Your purchase of ${productTitle} is confirmed!`,
+      html: `
+        <div style="font-family:Segoe UI,Tahoma,Geneva,Verdana,sans-serif;max-width:500px;margin:0 auto;padding:15px;background:${colors.dark};color:white;border-radius:6px;">
+          <div style="text-align:center;margin-bottom:15px;">
+            <div style="display:inline-block;width:40px;height:40px;border-radius:50%;overflow:hidden;margin-bottom:5px;">
+              <img src="${profileImageUrl}" alt="Profile" style="width:100%;height:100%;object-fit:cover;">
+            </div>
+            <p style="margin:5px 0 0 0;font-size:12px;color:#aaa;">Digital Content Marketplace</p>
+          </div>
+          <div style="background:#111;padding:15px;border-radius:10px;border-top:2px solid ${colors.primary};">
+            <h2 style="margin-top:0;font-size:16px;">Purchase Confirmed</h2>
+            <p style="font-size:14px;color:#ddd;line-height:1.4;">You have successfully purchased <strong>${productTitle}</strong>.</p>
+            <div style="margin:15px 0;padding:10px;background:#222;border-radius:10px;border-left:3px solid ${colors.primary};">
+              <p style="margin:5px 0;"><strong>Product:</strong> ${productTitle}</p>
+              <p style="margin:5px 0;"><strong>Price:</strong> ${formatMoney(productPrice, currency)}</p>
+            </div>
+            <p style="font-size:14px;color:#ddd;line-height:1.4;">To access your content, click the button below:</p>
+            <div style="text-align:center;margin-top:15px;">
+              <a href="https://www.g-z.online/access.html?token=${accessToken}" style="background:${colors.primary};color:white;padding:8px 16px;text-decoration:none;border-radius:10px;font-weight:bold;display:inline-block;font-size:14px;">Access Content</a>
+            </div>
+            <p style="font-size:12px;color:#999;line-height:1.4;margin-top:15px;">This link is unique to you and should not be shared.</p>
+          </div>
+          <div style="margin-top:15px;font-size:11px;color:#777;text-align:center;">© ${new Date().getFullYear()} Monetizelt</div>
+        </div>
+      `,
+    });
+  } catch (e) {
+    console.error("Error sending buyer confirmation email:", e.message);
+  }
+
+  // Email vendeur
+  try {
+    const sellerDoc = await db.collection("users").doc(sellerUid).get();
+    const sellerEmail = sellerDoc.exists ? sellerDoc.data().email : null;
+    if (sellerEmail && isEmail(sellerEmail)) {
+      await sendEmailNotification("sale_notification", {
+        sellerEmail,
+        productTitle,
+        amount: productPrice,
+        currency,
+        sellerAmount,
       });
+    }
+  } catch (e) {
+    console.error("Error sending seller sale_notification:", e.message);
+  }
+}
+
+/**
+ * Met à jour paymentSessions.stripeStatus pour une session Checkout non livrée
+ * (processing: paiement différé en attente, failed: paiement différé refusé, expired: checkout abandonné).
+ * Sans effet sur une session déjà livrée ou remboursée.
+ */
+async function markCheckoutSessionStatus(session, stripeStatus, extra = {}) {
+  const appSessionId = session.metadata?.app_session_id;
+  if (!appSessionId) return;
+
+  const paymentSessionRef = db.collection("paymentSessions").doc(appSessionId);
+  const paymentSessionDoc = await paymentSessionRef.get();
+  if (!paymentSessionDoc.exists) return;
+  const current = paymentSessionDoc.data();
+  if (current.completed || ["refunded", "refund_failed"].includes(current.stripeStatus)) return;
+
+  await paymentSessionRef.update({
+    stripeStatus,
+    stripeSessionId: session.id,
+    stripePaymentStatus: session.payment_status || null,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    ...extra,
+  });
+}
+
+/**
+ * Webhook Stripe: fulfillment après paiement réglé + remboursements / litiges
+ * Écoute: checkout.session.completed, checkout.session.async_payment_succeeded,
+ * checkout.session.async_payment_failed, checkout.session.expired,
+ * charge.refunded, charge.dispute.created, charge.dispute.closed
+ * Remarque: on utilise raw body pour vérifier la signature.
+ */
+exports.stripeWebhook = onRequest(
+  {
+    secrets: [stripeSecretKey, stripeWebhookSecret, sendgridApiKey],
+    region: "us-central1",
+    memory: "256MiB",
+    cors: ["*"],
+  },
+  async (req, res) => {
+    // Stripe exige le raw body pour la signature
+    let buf;
+    try {
+      buf = await rawBodySaver(req);
+    } catch (e) {
+      console.error("Error getting raw body:", e);
+      res.status(400).send("Invalid body");
+      return;
+    }
+
+    const sig = req.get("Stripe-Signature");
+    try {
+      if (!stripe) stripe = require("stripe")(stripeSecretKey.value());
+      const event = stripe.webhooks.constructEvent(buf, sig, stripeWebhookSecret.value());
+
+      if (event.type === "checkout.session.completed") {
+        const session = event.data.object;
+        // Moyens de paiement différés (SEPA, virement...): session complétée mais fonds pas encore réglés
+        if (session.payment_status === "paid" || session.payment_status === "no_payment_required") {
+          await fulfillCheckoutSession(session, { eventId: event.id, eventType: event.type });
+        } else {
+          await markCheckoutSessionStatus(session, "processing");
+        }
+      } else if (event.type === "checkout.session.async_payment_succeeded") {
+        await fulfillCheckoutSession(event.data.object, { eventId: event.id, eventType: event.type });
+      } else if (event.type === "checkout.session.async_payment_failed") {
+        await markCheckoutSessionStatus(event.data.object, "failed", { failureReason: "async_payment_failed" });
+      } else if (event.type === "checkout.session.expired") {
+        await markCheckoutSessionStatus(event.data.object, "expired");
+      } else if (event.type === "charge.refunded") {
+        await handleChargeRefunded(event.data.object);
+      } else if (event.type === "charge.dispute.created") {
+        await handleDisputeCreated(event.data.object);
+      } else if (event.type === "charge.dispute.closed") {
+        await handleDisputeClosed(event.data.object);
+      }
+
+      res.json({ received: true });
     } catch (err) {
-      console.error("createStripeCheckoutSession error:", err);
-      return res.status(500).json({ success: false, error: err.message || "Internal error" });
+      console.error("Stripe webhook error:", err.message);
+      res.status(400).send(`Webhook Error: ${err.message}`);
     }
+  }
+);
+
+/**
+ * Capture PayPal Checkout restée en attente à la capture (capturePaypalOrder): livraison ou échec différé.
+ * custom_id de la capture = id de paymentSession.
+ */
+async function handlePaypalCaptureEvent(eventType, capture) {
+  const sessionId = capture.custom_id;
+  if (!sessionId) return;
+  const sessionRef = db.collection("paymentSessions").doc(sessionId);
+  const sessionDoc = await sessionRef.get();
+  if (!sessionDoc.exists || sessionDoc.data().completed) return;
+  const paymentSession = sessionDoc.data();
+
+  if (eventType === "PAYMENT.CAPTURE.DENIED") {
+    await sessionRef.update({ paypalStatus: "failed", updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    return;
+  }
+  const relatedIds = (capture.supplementary_data && capture.supplementary_data.related_ids) || {};
+  await fulfillPaypalCapture(sessionId, paymentSession, relatedIds.order_id || paymentSession.paypalOrderId, capture);
+}
+
+async function findOrderByPaypalCapture(captureId) {
+  if (!captureId) return null;
+  const snap = await db.collection("orders").where("paypalCaptureId", "==", captureId).limit(1).get();
+  return snap.empty ? null : snap.docs[0];
+}
+
+/**
+ * Remboursement (depuis PayPal, refundOrder ou reversal suite à un chargeback) d'une capture PayPal Checkout:
+ * même reprise que charge.refunded côté Stripe (applyOrderRefund). La ressource est le remboursement;
+ * la capture est le lien "up", le total cumulé est seller_payable_breakdown.total_refunded_amount.
+ */
+async function handlePaypalRefundEvent(eventType, refund) {
+  const upLink = (refund.links || []).find((l) => l.rel === "up");
+  const captureId = upLink ? upLink.href.split("/").pop() : null;
+  const orderDoc = await findOrderByPaypalCapture(captureId);
+  if (!orderDoc) {
+    console.warn(`No order found for PayPal ${eventType}:`, refund.id);
+    return;
+  }
+  const order = orderDoc.data();
+
+  const breakdown = refund.seller_payable_breakdown || {};
+  const totalRefunded = breakdown.total_refunded_amount || refund.amount || {};
+  const refundedTotal =
+    eventType === "PAYMENT.CAPTURE.REVERSED"
+      ? Number(order.amount || 0)
+      : roundMoney(totalRefunded.value, order.currency);
+
+  await applyOrderRefund(orderDoc, {
+    refundedTotal,
+    fullyRefunded: refundedTotal >= Number(order.amount || 0),
+    reason: eventType === "PAYMENT.CAPTURE.REVERSED" ? "paypal_reversal" : "paypal_refund",
+    refundId: refund.id,
+  });
+}
+
+/**
+ * Litige PayPal (CUSTOMER.DISPUTE.CREATED / RESOLVED) sur une capture Checkout: même traitement que les
+ * litiges Stripe. Issue favorable au vendeur: RESOLVED_SELLER_FAVOUR, CANCELED_BY_BUYER ou DENIED.
+ */
+async function handlePaypalDisputeEvent(eventType, dispute) {
+  const captureIds = (dispute.disputed_transactions || []).map((t) => t.seller_transaction_id).filter(Boolean);
+  let orderDoc = null;
+  for (const captureId of captureIds) {
+    orderDoc = await findOrderByPaypalCapture(captureId);
+    if (orderDoc) break;
+  }
+  if (!orderDoc) {
+    console.warn(`No order found for PayPal dispute ${dispute.dispute_id}`);
+    return;
+  }
+
+  if (eventType === "CUSTOMER.DISPUTE.CREATED") {
+    await applyDisputeOpened(orderDoc, {
+      disputeId: dispute.dispute_id,
+      status: dispute.status || null,
+      reason: dispute.reason || null,
+    });
+    return;
+  }
+  const outcome = (dispute.dispute_outcome && dispute.dispute_outcome.outcome_code) || null;
+  await applyDisputeClosed(orderDoc, {
+    disputeId: dispute.dispute_id,
+    won: ["RESOLVED_SELLER_FAVOUR", "CANCELED_BY_BUYER", "DENIED"].includes(outcome),
+    status: outcome || dispute.status || "resolved",
   });
-});
+}
 
 /**
- * Webhook Stripe: fulfillment après paiement réussi
- * Écoute: checkout.session.completed
- * Remarque: on utilise raw body pour vérifier la signature.
+ * Webhook PayPal: issue réelle de chaque item de payout (succès, échec, retour, non réclamé...)
+ * et cycle de vie des paiements PayPal Checkout (capture différée, remboursement, reversal, litige).
+ * Écoute: PAYMENT.PAYOUTS-ITEM.* (SUCCEEDED, FAILED, BLOCKED, DENIED, CANCELED, REFUNDED, RETURNED,
+ * UNCLAIMED, HELD), PAYMENT.CAPTURE.COMPLETED, PAYMENT.CAPTURE.DENIED, PAYMENT.CAPTURE.REFUNDED,
+ * PAYMENT.CAPTURE.REVERSED, CUSTOMER.DISPUTE.CREATED, CUSTOMER.DISPUTE.RESOLVED.
+ * Signature vérifiée auprès de PayPal avec PAYPAL_WEBHOOK_ID.
+ * Rejouable: chaque événement est tracé dans paypalWebhookEvents et settlePayout ne s'applique qu'une fois.
  */
-exports.stripeWebhook = onRequest(
+exports.paypalPayoutsWebhook = onRequest(
   {
-    secrets: [stripeSecretKey, stripeWebhookSecret],
+    secrets: [paypalClientId, paypalClientSecret, paypalWebhookId, sendgridApiKey],
     region: "us-central1",
     memory: "256MiB",
-    cors: ["*"],
   },
   async (req, res) => {
-    // Stripe exige le raw body pour la signature
-    let buf;
+    let event;
     try {
-      buf = await rawBodySaver(req);
+      const buf = await rawBodySaver(req);
+      event = JSON.parse(buf.toString("utf8"));
     } catch (e) {
-      console.error("Error getting raw body:", e);
+      console.error("Error parsing PayPal webhook body:", e);
       res.status(400).send("Invalid body");
       return;
     }
 
-    const sig = req.get("Stripe-Signature");
     try {
-      if (!stripe) stripe = require("stripe")(stripeSecretKey.value());
-      const event = stripe.webhooks.constructEvent(buf, sig, stripeWebhookSecret.value());
+      if (!(await verifyPaypalWebhookSignature(req, event))) {
+        console.warn(`PayPal webhook ${event.id} rejected: invalid signature`);
+        res.status(400).send("Invalid signature");
+        return;
+      }
 
-      if (event.type === "checkout.session.completed") {
-        const session = event.data.object;
+      const eventRef = db.collection("paypalWebhookEvents").doc(String(event.id));
+      if ((await eventRef.get()).exists) {
+        res.json({ received: true, duplicate: true });
+        return;
+      }
 
-        const appSessionId = session.metadata?.app_session_id;
-        const productId = session.metadata?.app_product_id;
-        const sellerUid = session.metadata?.app_seller_uid;
-        const productTitle = session.metadata?.app_product_title || "Product";
-        const buyerEmail = session.customer_details?.email || session.customer_email;
+      if (String(event.event_type || "").startsWith("PAYMENT.PAYOUTS-ITEM.")) {
+        await handlePaypalPayoutItemEvent(event.resource || {});
+      } else if (["PAYMENT.CAPTURE.COMPLETED", "PAYMENT.CAPTURE.DENIED"].includes(event.event_type)) {
+        await handlePaypalCaptureEvent(event.event_type, event.resource || {});
+      } else if (["PAYMENT.CAPTURE.REFUNDED", "PAYMENT.CAPTURE.REVERSED"].includes(event.event_type)) {
+        await handlePaypalRefundEvent(event.event_type, event.resource || {});
+      } else if (["CUSTOMER.DISPUTE.CREATED", "CUSTOMER.DISPUTE.RESOLVED"].includes(event.event_type)) {
+        await handlePaypalDisputeEvent(event.event_type, event.resource || {});
+      }
 
-        if (!appSessionId || !productId || !sellerUid || !buyerEmail) {
-          console.error("Missing metadata for fulfillment", session.id);
-          res.json({ received: true });
-          return;
-        }
+      await eventRef.set({
+        eventType: event.event_type || null,
+        resourceId:
+          (event.resource && (event.resource.payout_item_id || event.resource.dispute_id || event.resource.id)) || null,
+        receivedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      res.json({ received: true });
+    } catch (err) {
+      // 500 → PayPal renvoie l'événement plus tard
+      console.error("PayPal webhook error:", err.message);
+      res.status(500).send(`Webhook Error: ${err.message}`);
+    }
+  }
+);
 
-        // Idempotence: vérifier si déjà complété
-        const paymentSessionRef = db.collection("paymentSessions").doc(appSessionId);
-        const paymentSessionDoc = await paymentSessionRef.get();
-        if (!paymentSessionDoc.exists) {
-          console.error("Payment session not found:", appSessionId);
-          res.json({ received: true });
-          return;
-        }
-        if (paymentSessionDoc.data().completed) {
-          res.json({ received: true });
-          return;
-        }
+/**
+ * Statut d'une commande au retour de Stripe Checkout (polling depuis product.html).
+ * Requiert: sessionId = id paymentSessions (issu de collectBuyerEmail) ou id de session Stripe (cs_...).
+ * Statuts: pending (webhook pas encore reçu), processing (paiement différé), completed (accessUrl fourni),
+ * expired (checkout.session.expired), failed, refunded.
+ * Pas de délai côté serveur: après N réponses pending, product.html affiche un état d'attente (lien par email).
+ */
+exports.getOrderStatus = onRequest({}, async (req, res) => {
+  // Preflight
+  res.set("Access-Control-Allow-Origin", "*");
+  res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  if (req.method === "OPTIONS") {
+    res.status(204).send("");
+    return;
+  }
 
-        // Valider produit et non expiré
-        const productDoc = await db.collection("products").doc(productId).get();
-        if (!productDoc.exists) {
-          console.error("Product not found:", productId);
-          res.json({ received: true });
-          return;
-        }
-        const product = productDoc.data();
-        if (product.expiresAt && product.expiresAt.toDate() < new Date()) {
-          console.warn("Product expired at fulfillment:", productId);
-          res.json({ received: true });
-          return;
-        }
+  return corsMiddleware(req, res, async () => {
+    try {
+      const sessionId = req.query.sessionId || (req.body || {}).sessionId;
+      if (!sessionId) return res.status(400).json({ success: false, error: "Missing sessionId" });
+
+      // Session applicative, sinon recherche par id de session Stripe
+      let sessionDoc = await db.collection("paymentSessions").doc(String(sessionId)).get();
+      if (!sessionDoc.exists) {
+        const byStripeSnap = await db
+          .collection("paymentSessions")
+          .where("stripeSessionId", "==", String(sessionId))
+          .limit(1)
+          .get();
+        if (byStripeSnap.empty)
+          return res.status(404).json({ success: false, found: false, error: "Session not found" });
+        sessionDoc = byStripeSnap.docs[0];
+      }
 
-        // Fichier présent ?
-        const productFile = bucket.file(product.filePath);
-        const [fileExists] = await productFile.exists();
-        if (!fileExists) {
-          console.error("Product file missing at fulfillment:", product.filePath);
-          res.json({ received: true });
-          return;
+      const session = sessionDoc.data();
+      const paymentStatus = getPaymentSessionStatus(session);
+
+      if (session.completed && session.orderId) {
+        const orderDoc = await db.collection("orders").doc(session.orderId).get();
+        if (orderDoc.exists) {
+          const order = orderDoc.data();
+          return res.status(200).json({
+            success: true,
+            found: true,
+            status: "completed",
+            orderId: orderDoc.id,
+            productId: order.productId,
+            productTitle: order.productTitle,
+            accessUrl: order.accessUrl,
+          });
         }
+      }
 
-        // Calculs frais identiques à PayPal (commission plateforme + approx frais Stripe)
-        const productPrice = Number(product.price);
-        // Stripe fee estimé (varie) — tu peux adapter à tes relevés: ~2.9% + $0.30 US
-        const STRIPE_FEE_RATE = 0.029;
-        const STRIPE_FEE_FIXED = 0.3;
-        const stripeFee = productPrice * STRIPE_FEE_RATE + STRIPE_FEE_FIXED;
-        const monetizeltCommission = productPrice * PLATFORM_RATE;
-        const sellerAmount = productPrice - stripeFee - monetizeltCommission;
-
-        const accessToken = generateUniqueAccessToken();
-        // On n'a pas le userAgent ici: deviceInfo minimal
-        const deviceInfo = {
-          browser: "Unknown",
-          os: "Unknown",
-          device: "Unknown",
-          userAgent: "",
-        };
+      if (paymentStatus === "failed") {
+        return res.status(200).json({ success: false, found: true, status: "failed", error: "Payment failed" });
+      }
 
-        const orderRef = await db.collection("orders").add({
-          productId,
-          productTitle,
-          buyerEmail,
-          sellerUid,
-          stripeSessionId: session.id,
-          stripePaymentIntent: session.payment_intent || null,
-          amount: productPrice,
-          stripeFee,
-          commission: monetizeltCommission,
-          sellerAmount,
-          status: "completed",
-          accessToken,
-          accessUrl: `https://www.g-z.online/access.html?token=${accessToken}`,
-          createdAt: admin.firestore.FieldValue.serverTimestamp(),
-          deviceInfo,
-          gateway: "stripe",
+      // Paiement reçu mais commande non livrable: remboursé automatiquement
+      if (paymentStatus === "refunded" || paymentStatus === "refund_failed") {
+        return res.status(200).json({
+          success: false,
+          found: true,
+          status: "refunded",
+          reason: session.refundReason || null,
+          error:
+            paymentStatus === "refunded"
+              ? "Your order could not be delivered and your payment has been refunded."
+              : "Your order could not be delivered. Please contact support for your refund.",
         });
+      }
 
-        await db.collection("products").doc(productId).update({
-          sales: admin.firestore.FieldValue.increment(1),
-          revenue: admin.firestore.FieldValue.increment(sellerAmount),
+      // Paiement différé en cours de règlement: pas de délai max, l'accès est envoyé par email à la livraison
+      if (paymentStatus === "processing") {
+        return res.status(200).json({
+          success: false,
+          found: true,
+          status: "processing",
+          message: "Your payment is being processed. You will receive your access link by email once it clears.",
+          retryAfterMs: ORDER_STATUS_POLL_MS * 5,
         });
+      }
 
-        await db
-          .collection("users")
-          .doc(sellerUid)
-          .set(
-            { balance: admin.firestore.FieldValue.increment(sellerAmount), lastSale: admin.firestore.FieldValue.serverTimestamp() },
-            { merge: true }
-          );
-
-        await db.collection("transactions").add({
-          userId: sellerUid,
-          productId,
-          orderId: orderRef.id,
-          type: "sale",
-          amount: sellerAmount,
-          grossAmount: productPrice,
-          stripeFee,
-          commission: monetizeltCommission,
-          date: admin.firestore.FieldValue.serverTimestamp(),
-          createdAt: admin.firestore.FieldValue.serverTimestamp(),
-          status: "completed",
-          buyerEmail,
-          gateway: "stripe",
+      // Expiration signalée par Stripe (checkout.session.expired) uniquement: aucun délai côté serveur,
+      // un acheteur resté longtemps sur Stripe Checkout ou PayPal ne doit pas voir "expired" avant le webhook
+      if (paymentStatus === "expired") {
+        return res.status(200).json({
+          success: false,
+          found: true,
+          status: "expired",
+          error: "Payment confirmation not received in time. If you were charged, please contact support.",
         });
+      }
 
-        const userStatsRef = db.collection("userStats").doc(sellerUid);
-        const userStatsDoc = await userStatsRef.get();
-        if (userStatsDoc.exists) {
-          await userStatsRef.update({
-            ordersCount: admin.firestore.FieldValue.increment(1),
-            revenueCount: admin.firestore.FieldValue.increment(sellerAmount),
-            lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
-          });
-        } else {
-          await userStatsRef.set({
-            linksCount: 1,
-            viewsCount: 0,
-            ordersCount: 1,
-            shippedCount: 0,
-            revenueCount: sellerAmount,
-            lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
-          });
-        }
+      // Webhook pas encore arrivé: le client doit réessayer
+      return res.status(200).json({
+        success: false,
+        found: true,
+        status: "pending",
+        retryAfterMs: ORDER_STATUS_POLL_MS,
+      });
+    } catch (err) {
+      console.error("getOrderStatus error:", err);
+      return res.status(500).json({ success: false, error: err.message || "Internal error" });
+    }
+  });
+});
 
-        await paymentSessionRef.update({
-          completed: true,
-          orderId: orderRef.id,
-          stripeStatus: "completed",
-        });
+/**
+ * Remboursement initié par le vendeur (total ou partiel) via le PaymentIntent Stripe de la commande.
+ * Requiert: orderId, amount optionnel (défaut: reste remboursable).
+ * Le webhook charge.refunded qui suit est ignoré grâce à orders.refundedAmount.
+ */
+exports.refundOrder = onRequest(
+  { secrets: [stripeSecretKey, paypalClientId, paypalClientSecret, sendgridApiKey] },
+  async (req, res) => {
+    // Preflight
+    res.set("Access-Control-Allow-Origin", "*");
+    res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+    res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
+    if (req.method === "OPTIONS") {
+      res.status(204).send("");
+      return;
+    }
 
-        // Email acheteur de confirmation avec lien d'accès
+    return corsMiddleware(req, res, () =>
+      authenticateSeller(req, res, async () => {
         try {
-          const sgMail = require("@sendgrid/mail");
-          sgMail.setApiKey(sendgridApiKey.value());
-
-          const colors = {
-            primary: "#007bff",
-            secondary: "#20c997",
-            accent: "#6f42c1",
-            light: "#f8f9fa",
-            dark: "#000000",
-          };
-          const profileImageUrl =
-            "https://firebasestorage.googleapis.com/v0/b/monetizelt-b235d.appspot.com/o/brand%2Favatar.png?alt=media";
-
-          await sgMail.send({
-            to: buyerEmail,
-            from: { email: "noreply@g-z.online", name: "Monetizelt" },
-            subject: `Your purchase of ${productTitle} is confirmed!`,
-            html: `
-              <div style="font-family:Segoe UI,Tahoma,Geneva,Verdana,sans-serif;max-width:500px;margin:0 auto;padding:15px;background:${colors.dark};color:white;border-radius:6px;">
-                <div style="text-align:center;margin-bottom:15px;">
-                  <div style="display:inline-block;width:40px;height:40px;border-radius:50%;overflow:hidden;margin-bottom:5px;">
-                    <img src="${profileImageUrl}" alt="Profile" style="width:100%;height:100%;object-fit:cover;">
-                  </div>
-                  <p style="margin:5px 0 0 0;font-size:12px;color:#aaa;">Digital Content Marketplace</p>
-                </div>
-                <div style="background:#111;padding:15px;border-radius:10px;border-top:2px solid ${colors.primary};">
-                  <h2 style="margin-top:0;font-size:16px;">Purchase Confirmed</h2>
-                  <p style="font-size:14px;color:#ddd;line-height:1.4;">You have successfully purchased <strong>${productTitle}</strong>.</p>
-                  <div style="margin:15px 0;padding:10px;background:#222;border-radius:10px;border-left:3px solid ${colors.primary};">
-                    <p style="margin:5px 0;"><strong>Product:</strong> ${productTitle}</p>
-                    <p style="margin:5px 0;"><strong>Price:</strong> $${productPrice.toFixed(2)}</p>
-                  </div>
-                  <p style="font-size:14px;color:#ddd;line-height:1.4;">To access your content, click the button below:</p>
-                  <div style="text-align:center;margin-top:15px;">
-                    <a href="https://www.g-z.online/access.html?token=${accessToken}" style="background:${colors.primary};color:white;padding:8px 16px;text-decoration:none;border-radius:10px;font-weight:bold;display:inline-block;font-size:14px;">Access Content</a>
-                  </div>
-                  <p style="font-size:12px;color:#999;line-height:1.4;margin-top:15px;">This link is unique to you and should not be shared.</p>
-                </div>
-                <div style="margin-top:15px;font-size:11px;color:#777;text-align:center;">© ${new Date().getFullYear()} Monetizelt</div>
-              </div>
-            `,
+          if (!stripe) stripe = require("stripe")(stripeSecretKey.value());
+
+          const uid = req.uid;
+          const { orderId, amount } = req.body || {};
+          if (!orderId) return res.status(400).json({ success: false, error: "Missing orderId" });
+
+          const orderRef = db.collection("orders").doc(orderId);
+          const orderDoc = await orderRef.get();
+          if (!orderDoc.exists) return res.status(404).json({ success: false, error: "Order not found" });
+
+          const order = orderDoc.data();
+          if (order.sellerUid !== uid) return res.status(403).json({ success: false, error: "Forbidden" });
+          const isPaypal = order.gateway === "paypal";
+          if (isPaypal ? !order.paypalCaptureId : !order.stripePaymentIntent)
+            return res.status(400).json({ success: false, error: "Order has no payment to refund" });
+          if (["refunded", "disputed", "chargeback"].includes(order.status)) {
+            return res
+              .status(400)
+              .json({ success: false, error: `Order cannot be refunded (status: ${order.status})` });
+          }
+
+          const alreadyRefunded = Number(order.refundedAmount || 0);
+          const refundable = Math.round((Number(order.amount || 0) - alreadyRefunded) * 100) / 100;
+          const refundAmount =
+            amount === undefined || amount === null ? refundable : Math.round(parseFloat(amount) * 100) / 100;
+
+          if (!(refundAmount > 0)) return res.status(400).json({ success: false, error: "Invalid refund amount" });
+          if (refundAmount > refundable) {
+            return res.status(400).json({
+              success: false,
+              error: `Refund exceeds refundable amount (${formatMoney(refundable, order.currency)})`,
+            });
+          }
+
+          const refund = isPaypal
+            ? await refundPaypalCapture(
+                order.paypalCaptureId,
+                refundAmount,
+                order.currency,
+                `seller-refund-${orderId}-${alreadyRefunded}`
+              )
+            : await stripe.refunds.create(
+                {
+                  payment_intent: order.stripePaymentIntent,
+                  amount: toStripeAmount(refundAmount, order.currency),
+                  reason: "requested_by_customer",
+                  metadata: { app_order_id: orderId, app_seller_uid: uid, initiated_by: "seller" },
+                },
+                // Double envoi du même remboursement (même montant déjà remboursé) → un seul refund Stripe
+                { idempotencyKey: `seller-refund-${orderId}-${alreadyRefunded}` }
+              );
+
+          const refundedTotal = Math.round((alreadyRefunded + refundAmount) * 100) / 100;
+          const fullRefund = refundedTotal >= Number(order.amount || 0);
+
+          // Relecture: le webhook charge.refunded a pu passer entre-temps
+          await applyOrderRefund(await orderRef.get(), {
+            refundedTotal,
+            fullyRefunded: fullRefund,
+            reason: "seller_refund",
+            refundId: refund.id,
           });
-        } catch (e) {
-          console.error("Error sending buyer confirmation email:", e.message);
-        }
 
-        // Email vendeur
-        try {
-          const sellerDoc = await db.collection("users").doc(sellerUid).get();
-          const sellerEmail = sellerDoc.exists ? sellerDoc.data().email : null;
-          if (sellerEmail && isEmail(sellerEmail)) {
-            await sendEmailNotification("sale_notification", {
-              sellerEmail,
-              productTitle,
-              amount: productPrice,
-              sellerAmount,
+          if (order.buyerEmail && isEmail(order.buyerEmail)) {
+            await sendEmailNotification("refund_notification", {
+              buyerEmail: order.buyerEmail,
+              productTitle: order.productTitle || "Your purchase",
+              refundAmount,
+              amount: order.amount,
+              currency: order.currency,
+              fullRefund,
             });
           }
-        } catch (e) {
-          console.error("Error sending seller sale_notification:", e.message);
-        }
-      }
 
-      res.json({ received: true });
-    } catch (err) {
-      console.error("Stripe webhook error:", err.message);
-      res.status(400).send(`Webhook Error: ${err.message}`);
-    }
+          return res.status(200).json({
+            success: true,
+            refundId: refund.id,
+            refundAmount,
+            refundedTotal,
+            currency: normalizeCurrency(order.currency),
+            status: fullRefund ? "refunded" : "partially_refunded",
+          });
+        } catch (err) {
+          console.error("refundOrder error:", err);
+          return res.status(500).json({ success: false, error: err.message || "Internal error" });
+        }
+      })
+    );
   }
 );
 
@@ -2352,6 +6846,13 @@ exports.accessContent = onRequest({}, async (req, res) => {
         });
 
       const order = ordersSnap.docs[0].data();
+      if (order.accessRevoked)
+        return res.status(403).json({
+          success: false,
+          error: "Access to this content has been revoked following a refund or dispute.",
+          revoked: true,
+        });
+
       const deviceInfo = extractDeviceInfo(userAgent);
       const originalDevice = order.deviceInfo || {};
       const isSameDevice =
@@ -2372,26 +6873,51 @@ exports.accessContent = onRequest({}, async (req, res) => {
         });
       }
 
-      const productDoc = await db.collection("products").doc(order.productId).get();
-      if (!productDoc.exists) return res.status(404).json({ success: false, error: "Product not found" });
-      const product = productDoc.data();
+      // Produits débloqués par la commande: un seul, ou tous ceux du bundle
+      const includedIds = order.productIds && order.productIds.length ? order.productIds : [order.productId];
+      const productDocs = await Promise.all(includedIds.map((id) => db.collection("products").doc(id).get()));
+      const products = productDocs.filter((d) => d.exists).map((d) => ({ id: d.id, ...d.data() }));
+      if (!products.length) return res.status(404).json({ success: false, error: "Product not found" });
 
-      // Signed read URLs (48h)
-      const productFile = bucket.file(product.filePath);
-      const [fileUrl] = await productFile.getSignedUrl({
-        action: "read",
-        expires: Date.now() + SIGNED_READ_URL_TTL_MS,
-      });
+      // Signed read URLs (7j) pour chaque fichier du manifest, dans l'ordre
+      const productFiles = await Promise.all(
+        products.map(async (product) => {
+          const [coverUrl] = await bucket.file(product.coverPath).getSignedUrl({
+            action: "read",
+            expires: Date.now() + SIGNED_READ_URL_TTL_MS,
+          });
 
-      const coverFile = bucket.file(product.coverPath);
-      const [coverUrl] = await coverFile.getSignedUrl({
-        action: "read",
-        expires: Date.now() + SIGNED_READ_URL_TTL_MS,
-      });
+          return Promise.all(
+            getProductFiles(product).map(async (file) => {
+              const [fileUrl] = await bucket.file(file.path).getSignedUrl({
+                action: "read",
+                expires: Date.now() + SIGNED_READ_URL_TTL_MS,
+              });
+              const { contentType, ext } = detectContentType(file.name);
+
+              return {
+                productId: product.id,
+                title: product.title,
+                description: product.description,
+                name: file.name,
+                size: file.size,
+                contentType,
+                fileUrl,
+                coverUrl,
+                fileExtension: ext,
+                category: product.category,
+              };
+            })
+          );
+        })
+      );
+      const files = productFiles.flat();
+      if (!files.length) return res.status(404).json({ success: false, error: "Product file not found" });
 
       await db.collection("accessLogs").add({
         orderId: ordersSnap.docs[0].id,
         productId: order.productId,
+        bundleId: order.bundleId || null,
         buyerEmail: order.buyerEmail,
         deviceInfo,
         timestamp: admin.firestore.FieldValue.serverTimestamp(),
@@ -2405,31 +6931,19 @@ exports.accessContent = onRequest({}, async (req, res) => {
 
         await db
           .collection("userStats")
-          .doc(product.uid)
+          .doc(order.sellerUid)
           .set(
             { shippedCount: admin.firestore.FieldValue.increment(1), lastUpdated: admin.firestore.FieldValue.serverTimestamp() },
             { merge: true }
           );
       }
 
-      const fileName = product.filePath.split("/").pop();
-      const ext = (fileName.split(".").pop() || "").toLowerCase();
-      let contentType = "other";
-      if (["mp3", "wav", "ogg"].includes(ext)) contentType = "audio";
-      else if (["mp4", "webm", "mov"].includes(ext)) contentType = "video";
-      else if (["pdf", "epub"].includes(ext)) contentType = "document";
-
+      // product: premier fichier (compat. access.html), files: tous les fichiers débloqués
       return res.status(200).json({
         success: true,
-        product: {
-          title: product.title,
-          description: product.description,
-          contentType,
-          fileUrl,
-          coverUrl,
-          fileExtension: ext,
-          category: product.category,
-        },
+        product: files[0],
+        files,
+        bundle: order.bundleId ? { id: order.bundleId, title: order.productTitle } : null,
       });
     } catch (err) {
       console.error("accessContent error:", err);
@@ -2448,80 +6962,81 @@ exports.getSellerStats = onRequest({}, async (req, res) => {
     return;
   }
 
-  return corsMiddleware(req, res, async () => {
-    try {
-      const uid = req.query.uid;
-      if (!uid) return res.status(400).json({ success: false, error: "Missing uid" });
-
-      const productsSnap = await db.collection("products").where("uid", "==", uid).get();
-      const productIds = productsSnap.docs.map((d) => d.id);
-
-      let orders = [];
-      if (productIds.length > 0) {
-        for (let i = 0; i < productIds.length; i += 10) {
-          const chunk = productIds.slice(i, i + 10);
-          const ordersSnap = await db.collection("orders").where("productId", "in", chunk).get();
-          orders = orders.concat(ordersSnap.docs.map((d) => d.data()));
-        }
-      }
+  return corsMiddleware(req, res, () =>
+    authenticateSeller(req, res, async () => {
+      try {
+        const uid = req.uid;
 
-      const totalSales = orders.length;
-      const totalRevenue = orders.reduce((sum, o) => sum + (o.amount || 0), 0);
-      const totalPaypalFees = orders.reduce((sum, o) => sum + (o.paypalFee || 0), 0); // legacy champs possibles
-      const totalStripeFees = orders.reduce((sum, o) => sum + (o.stripeFee || 0), 0);
-      const totalCommission = orders.reduce((sum, o) => sum + (o.commission || 0), 0);
-      const netIncome = orders.reduce((sum, o) => sum + (o.sellerAmount || 0), 0);
-      const shippedCount = orders.filter((o) => o.status === "shipped" || o.status === "delivered").length;
-
-      const productStats = {};
-      productsSnap.docs.forEach((doc) => {
-        const p = doc.data();
-        productStats[doc.id] = {
-          title: p.title,
-          sales: p.sales || 0,
-          revenue: p.revenue || 0,
-          expiresAt: p.expiresAt ? p.expiresAt.toDate() : null,
-        };
-      });
+        const productsSnap = await db.collection("products").where("uid", "==", uid).get();
+        const productIds = productsSnap.docs.map((d) => d.id);
 
-      const viewsSnap = await db.collection("productViews").where("sellerUid", "==", uid).get();
-      const totalViews = viewsSnap.size;
+        // Par vendeur (et non par produit) pour inclure les ventes de bundles
+        const ordersSnap = await db.collection("orders").where("sellerUid", "==", uid).get();
+        const orders = ordersSnap.docs.map((d) => d.data());
 
-      await db
-        .collection("userStats")
-        .doc(uid)
-        .set(
-          {
-            linksCount: productIds.length,
+        const totalSales = orders.length;
+        const totalRevenue = orders.reduce((sum, o) => sum + (o.amount || 0), 0);
+        const totalPaypalFees = orders.reduce((sum, o) => sum + (o.paypalFee || 0), 0); // legacy champs possibles
+        const totalStripeFees = orders.reduce((sum, o) => sum + (o.stripeFee || 0), 0);
+        const totalCommission = orders.reduce((sum, o) => sum + (o.commission || 0), 0);
+        const netIncome = orders.reduce((sum, o) => sum + getOrderNetSellerAmount(o), 0);
+        const shippedCount = orders.filter((o) => o.status === "shipped" || o.status === "delivered").length;
+
+        const productStats = {};
+        productsSnap.docs.forEach((doc) => {
+          const p = doc.data();
+          productStats[doc.id] = {
+            title: p.title,
+            sales: p.sales || 0,
+            revenue: p.revenue || 0,
+            expiresAt: p.expiresAt ? p.expiresAt.toDate() : null,
+          };
+        });
+
+        const viewsSnap = await db.collection("productViews").where("sellerUid", "==", uid).get();
+        const totalViews = viewsSnap.size;
+
+        // Taux effectif appliqué aux prochaines ventes
+        const userDoc = await db.collection("users").doc(uid).get();
+        const commission = formatCommissionPolicy(userDoc.exists ? userDoc.data() : null);
+
+        await db
+          .collection("userStats")
+          .doc(uid)
+          .set(
+            {
+              linksCount: productIds.length,
+              viewsCount: totalViews,
+              ordersCount: totalSales,
+              shippedCount,
+              revenueCount: netIncome,
+              lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+            },
+            { merge: true }
+          );
+
+        return res.status(200).json({
+          success: true,
+          stats: {
+            totalSales,
+            totalRevenue,
+            totalPaypalFees,
+            totalStripeFees,
+            totalCommission,
+            commission,
+            netIncome,
+            productCount: productIds.length,
+            products: productStats,
             viewsCount: totalViews,
-            ordersCount: totalSales,
             shippedCount,
-            revenueCount: netIncome,
-            lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
           },
-          { merge: true }
-        );
-
-      return res.status(200).json({
-        success: true,
-        stats: {
-          totalSales,
-          totalRevenue,
-          totalPaypalFees,
-          totalStripeFees,
-          totalCommission,
-          netIncome,
-          productCount: productIds.length,
-          products: productStats,
-          viewsCount: totalViews,
-          shippedCount,
-        },
-      });
-    } catch (err) {
-      console.error("getSellerStats error:", err);
-      return res.status(500).json({ success: false, error: err.message || "Internal error" });
-    }
-  });
+        });
+      } catch (err) {
+        console.error("getSellerStats error:", err);
+        return res.status(500).json({ success: false, error: err.message || "Internal error" });
+      }
+    })
+  );
 });
 
 /* ---- Weekly payouts via Pub/Sub (optionnel) ---- */
@@ -2529,80 +7044,15 @@ exports.getSellerStats = onRequest({}, async (req, res) => {
 exports.weeklyPayouts = onMessagePublished(
   {
     topic: "weekly-payouts-topic",
-    secrets: [paypalClientId, paypalClientSecret, sendgridApiKey],
+    secrets: [paypalClientId, paypalClientSecret, stripeSecretKey, sendgridApiKey],
     region: "us-central1",
   },
   async () => {
     console.log("🚀 Weekly payouts start - Friday batch processing");
 
     try {
-      const allUsersSnap = await db.collection("users").where("balance", ">", 0).get();
-
-      const eligibleUsers = [];
-      const ineligibleUsers = [];
-
-      allUsersSnap.docs.forEach((doc) => {
-        const u = { id: doc.id, ...doc.data(), balance: Number(doc.data().balance || 0) };
-        if (u.balance >= MIN_PAYOUT && u.paypalEmail && isEmail(u.paypalEmail)) eligibleUsers.push(u);
-        else if (u.balance > 0 && u.paypalEmail && isEmail(u.paypalEmail)) ineligibleUsers.push(u);
-      });
-
-      for (const user of ineligibleUsers) {
-        try {
-          await sendEmailNotification("min_balance_not_reached", { email: user.paypalEmail, balance: user.balance });
-        } catch (err) {
-          console.error(`Error sending low-balance email to ${user.id}:`, err.message || err);
-        }
-      }
-
-      eligibleUsers.sort((a, b) => b.balance - a.balance);
-
-      const processOne = async (user) => {
-        try {
-          let firstName = "Seller";
-          try {
-            const userDoc = await db.collection("users").doc(user.id).get();
-            if (userDoc.exists) {
-              const ud = userDoc.data();
-              firstName = (ud.displayName || ud.firstName || "").split(" ")[0] || "Seller";
-            }
-          } catch (e) {
-            console.error(`Error getting user name for ${user.id}:`, e);
-          }
-
-          await processPayout(user.id, user.balance, user.paypalEmail);
-          const payoutFee = PAYPAL_FEE_FIXED + user.balance * PAYPAL_FEE_RATE;
-          const netAmount = user.balance - payoutFee;
-
-          await sendEmailNotification("payout_notification", {
-            paypalEmail: user.paypalEmail,
-            amount: netAmount,
-            firstName,
-            userId: user.id,
-          });
-        } catch (err) {
-          console.error(`Payout failed for ${user.id}:`, err.message || err);
-          await db.collection("payoutErrors").add({
-            userId: user.id,
-            amount: user.balance,
-            paypalEmail: user.paypalEmail,
-            error: err.message || "Unknown error",
-            timestamp: admin.firestore.FieldValue.serverTimestamp(),
-          });
-        }
-        await new Promise((r) => setTimeout(r, 100));
-      };
-
-      if (eligibleUsers.length <= 500) {
-        for (const user of eligibleUsers) await processOne(user);
-      } else {
-        const totalBatches = Math.ceil(eligibleUsers.length / 500);
-        for (let b = 0; b < totalBatches; b++) {
-          const batchUsers = eligibleUsers.slice(b * 500, Math.min((b + 1) * 500, eligibleUsers.length));
-          for (const user of batchUsers) await processOne(user);
-          if (b < totalBatches - 1) await new Promise((r) => setTimeout(r, 5000));
-        }
-      }
+      // Même pipeline que processWeeklyPayouts: un double déclenchement ne paie jamais deux fois
+      await runPayoutPipeline("pubsub");
 
       console.log("✅ Weekly payouts completed");
       return null;
@@ -2631,112 +7081,101 @@ exports.getPeriodData = onRequest({}, async (req, res) => {
   }
 
   try {
-    corsMiddleware(req, res, async () => {
-      const authHeader = req.headers.authorization;
-      if (!authHeader || !authHeader.startsWith("Bearer "))
-        return res.status(401).json({ error: "Unauthorized" });
+    corsMiddleware(req, res, () =>
+      authenticateSeller(req, res, async () => {
+        const userId = req.uid;
+        const { year, month } = req.query;
+        if (!year || !month) return res.status(400).json({ error: "Year and month are required" });
 
-      const idToken = authHeader.split("Bearer ")[1];
-      let decodedToken;
-      try {
-        decodedToken = await admin.auth().verifyIdToken(idToken);
-      } catch (e) {
-        console.error("Error verifying token:", e);
-        return res.status(401).json({ error: "Invalid token" });
-      }
+        const startDate = new Date(parseInt(year), parseInt(month) - 1, 1);
+        const endDate = new Date(parseInt(year), parseInt(month), 0, 23, 59, 59);
+        const startTimestamp = admin.firestore.Timestamp.fromDate(startDate);
+        const endTimestamp = admin.firestore.Timestamp.fromDate(endDate);
 
-      const userId = decodedToken.uid;
-      const { year, month } = req.query;
-      if (!year || !month) return res.status(400).json({ error: "Year and month are required" });
+        try {
+          const productsQuery = await db
+            .collection("products")
+            .where("uid", "==", userId)
+            .where("createdAt", ">=", startTimestamp)
+            .where("createdAt", "<=", endTimestamp)
+            .get();
+
+          const linksCount = productsQuery.size;
+
+          const allProductsQuery = await db.collection("products").where("uid", "==", userId).get();
+          const productIds = allProductsQuery.docs.map((d) => d.id);
+
+          let viewsCount = 0;
+          if (productIds.length > 0) {
+            const batches = [];
+            for (let i = 0; i < productIds.length; i += 10) batches.push(productIds.slice(i, i + 10));
+            const viewPromises = batches.map(async (batch) => {
+              const snap = await db
+                .collection("productViews")
+                .where("productId", "in", batch)
+                .where("timestamp", ">=", startTimestamp)
+                .where("timestamp", "<=", endTimestamp)
+                .get();
+              return snap.size;
+            });
+            const counts = await Promise.all(viewPromises);
+            viewsCount = counts.reduce((s, c) => s + c, 0);
+          }
 
-      const startDate = new Date(parseInt(year), parseInt(month) - 1, 1);
-      const endDate = new Date(parseInt(year), parseInt(month), 0, 23, 59, 59);
-      const startTimestamp = admin.firestore.Timestamp.fromDate(startDate);
-      const endTimestamp = admin.firestore.Timestamp.fromDate(endDate);
+          const ordersQuery = await db
+            .collection("orders")
+            .where("sellerUid", "==", userId)
+            .where("createdAt", ">=", startTimestamp)
+            .where("createdAt", "<=", endTimestamp)
+            .get();
+
+          let ordersCount = 0;
+          let shippedCount = 0;
+          let totalRevenue = 0;
+
+          ordersQuery.forEach((doc) => {
+            const o = doc.data();
+            ordersCount++;
+            if (o.status === "shipped" || o.status === "delivered") shippedCount++;
+            totalRevenue += getOrderNetSellerAmount(o);
+          });
 
-      try {
-        const productsQuery = await db
-          .collection("products")
-          .where("uid", "==", userId)
-          .where("createdAt", ">=", startTimestamp)
-          .where("createdAt", "<=", endTimestamp)
-          .get();
+          const transactionsQuery = await db
+            .collection("transactions")
+            .where("userId", "==", userId)
+            .where("date", ">=", startTimestamp)
+            .where("date", "<=", endTimestamp)
+            .orderBy("date", "desc")
+            .get();
+
+          const transactions = transactionsQuery.docs.map((d) => ({
+            id: d.id,
+            ...d.data(),
+            date: d.data().date ? d.data().date.toDate().toISOString() : null,
+            createdAt: d.data().createdAt ? d.data().createdAt.toDate().toISOString() : null,
+          }));
+
+          await db.collection("userStats").doc(userId).set(
+            {
+              lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+            },
+            { merge: true }
+          );
 
-        const linksCount = productsQuery.size;
-
-        const allProductsQuery = await db.collection("products").where("uid", "==", userId).get();
-        const productIds = allProductsQuery.docs.map((d) => d.id);
-
-        let viewsCount = 0;
-        if (productIds.length > 0) {
-          const batches = [];
-          for (let i = 0; i < productIds.length; i += 10) batches.push(productIds.slice(i, i + 10));
-          const viewPromises = batches.map(async (batch) => {
-            const snap = await db
-              .collection("productViews")
-              .where("productId", "in", batch)
-              .where("timestamp", ">=", startTimestamp)
-              .where("timestamp", "<=", endTimestamp)
-              .get();
-            return snap.size;
+          return res.status(200).json({
+            success: true,
+            data: {
+              period: { year: parseInt(year), month: parseInt(month) },
+              stats: { linksCount, viewsCount, ordersCount, shippedCount, revenueCount: totalRevenue },
+              transactions,
+            },
           });
-          const counts = await Promise.all(viewPromises);
-          viewsCount = counts.reduce((s, c) => s + c, 0);
+        } catch (error) {
+          console.error("Error retrieving period data:", error);
+          return res.status(500).json({ error: "Failed to retrieve period data", details: error.message });
         }
-
-        const ordersQuery = await db
-          .collection("orders")
-          .where("sellerUid", "==", userId)
-          .where("createdAt", ">=", startTimestamp)
-          .where("createdAt", "<=", endTimestamp)
-          .get();
-
-        let ordersCount = 0;
-        let shippedCount = 0;
-        let totalRevenue = 0;
-
-        ordersQuery.forEach((doc) => {
-          const o = doc.data();
-          ordersCount++;
-          if (o.status === "shipped" || o.status === "delivered") shippedCount++;
-          if (o.sellerAmount && o.status !== "cancelled") totalRevenue += parseFloat(o.sellerAmount);
-        });
-
-        const transactionsQuery = await db
-          .collection("transactions")
-          .where("userId", "==", userId)
-          .where("date", ">=", startTimestamp)
-          .where("date", "<=", endTimestamp)
-          .orderBy("date", "desc")
-          .get();
-
-        const transactions = transactionsQuery.docs.map((d) => ({
-          id: d.id,
-          ...d.data(),
-          date: d.data().date ? d.data().date.toDate().toISOString() : null,
-          createdAt: d.data().createdAt ? d.data().createdAt.toDate().toISOString() : null,
-        }));
-
-        await db.collection("userStats").doc(userId).set(
-          {
-            lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
-          },
-          { merge: true }
-        );
-
-        return res.status(200).json({
-          success: true,
-          data: {
-            period: { year: parseInt(year), month: parseInt(month) },
-            stats: { linksCount, viewsCount, ordersCount, shippedCount, revenueCount: totalRevenue },
-            transactions,
-          },
-        });
-      } catch (error) {
-        console.error("Error retrieving period data:", error);
-        return res.status(500).json({ error: "Failed to retrieve period data", details: error.message });
-      }
-    });
+      })
+    );
   } catch (error) {
     console.error("Unhandled error in getPeriodData:", error);
     return res.status(500).json({ error: "Internal server error" });